@@ -0,0 +1,114 @@
+'use strict';
+const crypto = require('crypto');
+
+/**
+ * S3 can compute, verify and store a checksum of uploaded data in addition to
+ * the x-amz-content-sha256 used for signing.  These are the helpers for the
+ * algorithms we support.  SHA256 checksums are derived from the sha256 values
+ * which we already have, CRC32C checksums must be computed by the client
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/userguide/checking-object-integrity.html
+ */
+const checksumAlgorithms = ['SHA256', 'CRC32C'];
+
+// CRC32C uses the Castagnoli polynomial, in its reversed form here
+const CRC32C_POLYNOMIAL = 0x82f63b78;
+
+const crc32cTable = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? CRC32C_POLYNOMIAL ^ (c >>> 1) : c >>> 1;
+  }
+  crc32cTable[n] = c;
+}
+
+/**
+ * Compute a CRC32C incrementally.  This has the same update() and digest()
+ * methods as the hashes of the crypto module so that it can be used next to
+ * them.  S3 expects the big endian bytes of the CRC, base64 encoded
+ */
+class Crc32c {
+  constructor() {
+    this._crc = -1;
+  }
+
+  update(data) {
+    let crc = this._crc;
+    for (let i = 0; i < data.length; i++) {
+      crc = crc32cTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    this._crc = crc;
+    return this;
+  }
+
+  digest(encoding) {
+    let buf = Buffer.alloc(4);
+    buf.writeUInt32BE((this._crc ^ -1) >>> 0, 0);
+    return encoding ? buf.toString(encoding) : buf;
+  }
+}
+
+// The name of the header which carries the checksum for an algorithm
+function checksumHeader(algorithm) {
+  return 'x-amz-checksum-' + algorithm.toLowerCase();
+}
+
+/**
+ * Generate the checksum header for some data given the algorithm and an
+ * object with the hex encoded sha256 and the base64 encoded crc32c of the
+ * data, for example an upload part
+ */
+function checksumHeaders(algorithm, {sha256, crc32c}) {
+  let value;
+  if (algorithm === 'SHA256') {
+    value = Buffer.from(sha256, 'hex').toString('base64');
+  } else if (algorithm === 'CRC32C') {
+    if (!crc32c) {
+      throw new Error('A crc32c value must be given for CRC32C checksums');
+    }
+    value = crc32c;
+  } else {
+    throw new Error(`Unsupported checksum algorithm ${algorithm}`);
+  }
+  return {[checksumHeader(algorithm)]: value};
+}
+
+/**
+ * Find the checksum S3 returned in the headers of a response.  Returns an
+ * object in the form {algorithm, value} or undefined.  The checksum of an
+ * object uploaded in parts is a checksum of the part checksums, which S3
+ * suffixes with the number of parts, for example 'base64-3'
+ */
+function parseChecksumHeaders(headers) {
+  for (let algorithm of checksumAlgorithms) {
+    let value = headers[checksumHeader(algorithm)];
+    if (value) {
+      return {algorithm, value};
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compute the ETag S3 gives an object which was uploaded in parts from the
+ * base64 MD5 of each part.  This is the MD5 of the concatenated binary part
+ * MD5s, suffixed with the number of parts.  It is only the ETag of objects
+ * which are unencrypted or encrypted with SSE-S3
+ */
+function expectedMultipartEtag(md5s) {
+  let hash = crypto.createHash('md5');
+  for (let md5 of md5s) {
+    hash.update(Buffer.from(md5, 'base64'));
+  }
+  return `${hash.digest('hex')}-${md5s.length}`;
+}
+
+module.exports = {
+  checksumAlgorithms,
+  Crc32c,
+  checksumHeader,
+  checksumHeaders,
+  parseChecksumHeaders,
+  expectedMultipartEtag,
+};
@@ -0,0 +1,83 @@
+'use strict';
+const stream = require('stream');
+const crypto = require('crypto');
+
+const { chunkSignature, encodeChunk } = require('./signing');
+
+/**
+ * Encode data in the signed aws-chunked format of streaming uploads.  Every
+ * chunk other than the last has chunkSize bytes.  The streaming options are
+ * those of a request from Controller.prototype.generateStreamingRequest.
+ * The sha256 and size of the data are available as .hash and .size once the
+ * stream has ended.  The stream fails if the data is not exactly `size` bytes
+ * long, since that is the length which was signed
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html
+ */
+class ChunkSigningStream extends stream.Transform {
+  constructor({signingKey, date, scope, seedSignature, chunkSize, size}) {
+    super();
+    this._signingKey = Buffer.from(signingKey, 'hex');
+    this._date = date;
+    this._scope = scope;
+    this._previousSignature = seedSignature;
+    this._chunkSize = chunkSize;
+    this._expectedSize = size;
+    this._buffered = [];
+    this._bufferedSize = 0;
+    this._hash = crypto.createHash('sha256');
+    this._size = 0;
+  }
+
+  _pushChunk(chunk) {
+    let signature = chunkSignature({
+      signingKey: this._signingKey,
+      date: this._date,
+      scope: this._scope,
+      previousSignature: this._previousSignature,
+      chunk,
+    });
+    this._previousSignature = signature;
+    this.push(encodeChunk(chunk, signature));
+  }
+
+  _transform(data, encoding, callback) {
+    this._size += data.length;
+    if (this._size > this._expectedSize) {
+      return callback(new Error(`Stream has more than the ${this._expectedSize} bytes which were signed`));
+    }
+    this._hash.update(data);
+
+    this._buffered.push(data);
+    this._bufferedSize += data.length;
+
+    if (this._bufferedSize >= this._chunkSize) {
+      let buffered = Buffer.concat(this._buffered, this._bufferedSize);
+      let offset = 0;
+      for (; offset + this._chunkSize <= buffered.length; offset += this._chunkSize) {
+        this._pushChunk(buffered.slice(offset, offset + this._chunkSize));
+      }
+      this._buffered = [buffered.slice(offset)];
+      this._bufferedSize = buffered.length - offset;
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    if (this._size !== this._expectedSize) {
+      return callback(new Error(`Stream has ${this._size} bytes but ${this._expectedSize} were signed`));
+    }
+    if (this._bufferedSize > 0) {
+      this._pushChunk(Buffer.concat(this._buffered, this._bufferedSize));
+    }
+    this._pushChunk(Buffer.alloc(0));
+    this.hash = this._hash.digest('hex');
+    this.size = this._size;
+    callback();
+  }
+}
+
+module.exports = {
+  ChunkSigningStream,
+};
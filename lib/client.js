@@ -4,13 +4,19 @@ const assert = require('assert');
 const crypto = require('crypto');
 const zlib = require('zlib');
 const stream = require('stream');
+const qs = require('querystring');
 
 const fs = require('mz/fs');
 const {tmpName} = require('tmp');
 
 const { Runner } = require('./runner');
+const { endpointSchema, resolveEndpoint, addressObject } = require('./endpoints');
+const { Crc32c, parseChecksumHeaders } = require('./checksums');
+const { customerKeyHeaders, customerKeyValues, parseEncryptionHeaders } = require('./encryption');
 const InterchangeFormat = require('./interchange-format');
 const { DigestStream } = require('./digest-stream');
+const { ChunkSigningStream } = require('./chunked-stream');
+const { responseError } = require('./errors');
 const { Joi, schemas, runSchema, MB, GB, TB } = require('./schemas');
 
 const MAX_S3_CHUNKS = 10000;
@@ -27,6 +33,7 @@ class Client {
       runnerOpts: Joi.object().default({}),
       partsize: Joi.number().min(5*MB).max(5*GB).default(25*MB),
       multisize: Joi.number().default(100*MB),
+      customerKey: Joi.func(),
     }).without('runner', 'runnerOpts')
       .optionalKeys(['runner', 'runnerOpts']));
 
@@ -46,13 +53,50 @@ class Client {
 
     // The minimum size before switching to multipart
     this.multisize = opts.multisize;
+
+    // An async function which is given a request and returns the SSE-C key
+    // for it, as a Buffer or base64 string.  The key never leaves this process
+    this.customerKey = opts.customerKey;
+  }
+
+  /**
+   * Return a copy of a request with the clientHeaders it lists filled in.
+   * Requests without clientHeaders are returned unchanged
+   */
+  async __addClientHeaders(request) {
+    if (!request.clientHeaders || request.clientHeaders.length === 0) {
+      return request;
+    }
+
+    for (let header of request.clientHeaders) {
+      if (customerKeyHeaders.indexOf(header) === -1) {
+        throw new Error(`Client does not know how to fill in the ${header} header`);
+      }
+    }
+
+    if (!this.customerKey) {
+      throw new Error('A customerKey provider is required for SSE-C requests');
+    }
+
+    let values = customerKeyValues(await this.customerKey(request));
+
+    let headers = Object.assign({}, request.headers);
+    for (let header of request.clientHeaders) {
+      headers[header] = values[header];
+    }
+
+    let filled = Object.assign({}, request, {headers});
+    delete filled.clientHeaders;
+    return filled;
   }
 
 
   async __prepareSinglepartUpload(opts) {
-    let {filename} = opts;
+    let {filename, checksumAlgorithm} = opts;
     let filestats = await fs.stat(filename);
     let sha256 = crypto.createHash('sha256');
+    let md5 = crypto.createHash('md5');
+    let crc32c = checksumAlgorithm === 'CRC32C' ? new Crc32c() : undefined;
     let size = 0;
     let stream = fs.createReadStream(filename, {start: 0});
     return new Promise((resolve, reject) => {
@@ -60,6 +104,10 @@ class Client {
 
       stream.on('data', data => {
         sha256.update(data);
+        md5.update(data);
+        if (crc32c) {
+          crc32c.update(data);
+        }
         size += data.length;
       });
 
@@ -75,11 +123,18 @@ class Client {
           reject(new Error('File has changed inodes'));
         } else {
           sha256 = sha256.digest('hex');
-          resolve({
+          // These are read from the file which is uploaded, so they are always
+          // of the transferred data
+          let result = {
             filename,
             sha256,
             size,
-          });
+            transferMd5: md5.digest('base64'),
+          };
+          if (crc32c) {
+            result.transferCrc32c = crc32c.digest('base64');
+          }
+          resolve(result);
         }
       });
     });
@@ -87,7 +142,7 @@ class Client {
 
   async __prepareMultipartUpload(opts) {
     opts = opts || {};
-    let {filename, partsize} = opts;
+    let {filename, partsize, checksumAlgorithm} = opts;
     // Ensure we're copying the value and not changing it
     partsize = (partsize || this.partsize);
 
@@ -104,6 +159,8 @@ class Client {
     for (let part = 0 ; part < partcount ; part++) {
       await new Promise((resolve, reject) => {
         let parthash = crypto.createHash('sha256');
+        let partmd5 = crypto.createHash('md5');
+        let partcrc = checksumAlgorithm === 'CRC32C' ? new Crc32c() : undefined;
         let start = part * partsize;
         let end = start + partsize - 1;
         let currentPartsize = 0;
@@ -117,6 +174,10 @@ class Client {
           currentPartsize += data.length;
           sha256.update(data);
           parthash.update(data);
+          partmd5.update(data);
+          if (partcrc) {
+            partcrc.update(data);
+          }
         });
 
         partstream.on('end', () => {
@@ -131,7 +192,16 @@ class Client {
               throw new Error('Final part exceeds allowed size');
             }
           }
-          parts.push({sha256: parthash.digest('hex'), size: currentPartsize, start});
+          let partinfo = {
+            sha256: parthash.digest('hex'),
+            md5: partmd5.digest('base64'),
+            size: currentPartsize,
+            start,
+          };
+          if (partcrc) {
+            partinfo.crc32c = partcrc.digest('base64');
+          }
+          parts.push(partinfo);
           resolve();
         });
       });
@@ -180,6 +250,15 @@ class Client {
     }
   }
 
+  /**
+   * Read the file to upload, compressing it first if requested, and determine
+   * the sizes and hashes which the Controller needs to generate the upload
+   * requests.  The base64 MD5s are for Content-MD5 headers and for checking
+   * the ETag of completed multipart uploads.  When the checksumAlgorithm is
+   * CRC32C, the crc32c values needed for CRC32C checksums are computed too.
+   * SHA256 checksums are derived from the sha256 values, so nothing extra is
+   * needed for them
+   */
   async prepareUpload(opts) {
     opts = runSchema(opts, Joi.object().keys({
       filename: Joi.string().required(),
@@ -187,7 +266,8 @@ class Client {
       forceSP: Joi.boolean().truthy(),
       partsize: Joi.number().max(5 * GB).default(this.partsize),
       compression: Joi.string().valid(['identity', 'gzip']).default('identity'),
-      compressionScratchFile: Joi.string()
+      compressionScratchFile: Joi.string(),
+      checksumAlgorithm: schemas.checksumAlgorithm,
     }).without('forceSP', 'forceMP'));
 
     let {
@@ -196,7 +276,8 @@ class Client {
       forceMP, 
       forceSP,
       compression,
-      compressionScratchFile
+      compressionScratchFile,
+      checksumAlgorithm,
     } = opts;
 
     let _filename;
@@ -232,9 +313,9 @@ class Client {
 
     let result;
     if (this.__useMulti(filesize, forceMP, forceSP)) {
-      result = await this.__prepareMultipartUpload({filename: _filename, partsize});
+      result = await this.__prepareMultipartUpload({filename: _filename, partsize, checksumAlgorithm});
     } else {
-      result = await this.__prepareSinglepartUpload({filename: _filename});
+      result = await this.__prepareSinglepartUpload({filename: _filename, checksumAlgorithm});
     }
 
     // NOTE: This will overwrite the sha256 and size values from the __prepare*
@@ -327,6 +408,20 @@ class Client {
    * Take the list of requests in interchange format and 
    * run them using the information from the upload preperation
    * list
+   *
+   * A null request is skipped and has a null ETag.  This is how parts which
+   * were already uploaded are given to a resumed multipart upload, whose
+   * ETags are already known
+   *
+   * The result is in the form {etags, checksums, responses, encryption,
+   * versionId}.  The checksums are the base64 x-amz-checksum-* values S3
+   * returned for each request, or null, and are needed to complete multipart
+   * uploads which were initiated with a checksum algorithm.  The encryption is
+   * the server-side encryption S3 reported for the uploaded data, in the same
+   * format as the encryption option of the Controller.  The versionId is that
+   * of the object created by a single part upload in a bucket with versioning
+   * enabled.  The version of a multipart upload is only known once it is
+   * completed
    */
   async runUpload(request, upload) {
     upload = runSchema(upload, Joi.object().keys({
@@ -335,6 +430,8 @@ class Client {
       size: Joi.number().required(),
       transferSha256: schemas.sha256.required(),
       transferSize: Joi.number().required(),
+      transferCrc32c: schemas.crc32c,
+      transferMd5: schemas.md5,
       // NOTE: the contentEncoding parameter isn't used, but is allowed so that
       // we can pass the object we received from prepareUpload into this
       // function verbatim
@@ -344,6 +441,7 @@ class Client {
 
     let {filename, sha256, size, transferSha256, transferSize, parts} = upload;
     let etags = [];
+    let checksums = [];
     let responses = [];
 
     // If we're not doing content-encoding, we're going to just use the
@@ -372,9 +470,15 @@ class Client {
 
     // Validate that all request we're about to run are in the correct format
     for (let req of request) {
-      await InterchangeFormat.validate(req);
+      if (req !== null) {
+        await InterchangeFormat.validate(req);
+      }
     }
 
+    request = await Promise.all(request.map(req => {
+      return req === null ? null : this.__addClientHeaders(req);
+    }));
+
     // If we have a differing number of requests and upload parts, we've gotten
     // invalid inputs and should throw an Error
     if (request.length !== parts.length) {
@@ -387,6 +491,13 @@ class Client {
       let {sha256, start, size} = parts[n];
       let req = request[n];
 
+      if (req === null) {
+        etags.push(null);
+        checksums.push(null);
+        responses.push(null);
+        continue;
+      }
+
       // We create a body factory because we want to use streaming while being
       // able to do retries.  This is better than doing fully buffered requests
       function body() {
@@ -397,12 +508,7 @@ class Client {
       let result = await this.runner.run({req, body});
 
       if (result.statusCode >= 300) {
-        let err = new Error(`Failed to run a request ${req.method} ${req.url}`);
-        err.url = req.url;
-        err.method = req.method;
-        err.headers = req.headers;
-        err.body = result.body.toString();
-        throw err;
+        throw this.__requestError(req, result, result.body);
       }
 
       let etag;
@@ -420,9 +526,61 @@ class Client {
       // upload because it cannot commit the upload and it is not important for
       // a single part upload
       etags.push(etag || 'NOETAG');
+      let checksum = result.headers && parseChecksumHeaders(result.headers);
+      checksums.push(checksum ? checksum.value : null);
       responses.push(result);
     }
-    return {etags, responses};
+
+    let encryption;
+    let versionId;
+    for (let response of responses) {
+      if (response && response.headers) {
+        encryption = parseEncryptionHeaders(response.headers);
+        versionId = response.headers['x-amz-version-id'];
+      }
+    }
+
+    return {etags, checksums, responses, encryption, versionId};
+  }
+
+  /**
+   * Run a request from Controller.prototype.generateStreamingRequest with the
+   * data read from the input stream, signing each chunk as it is sent.  The
+   * input must have exactly the size given to the Controller.  Streams cannot
+   * be read twice, so these uploads are not retried.
+   *
+   * The result is in the form {etag, versionId, sha256, size, response}.  The
+   * sha256 and size are of the data which was sent, and are given to
+   * Controller.prototype.completeStreamingUpload with the versionId to record
+   * them
+   */
+  async runStreamingUpload({request, input}) {
+    await InterchangeFormat.validate(request);
+    if (!request.streaming) {
+      throw new Error('Request is not a streaming upload request');
+    }
+
+    let signer = new ChunkSigningStream(Object.assign({
+      size: Number.parseInt(request.headers['x-amz-decoded-content-length'], 10),
+    }, request.streaming));
+
+    // Errors are not passed along by .pipe()
+    input.on('error', err => signer.emit('error', err));
+
+    let result = await this.runner.run({req: request, body: input.pipe(signer)});
+
+    if (result.statusCode >= 300) {
+      throw this.__requestError(request, result, result.body);
+    }
+
+    let etag;
+    let versionId;
+    if (result.headers) {
+      etag = result.headers.etag && result.headers.etag.trim();
+      versionId = result.headers['x-amz-version-id'];
+    }
+
+    return {etag, versionId, sha256: signer.hash, size: signer.size, response: result};
   }
 
   /**
@@ -435,6 +593,42 @@ class Client {
     return this.runner.run({req: request, body: body, streamingOutput: false});
   }
 
+  // The S3Error for a request which failed.  The request is included so that
+  // it can be logged, but the body of the response is what explains why S3
+  // rejected it
+  __requestError(request, result, body) {
+    let err = responseError({
+      statusCode: result.statusCode,
+      headers: result.headers,
+      body,
+    }, `Failed to run a request ${request.method} ${request.url}`);
+    err.url = request.url;
+    err.method = request.method;
+    err.headers = request.headers;
+    err.body = body ? body.toString() : '';
+    return err;
+  }
+
+  // Read the body of a failed download and turn it into an S3Error.  Reads of
+  // archived objects which have not been restored fail with a 403, which is
+  // reported as an ObjectArchivedError rather than as a generic failure
+  async __downloadError(request, result) {
+    let body = await new Promise((resolve, reject) => {
+      let chunks = [];
+      result.bodyStream.on('error', reject);
+      result.bodyStream.on('data', chunk => chunks.push(chunk));
+      result.bodyStream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+
+    let err = this.__requestError(request, result, body);
+    if (err.code === 'InvalidObjectState') {
+      err.message = `${request.method} ${request.url} failed because the object is archived and must be restored first`;
+      err.storageClass = err.storageclass;
+      err.accessTier = err.accesstier;
+    }
+    return err;
+  }
+
   /**
    * Download a file and save it to the location specified by 'output'.  Does
    * validation of download file, and in the case of content-encoding
@@ -447,126 +641,124 @@ class Client {
    */
   async runDownload({request, output}) {
     await InterchangeFormat.validate(request);
+    request = await this.__addClientHeaders(request);
 
-    let preDecompressionDigest = new DigestStream();
-    let postDecompressionDigest = new DigestStream();
-    let outputStream;
-    if (typeof output === 'string') {
-      outputStream = fs.createWriteStream(output);
-    } else if (typeof output === 'function') {
-      outputStream = output();
-    } else {
+    if (typeof output !== 'string' && typeof output !== 'function') {
       throw new Error('Output is not a supported format');
     }
-    let decompressionStream;
 
-    return new Promise(async (resolve, reject) => {
-      preDecompressionDigest.on('error', reject);
-      postDecompressionDigest.on('error', reject);
-      outputStream.on('error', reject);
-      
-      let result = await this.runner.run({req: request, streamingOutput: true});
-
-      let contentEncoding = result.headers['content-encoding'];
-      let contentLength = result.headers['content-length'];
-      let expectedTransferSha256 = result.headers['x-amz-meta-transfer-sha256'];
-      let expectedSha256 = result.headers['x-amz-meta-content-sha256'];
-      let expectedTransferSize = result.headers['x-amz-meta-transfer-length'];
-      let expectedSize = result.headers['x-amz-meta-content-length'];
-
-      // We're going to collect these and throw a single error in hopes that it
-      // saves developers time having to redo all their testing for each error
-      // they find
-      let headerErrors = [];
-
-      if (contentEncoding && contentEncoding !== 'gzip' && contentEncoding !== 'identity') {
-        headerErrors.push('Content-Encoding is specified with invalid value');
-      }
+    let result = await this.runner.run({req: request, streamingOutput: true});
 
-      if (!contentLength) {
-        headerErrors.push('Content-Length is mandatory but absent');
-      }
-      if (!expectedTransferSha256) {
-        headerErrors.push('Transfer-Sha256 is mandatory but absent');
-      }
-      if (!expectedSha256) {
-        headerErrors.push('Content-Sha256 is mandatory but absent');
-      }
-      if (!expectedTransferSize) {
-        headerErrors.push('Transfer-Size is mandatory but absent');
-      }
-      if (!expectedSize) {
-        headerErrors.push('Content-Size is mandatory but absent');
-      }
+    if (result.statusCode >= 300) {
+      throw await this.__downloadError(request, result);
+    }
 
-      try {
-        contentLength = parseInt(contentLength, 10);
-      } catch (err) {
-        headerErrors.push('Content-Length is not an integer');
-      }
+    let contentEncoding = result.headers['content-encoding'];
+    let contentLength = result.headers['content-length'];
+    let expectedTransferSha256 = result.headers['x-amz-meta-transfer-sha256'];
+    let expectedSha256 = result.headers['x-amz-meta-content-sha256'];
+    let expectedTransferSize = result.headers['x-amz-meta-transfer-length'];
+    let expectedSize = result.headers['x-amz-meta-content-length'];
 
-      try {
-        expectedTransferSize = parseInt(expectedTransferSize, 10);
-      } catch (err) {
-        headerErrors.push('Transfer-Size is not an integer');
-      }
+    // We're going to collect these and throw a single error in hopes that it
+    // saves developers time having to redo all their testing for each error
+    // they find
+    let headerErrors = [];
 
-      try {
-        expectedSize = parseInt(expectedSize, 10);
-      } catch (err) {
-        headerErrors.push('Content-Size is not an integer');
-      }
+    if (contentEncoding && contentEncoding !== 'gzip' && contentEncoding !== 'identity') {
+      headerErrors.push('Content-Encoding is specified with invalid value');
+    }
 
-      if (headerErrors.length > 0) {
-        let err = new Error('Errors in the header values: ' + headerErrors.join(', '));
-        err.errors = headerErrors;
-        err.headers = result.headers;
-        return reject(err);
-      }
+    if (!contentLength) {
+      headerErrors.push('Content-Length is mandatory but absent');
+    }
+    if (!expectedTransferSha256) {
+      headerErrors.push('Transfer-Sha256 is mandatory but absent');
+    }
+    if (!expectedSha256) {
+      headerErrors.push('Content-Sha256 is mandatory but absent');
+    }
+    if (!expectedTransferSize) {
+      headerErrors.push('Transfer-Size is mandatory but absent');
+    }
+    if (!expectedSize) {
+      headerErrors.push('Content-Size is mandatory but absent');
+    }
 
-      if (contentEncoding && contentEncoding === 'gzip') {
-        decompressionStream = new zlib.createGunzip();
-      } else {
-        decompressionStream = new stream.PassThrough();
-      }
+    try {
+      contentLength = parseInt(contentLength, 10);
+    } catch (err) {
+      headerErrors.push('Content-Length is not an integer');
+    }
+
+    try {
+      expectedTransferSize = parseInt(expectedTransferSize, 10);
+    } catch (err) {
+      headerErrors.push('Transfer-Size is not an integer');
+    }
+
+    try {
+      expectedSize = parseInt(expectedSize, 10);
+    } catch (err) {
+      headerErrors.push('Content-Size is not an integer');
+    }
+
+    if (headerErrors.length > 0) {
+      let err = new Error('Errors in the header values: ' + headerErrors.join(', '));
+      err.errors = headerErrors;
+      err.headers = result.headers;
+      throw err;
+    }
+
+    let preDecompressionDigest = new DigestStream();
+    let postDecompressionDigest = new DigestStream();
+    let decompressionStream;
+    if (contentEncoding && contentEncoding === 'gzip') {
+      decompressionStream = new zlib.createGunzip();
+    } else {
+      decompressionStream = new stream.PassThrough();
+    }
 
+    // The output is only opened once we know that there is something to
+    // write to it
+    let outputStream = typeof output === 'string' ? fs.createWriteStream(output) : output();
+
+    await new Promise((resolve, reject) => {
+      preDecompressionDigest.on('error', reject);
+      postDecompressionDigest.on('error', reject);
       decompressionStream.on('error', reject);
+      outputStream.on('error', reject);
       result.bodyStream.on('error', reject);
-
-      outputStream.on('finish', () => {
-        let bodyErrors = [];
-        if (preDecompressionDigest.hash !== expectedTransferSha256) {
-          bodyErrors.push('Transfer Sha256 mismatch');
-        }
-        if (postDecompressionDigest.hash !== expectedSha256) {
-          bodyErrors.push('Content Sha256 mismatch');
-        }
-        if (preDecompressionDigest.size !== expectedTransferSize) {
-          bodyErrors.push('Transfer Size mismatch');
-        }
-        if (postDecompressionDigest.size !== expectedSize) {
-          bodyErrors.push('Content Size mismatch');
-        }
-        if (preDecompressionDigest.size !== contentLength) {
-          bodyErrors.push('Content-Length header and Transfer-Size do not match');
-        }
-        if (bodyErrors.length > 0) {
-          let err = new Error('Errors in the body: ' + bodyErrors.join(', '));
-          err.errors = bodyErrors;
-          reject(err);
-        } else {
-          return resolve();
-        }
-        reject(new Error('unimplemented'));
-      });
+      outputStream.on('finish', resolve);
 
       result.bodyStream
         .pipe(preDecompressionDigest)
         .pipe(decompressionStream)
         .pipe(postDecompressionDigest)
         .pipe(outputStream);
-
     });
+
+    let bodyErrors = [];
+    if (preDecompressionDigest.hash !== expectedTransferSha256) {
+      bodyErrors.push('Transfer Sha256 mismatch');
+    }
+    if (postDecompressionDigest.hash !== expectedSha256) {
+      bodyErrors.push('Content Sha256 mismatch');
+    }
+    if (preDecompressionDigest.size !== expectedTransferSize) {
+      bodyErrors.push('Transfer Size mismatch');
+    }
+    if (postDecompressionDigest.size !== expectedSize) {
+      bodyErrors.push('Content Size mismatch');
+    }
+    if (preDecompressionDigest.size !== contentLength) {
+      bodyErrors.push('Content-Length header and Transfer-Size do not match');
+    }
+    if (bodyErrors.length > 0) {
+      let err = new Error('Errors in the body: ' + bodyErrors.join(', '));
+      err.errors = bodyErrors;
+      throw err;
+    }
   }
 
 
@@ -581,9 +773,38 @@ class Client {
     });
   }
 
-  async downloadObject({region = 'us-east-1', bucket, key, output}) {
-    region = region === 'us-east-1' ? 's3' : 's3-' + region;
-    let url = `https://${bucket}.${region}.amazonaws.com/${key}`;
+  /**
+   * Download an object from a public bucket, or a specific version of it.
+   * The endpoint options are the same as those of the `Controller` so that
+   * both ends of an upload agree on which hostname an object lives at
+   */
+  async downloadObject(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      region: Joi.string().default('us-east-1'),
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      output: Joi.any().required(),
+      endpoint: endpointSchema,
+      dualstack: Joi.boolean().default(false),
+      fips: Joi.boolean().default(false),
+      accelerate: Joi.boolean().default(false),
+    }).optionalKeys('endpoint'));
+
+    let {region, bucket, key, versionId, output, endpoint, dualstack, fips, accelerate} = opts;
+
+    endpoint = resolveEndpoint({region, endpoint, dualstack, fips, accelerate});
+
+    let {hostname, path} = addressObject(endpoint, {
+      bucket,
+      key,
+      vhostAddressing: !endpoint.pathStyle,
+    });
+
+    let url = `${endpoint.protocol}//${hostname}${path}`;
+    if (versionId) {
+      url += '?' + qs.stringify({versionId});
+    }
     return this.downloadUrl({url, output});
   }
 
@@ -10,11 +10,41 @@ const aws4 = require('aws4');
 const libxml = require('libxmljs');
 
 const { Runner } = require('./runner');
+const { endpointSchema, resolveEndpoint, addressObject } = require('./endpoints');
+const { cachedProvider, fromStatic } = require('./credentials');
+const {
+  hmac,
+  amzDate,
+  uriEncode,
+  deriveSigningKey,
+  credentialScope,
+  STREAMING_PAYLOAD,
+  chunkedContentLength,
+} = require('./signing');
 const InterchangeFormat = require('./interchange-format');
+const {
+  customerKeyHeaders,
+  customerAlgorithmHeader,
+  customerAlgorithm,
+  encryptionHeaders,
+  parseEncryptionHeaders,
+} = require('./encryption');
+const {
+  checksumAlgorithms,
+  checksumHeader,
+  checksumHeaders,
+  parseChecksumHeaders,
+  expectedMultipartEtag,
+} = require('./checksums');
+const { createS3Error, IntegrityError, parseErrorDocument, responseError } = require('./errors');
 const { Joi, schemas, runSchema} = require('./schemas');
 
 const debug = _debug('remote-s3:Bucket');
 
+// The characters which S3 allows in the keys and values of tags
+// https://docs.aws.amazon.com/AmazonS3/latest/userguide/object-tagging.html
+const TAG_CHARACTERS = /^[\p{L}\p{N}\p{Zs}+\-=._:/@]*$/u;
+
 // Rather than generating for every abort invocation
 const emptysha256 = crypto.createHash('sha256').update('').digest('hex');
 
@@ -40,21 +70,39 @@ class Controller {
       region: Joi.string().default('us-east-1'),
       runner: Joi.any(),
       runnerOpts: Joi.object(),
-      vhostAddressing: Joi.boolean().default(true),
-      accessKeyId: Joi.string().default(process.env.AWS_ACCESS_KEY_ID || ''),
-      secretAccessKey: Joi.string().default(process.env.AWS_SECRET_ACCESS_KEY || ''),
-      sessionToken: Joi.string().default(process.env.AWS_SESSION_TOKEN || ''),
-    }).without('runner', 'runnerOpts').optionalKeys(['runner', 'runnerOpts']));
-
+      endpoint: endpointSchema,
+      dualstack: Joi.boolean().default(false),
+      fips: Joi.boolean().default(false),
+      accelerate: Joi.boolean().default(false),
+      vhostAddressing: Joi.boolean(),
+      credentials: Joi.func(),
+      accessKeyId: Joi.string(),
+      secretAccessKey: Joi.string(),
+      sessionToken: Joi.string(),
+      taggingOnInitiate: Joi.boolean().default(true),
+      allowSigningKeyExport: Joi.boolean().default(false),
+    }).without('runner', 'runnerOpts')
+      .without('credentials', ['accessKeyId', 'secretAccessKey', 'sessionToken'])
+      .optionalKeys(['runner', 'runnerOpts', 'endpoint']));
+
+    // This is the region used for signing requests.  It is intentionally
+    // independent of the endpoint so that S3-compatible stores which expect a
+    // specific signing region can be used with any hostname
     this.region = opts.region;
     let runner = opts.runner;
 
-    // Store the credentials
-    this.credentials = {
-      accessKeyId: opts.accessKeyId,
-      secretAccessKey: opts.secretAccessKey,
-      sessionToken: opts.sessionToken,
+    // Credentials are always obtained through a provider so that temporary
+    // credentials can be refreshed in long running processes.  The static
+    // credentials are read from the environment once for compatibility
+    let credentials = opts.credentials;
+    if (!credentials) {
+      credentials = fromStatic({
+        accessKeyId: opts.accessKeyId || process.env.AWS_ACCESS_KEY_ID || '',
+        secretAccessKey: opts.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY || '',
+        sessionToken: opts.sessionToken || process.env.AWS_SESSION_TOKEN || '',
+      });
     }
+    this.credentials = cachedProvider(credentials);
 
     // we don't want to get too specific into the internal API of the run() method,
     // so we're only saving the .run() method of the runner class that we're creating here. 
@@ -64,28 +112,125 @@ class Controller {
     }
 
     this.runner = runner;
-    this.vhostAddressing = opts.vhostAddressing;
 
-    // http://docs.aws.amazon.com/general/latest/gr/rande.html#s3_region
-    let s3region = this.region === 'us-east-1' ? 's3' : 's3-' + this.region;
-    this.s3host = `${s3region}.amazonaws.com`;
+    let endpoint = resolveEndpoint({
+      region: this.region,
+      endpoint: opts.endpoint,
+      dualstack: opts.dualstack,
+      fips: opts.fips,
+      accelerate: opts.accelerate,
+    });
+
+    // An explicit vhostAddressing option always wins over the default of the
+    // endpoint
+    if (endpoint.vhostOnly && opts.vhostAddressing === false) {
+      throw new Error('This endpoint requires vhostAddressing');
+    } else if (typeof opts.vhostAddressing === 'boolean') {
+      this.vhostAddressing = opts.vhostAddressing;
+    } else {
+      this.vhostAddressing = !endpoint.pathStyle;
+    }
+
+    this.s3host = endpoint.host;
+    this.s3protocol = endpoint.protocol;
+    this.s3port = endpoint.port;
+
+    // Amazon S3 tags multipart uploads when they are initiated, but some
+    // S3-compatible stores do not, so these can only be tagged once the
+    // upload is completed
+    this.taggingOnInitiate = opts.taggingOnInitiate;
+
+    // Streaming uploads hand out a signing key which is valid for much more
+    // than the upload, so they must be enabled deliberately
+    this.allowSigningKeyExport = opts.allowSigningKeyExport;
+  }
+
+  /**
+   * Sign a request generated by __generateRequestBase with the current
+   * credentials.  All signing must go through this method so that expired
+   * credentials are never used.  Callers which need the credentials a request
+   * was signed with fetch them first and pass them in
+   */
+  async __sign(request, credentials) {
+    return aws4.sign(request, credentials || await this.credentials());
+  }
+
+  /**
+   * Sign a request generated by __generateRequestBase using query string
+   * parameters instead of headers, so that it is valid for `expires` seconds.
+   * The signed request is returned along with the time it expires.  Since a
+   * signature cannot outlive the credentials used to make it, this is the
+   * earlier of the end of the `expires` period and the credential expiration
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-query-string-auth.html
+   */
+  async __presign(request, expires) {
+    let credentials = await this.credentials();
+
+    request.signQuery = true;
+    request.path += (request.path.indexOf('?') === -1 ? '?' : '&') + 'X-Amz-Expires=' + expires;
+    request = aws4.sign(request, credentials);
+
+    let query = qs.parse(request.path.slice(request.path.indexOf('?') + 1));
+    let signedAt = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(query['X-Amz-Date']);
+    signedAt = Date.UTC(signedAt[1], signedAt[2] - 1, signedAt[3], signedAt[4], signedAt[5], signedAt[6]);
+
+    let expiry = new Date(signedAt + expires * 1000);
+    if (credentials.expiration && credentials.expiration < expiry) {
+      expiry = new Date(credentials.expiration.getTime());
+    }
+
+    return {request, expires: expiry};
+  }
 
-    // These values are used for unit testing to direct the 
-    this.s3protocol = 'https:';
-    this.s3port = undefined;
+  /**
+   * Split headers into those which must stay headers and a query string of
+   * the x-amz-* headers for a query signed request.  Browsers cannot send
+   * x-amz-* headers cross-origin without CORS preflights, and S3 accepts them
+   * as query parameters on presigned requests.  S3 does not verify the payload
+   * hash of query signed requests, so x-amz-content-sha256 is dropped.  S3
+   * only reads the SSE-C headers from the request headers, so the algorithm
+   * header stays a signed header.
+   */
+  __hoistAmzHeaders(headers) {
+    let query = {};
+    let remaining = {};
+    for (let name in headers) {
+      let lowered = name.toLowerCase();
+      if (lowered === 'x-amz-content-sha256') {
+        continue;
+      } else if (lowered.slice(0, 6) === 'x-amz-' && lowered !== customerAlgorithmHeader) {
+        query[lowered] = headers[name];
+      } else {
+        remaining[name] = headers[name];
+      }
+    }
+    return {query: qs.stringify(query), headers: remaining};
   }
 
   /** Convert the result from the aws4.sign method into the
    * general form and return an object in the form:
    *   { url: '...', method: '...', headers: {key: 'value'}}
+   * Query signed requests also have the time they expire:
+   *   { url: '...', method: '...', headers: {key: 'value'}, expires: Date}
+   * Requests which need headers that only the client can fill in list them:
+   *   { url: '...', method: '...', headers: {key: 'value'}, clientHeaders: ['...']}
    */
-  __serializeRequest(req) {
+  __serializeRequest(req, expires, clientHeaders) {
     let serialized = {
       url: `${req.protocol}//${req.hostname}${req.path}`,
       method: req.method,
       headers: req.headers,
     };
 
+    if (expires) {
+      serialized.expires = expires;
+    }
+
+    if (clientHeaders) {
+      serialized.clientHeaders = clientHeaders;
+    }
+
     InterchangeFormat.validate(serialized);
     return serialized;
   }
@@ -95,18 +240,25 @@ class Controller {
    *
    * This function takes an ordered list of Etag values and generates the XML
    * Body that S3 expects.  The PartNumber will be the index of the supplied
-   * list + 1 to account for the 1-based numbering of PartNumbers
+   * list + 1 to account for the 1-based numbering of PartNumbers.  When the
+   * upload was initiated with a checksum algorithm, the base64 checksum of
+   * each part must be given in the same order
    *
    * EXAMPLE:
    * <CompleteMultipartUpload>
    *   <Part>
    *     <PartNumber>PartNumber</PartNumber>
    *     <ETag>ETag</ETag>
+   *     <ChecksumSHA256>Checksum</ChecksumSHA256>
    *   </Part>
    * </CompleteMultipartUpload>
    */
-  __generateCompleteUploadBody(etags) {
+  __generateCompleteUploadBody(etags, checksumAlgorithm, checksums) {
     etags = runSchema(etags, Joi.array().items(Joi.string()).min(1).max(10000).required());
+    if (checksumAlgorithm) {
+      checksumAlgorithm = runSchema(checksumAlgorithm, schemas.checksumAlgorithm);
+      checksums = runSchema(checksums, schemas.checksums.length(etags.length).required());
+    }
     let doc = new libxml.Document();
 
     let ctx = doc.node('CompleteMultipartUpload');
@@ -116,6 +268,10 @@ class Controller {
       ctx = ctx.parent();
       ctx = ctx.node('ETag', etags[x]);
       ctx = ctx.parent();
+      if (checksumAlgorithm) {
+        ctx = ctx.node('Checksum' + checksumAlgorithm, checksums[x]);
+        ctx = ctx.parent();
+      }
       ctx = ctx.parent();
     }
 
@@ -163,6 +319,72 @@ class Controller {
     return doc.toString().trim();
   }
 
+  /**
+   * Generate the XML body required to delete several objects at once.  The
+   * objects are in the form {key, versionId} where versionId is optional.
+   * Quiet mode is not used because we report the result for every key
+   *
+   * EXAMPLE:
+   * <Delete>
+   *   <Quiet>false</Quiet>
+   *   <Object>
+   *     <Key>Key</Key>
+   *     <VersionId>VersionId</VersionId>
+   *   </Object>
+   * </Delete>
+   */
+  __generateDeleteObjectsBody(objects) {
+    objects = runSchema(objects, Joi.array().items(Joi.object().keys({
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+    })).min(1).max(1000).required());
+
+    let doc = new libxml.Document();
+
+    let ctx = doc.node('Delete');
+    ctx = ctx.node('Quiet', 'false');
+    ctx = ctx.parent();
+    for (let {key, versionId} of objects) {
+      ctx = ctx.node('Object');
+      ctx = ctx.node('Key', key);
+      ctx = ctx.parent();
+      if (versionId) {
+        ctx = ctx.node('VersionId', versionId);
+        ctx = ctx.parent();
+      }
+      ctx = ctx.parent();
+    }
+
+    return doc.toString().trim();
+  }
+
+  /**
+   * Generate the XML body to restore an archived object.  The number of days
+   * is omitted for objects in the archive tiers of INTELLIGENT_TIERING, which
+   * are moved back to a frequently accessed tier instead of being copied
+   *
+   * EXAMPLE:
+   * <RestoreRequest>
+   *   <Days>Days</Days>
+   *   <GlacierJobParameters>
+   *     <Tier>Tier</Tier>
+   *   </GlacierJobParameters>
+   * </RestoreRequest>
+   */
+  __generateRestoreBody(days, tier) {
+    let doc = new libxml.Document();
+
+    let ctx = doc.node('RestoreRequest');
+    if (days) {
+      ctx = ctx.node('Days', Number(days).toString(10));
+      ctx = ctx.parent();
+    }
+    ctx = ctx.node('GlacierJobParameters');
+    ctx = ctx.node('Tier', tier);
+
+    return doc.toString().trim();
+  }
+
   /**
    * General method for extracting a specific property from an S3
    * response.  This assumes it's a top level node in the main container,
@@ -207,6 +429,20 @@ class Controller {
 
     return lookingfor;
   }
+  /**
+   * Return an object of the text of each child element of a node.  Elements
+   * which can be repeated are not handled here
+   */
+  __getChildValues(node) {
+    let values = {};
+    for (let child of node.childNodes()) {
+      if (child.type() === 'element') {
+        values[child.name()] = child.text();
+      }
+    }
+    return values;
+  }
+
   /**
    * Obtain an UploadId from an Initiate Multipart Upload response body
    */
@@ -255,6 +491,35 @@ class Controller {
     return perms;
   }
 
+  // Return the headers which set the Object Lock retention and legal hold of
+  // a new object
+  __determineObjectLockHeaders(objectLock) {
+    objectLock = runSchema(objectLock, schemas.objectLock.required());
+    let {mode, retainUntil, legalHold} = objectLock;
+    let headers = {};
+
+    if (mode) {
+      headers['x-amz-object-lock-mode'] = mode;
+      headers['x-amz-object-lock-retain-until-date'] = retainUntil.toISOString();
+    }
+
+    if (typeof legalHold === 'boolean') {
+      headers['x-amz-object-lock-legal-hold'] = legalHold ? 'ON' : 'OFF';
+    }
+
+    return headers;
+  }
+
+  // Return the headers to send a small XML request body with.  We hash the
+  // exact bytes we send ourselves, and some APIs require a Content-MD5
+  __xmlBodyHeaders(body) {
+    return {
+      'x-amz-content-sha256': crypto.createHash('sha256').update(body).digest('hex'),
+      'content-md5': crypto.createHash('md5').update(body).digest('base64'),
+      'content-length': Buffer.byteLength(body),
+    };
+  }
+
   // NOTE: If we can do this with Joi, I'd prefer that
   // http://docs.aws.amazon.com/AmazonS3/latest/dev/object-tagging.html
   __validateTags(tags) {
@@ -265,26 +530,45 @@ class Controller {
       throw new Error('S3 allows no more than 10 tags on an object');
     }
 
+    // Lengths are counted in unicode characters, not in UTF-16 code units
     for (let tag in tags) {
-      if (tag.toString('utf8').length > 128) {
-        throw new Error('S3 object tag keys must be 128 or fewer characters');
-      }
       let tagValue = tags[tag];
       // Let's convert numbers into decimal number strings
       if (typeof tagValue === 'number') {
         tagValue = tagValue.toString(10);
       }
-      if (tagValue.toString('utf8').length > 256) {
+      if (typeof tagValue !== 'string') {
+        throw new Error('S3 object tag values must be strings or numbers not ' + typeof tagValue);
+      }
+      if (tag.length === 0 || Array.from(tag).length > 128) {
+        throw new Error('S3 object tag keys must be 1 to 128 characters');
+      }
+      if (Array.from(tagValue).length > 256) {
         throw new Error('S3 object tag values must be 256 or fewer characters');
       }
+      if (!TAG_CHARACTERS.test(tag) || !TAG_CHARACTERS.test(tagValue)) {
+        throw new Error('S3 object tags must only contain letters, numbers, spaces and + - = . _ : / @');
+      }
+      if (/^aws:/i.test(tag)) {
+        throw new Error('S3 object tag keys must not start with aws:');
+      }
     }
 
   }
 
+  // The x-amz-tagging header which tags a new object, if there are tags.  The
+  // tags are URL encoded like a query string
+  __taggingHeaders(tags) {
+    if (!tags || Object.keys(tags).length === 0) {
+      return {};
+    }
+    this.__validateTags(tags);
+    return {'x-amz-tagging': qs.stringify(tags)};
+  }
+
   // NOTE: If we can do this with Joi, I'd prefer that
   __generateMetadataHeaders(...objs) {
     let metaPrefix = 'x-amz-meta-';
-    let totalSize = 0;
     let headers = {}
     for (let obj of objs) {
       for (let key in obj) {
@@ -294,15 +578,6 @@ class Controller {
         } else if (typeof value !== 'string') {
           throw new Error('Metadata values must be strings or numbers not ' + typeof value);
         }
-        // VERIFY that the x-amz-meta- prefix is not included in the 2048 unicode
-        // character limit before removing it from the count.  I suspect that
-        // this limit is inclusive and that's the safer option
-        // NOTE: We're using Buffer length because we need to ensure we're
-        // measuring the number of bytes of the UTF8 encoded form, rather than
-        // the number of UTF8 chars
-        totalSize += Buffer.from(metaPrefix.toString('utf8')).length;
-        totalSize += Buffer.from(key.toString('utf8')).length;
-        totalSize += Buffer.from(value.toString('utf8')).length;
         if (key.slice(0, metaPrefix.length) === metaPrefix) {
           throw new Error('Metadata keys shoud not already have x-amz-meta prefix');
         }
@@ -313,41 +588,72 @@ class Controller {
       }
     }
 
+    this.__checkHeaderBudget(headers);
+
+    return headers;
+  }
+
+  // S3 limits the metadata of an object to 2048 bytes.  The standard headers
+  // which are stored with an object are counted against the same budget so
+  // that the full set of stored headers stays within it
+  __checkHeaderBudget(...objs) {
+    let totalSize = 0;
+    for (let obj of objs) {
+      for (let name in obj) {
+        // VERIFY that the x-amz-meta- prefix is not included in the 2048 unicode
+        // character limit before removing it from the count.  I suspect that
+        // this limit is inclusive and that's the safer option
+        // NOTE: We're using Buffer length because we need to ensure we're
+        // measuring the number of bytes of the UTF8 encoded form, rather than
+        // the number of UTF8 chars
+        totalSize += Buffer.from(name.toString('utf8')).length;
+        totalSize += Buffer.from(obj[name].toString('utf8')).length;
+      }
+    }
+
     if (totalSize > 2048) {
       throw new Error('Metadata exceeds 2048 byte limit');
     }
+  }
 
+  // Generate the standard headers other than the content type, disposition
+  // and encoding which are stored with an object
+  __generateStandardHeaders({cacheControl, contentExpires, contentLanguage, websiteRedirectLocation}) {
+    let headers = {};
+    if (cacheControl) {
+      headers['cache-control'] = cacheControl;
+    }
+    if (contentExpires) {
+      headers['expires'] = contentExpires.toUTCString();
+    }
+    if (contentLanguage) {
+      headers['content-language'] = contentLanguage;
+    }
+    if (websiteRedirectLocation) {
+      headers['x-amz-website-redirect-location'] = websiteRedirectLocation;
+    }
     return headers;
   }
 
   // Generate the base request object for signing.  We don't want to duplicate
-  // this logic everywhere
+  // this logic everywhere.  Requests without a key are for the bucket itself
   __generateRequestBase(opts) {
     opts = runSchema(opts, Joi.object().keys({
       bucket: schemas.bucket.required(),
-      key: schemas.key.required(),
+      key: schemas.key,
       method: Joi.string().required(),
       query: Joi.string(),
       headers: Joi.object().default({}),
     }).optionalKeys('query'));
 
     let {bucket, key, method, query, headers} = opts;
-    let path;
-    let hostname;
 
-    // To support non-vhost style addresses
-    if (this.vhostAddressing) {
-      path = '/' + key;
-      hostname = `${bucket}.${this.s3host}`;
-    } else {
-      path = `/${bucket}/${key}`;
-      hostname = this.s3host;
-    }
+    let {hostname, path} = addressObject({host: this.s3host, port: this.s3port}, {
+      bucket,
+      key,
+      vhostAddressing: this.vhostAddressing,
+    });
 
-    if (this.s3port) {
-      hostname += ':' + this.s3port;
-    }
-    
     // We always add the query string if present
     if (query) {
       path += '?' + query;
@@ -376,7 +682,13 @@ class Controller {
     opts = runSchema(opts, Joi.object().keys({
       bucket: schemas.bucket.required(),
       key: schemas.key.required(),
+      versionId: Joi.string(),
       signed: Joi.boolean().default(false),
+      expires: schemas.expires,
+      withExpiry: Joi.boolean().default(false),
+      responseContentDisposition: schemas.responseContentDisposition,
+      responseContentType: schemas.responseContentType,
+      responseCacheControl: schemas.responseCacheControl,
     }));
     opts.method = 'GET';
 
@@ -384,46 +696,149 @@ class Controller {
   }
    
   /**
-   * Generate an optionally signed GET URL for an object
+   * Generate an optionally signed URL for an object.  Signed URLs are valid
+   * for `expires` seconds.  The response-* overrides change the headers S3
+   * sends with the object, for example so that browsers save it with the right
+   * filename.  S3 only honours them for signed GET requests.  With a
+   * versionId, the URL is for that version of the object instead of the
+   * latest one.
+   *
+   * Returns the URL as a string.  With withExpiry, returns an object in the
+   * form:
+   *   { url: '...', expires: Date | undefined }
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectGET.html
    */
   async generateUrl(opts) {
     opts = runSchema(opts, Joi.object().keys({
       bucket: schemas.bucket.required(),
       key: schemas.key.required(),
+      versionId: Joi.string(),
       signed: Joi.boolean().default(false),
-      method: Joi.string(),
+      method: Joi.string().default('GET'),
+      expires: schemas.expires,
+      withExpiry: Joi.boolean().default(false),
+      responseContentDisposition: schemas.responseContentDisposition,
+      responseContentType: schemas.responseContentType,
+      responseCacheControl: schemas.responseCacheControl,
     }));
     
-    let {bucket, key, signed, method} = opts;
-
-    let request = this.__generateRequestBase({bucket, key, method});
-    let pathname = request.path;
-    let search;
+    let {
+      bucket,
+      key,
+      versionId,
+      signed,
+      method,
+      expires,
+      withExpiry,
+      responseContentDisposition,
+      responseContentType,
+      responseCacheControl,
+    } = opts;
 
-    if (signed) {
-      request.signQuery = true;
-      request = aws4.sign(request, this.credentials);
+    let overrides = {};
+    if (responseContentDisposition) {
+      overrides['response-content-disposition'] = responseContentDisposition;
+    }
+    if (responseContentType) {
+      overrides['response-content-type'] = responseContentType;
+    }
+    if (responseCacheControl) {
+      overrides['response-cache-control'] = responseCacheControl;
+    }
 
-      let pathParts = request.path.split('?');
-      if (pathParts.length !== 2) {
-        throw new Error('Too many question marks in a path');
+    if (Object.keys(overrides).length > 0) {
+      if (!signed || method.toUpperCase() !== 'GET') {
+        throw new Error('Response overrides are only supported for signed GET requests');
       }
+    }
+
+    let query = Object.assign(versionId ? {versionId} : {}, overrides);
+    query = Object.keys(query).length > 0 ? qs.stringify(query) : undefined;
+
+    let request = this.__generateRequestBase({bucket, key, method, query});
+    let expiry;
 
-      pathname = pathParts[0];
-      search = pathParts[1];
+    if (signed) {
+      ({request, expires: expiry} = await this.__presign(request, expires));
+    }
+
+    let pathParts = request.path.split('?');
+    if (pathParts.length > 2) {
+      throw new Error('Too many question marks in a path');
     }
 
-    return urllib.format({
+    let [pathname, search] = pathParts;
+
+    let url = urllib.format({
       protocol: request.protocol,
       host: request.hostname,
       pathname: pathname,
       search: search,
     });
+
+    return withExpiry ? {url, expires: expiry} : url;
   }
  
+  /**
+   * Generate a query signed request for downloading an object, which is valid
+   * for `expires` seconds and can be given to Client.prototype.runDownload.
+   * Unlike a URL, the request can have headers.  When customerKey is true,
+   * the object was encrypted with a key which only the client has (SSE-C).
+   * Only the algorithm header is signed, and the request lists the key headers
+   * in clientHeaders for the client to add.
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectGET.html
+   */
+  async generateGetRequest(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      customerKey: Joi.boolean().default(false),
+      expires: schemas.expires,
+    }));
+
+    let {bucket, key, versionId, customerKey, expires} = opts;
+
+    let headers = {};
+    if (customerKey) {
+      headers[customerAlgorithmHeader] = customerAlgorithm;
+    }
+
+    let {request, expires: expiry} = await this.__presign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'GET',
+      query: versionId ? qs.stringify({versionId}) : undefined,
+      headers,
+    }), expires);
+
+    return this.__serializeRequest(request, expiry,
+      customerKey ? customerKeyHeaders.slice() : undefined);
+  }
+
   /**
    * Initiate a Multipart upload and return the UploadIp that
    * Amazon has assigned for this multipart upload
+   *
+   * When a checksumAlgorithm is given, S3 verifies a checksum of each part
+   * and stores a checksum of the part checksums for the object.  The same
+   * algorithm must then be given for the parts and to complete the upload.
+   *
+   * S3 only accepts the parts of an Object Lock upload with a checksum or a
+   * Content-MD5, so objectLock needs either a checksumAlgorithm or contentMd5
+   * set to true, which says that every part will be given with an md5.
+   *
+   * The tags are stored with the object when the upload is completed, so an
+   * object is never without them.  This is not supported by every
+   * S3-compatible store.  With the Controller's taggingOnInitiate option set
+   * to false, the tags must be given to completeMultipartUpload instead.
+   *
+   * SSE-C is not supported, because S3 needs the key of the client to
+   * initiate the upload.  A customerKey of true is rejected, and such uploads
+   * must use generateSinglepartRequest instead.
+   *
    * http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadInitiate.html
    */
   async initiateMultipartUpload(opts) {
@@ -435,13 +850,28 @@ class Controller {
       transferSha256: schemas.sha256,
       size: schemas.mpSize.required(),
       transferSize: schemas.mpSize,
+      tags: schemas.tags,
       permissions: schemas.permissions,
       storageClass: schemas.storageClass,
       metadata: schemas.metadata,
       contentType: schemas.contentType,
       contentDisposition: schemas.contentDisposition,
       contentEncoding: schemas.contentEncoding,
-    }).optionalKeys('permissions', 'metadata'));
+      cacheControl: schemas.cacheControl,
+      contentExpires: schemas.contentExpires,
+      contentLanguage: schemas.contentLanguage,
+      websiteRedirectLocation: schemas.websiteRedirectLocation,
+      encryption: schemas.encryption,
+      objectLock: schemas.objectLock,
+      checksumAlgorithm: schemas.checksumAlgorithm,
+      contentMd5: Joi.boolean().default(false),
+      customerKey: Joi.boolean().default(false),
+    }).optionalKeys('tags', 'permissions', 'metadata', 'encryption', 'objectLock'));
+
+    if (opts.customerKey) {
+      throw new Error('SSE-C (customerKey) is not supported for multipart uploads, ' +
+        'use generateSinglepartRequest for objects up to 5GB');
+    }
 
     let {
       bucket,
@@ -450,12 +880,21 @@ class Controller {
       transferSha256,
       size,
       transferSize,
+      tags,
       permissions,
       storageClass,
       metadata,
       contentType,
       contentDisposition,
       contentEncoding,
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+      encryption,
+      objectLock,
+      checksumAlgorithm,
+      contentMd5,
     } = opts;
 
     if (size <= 0) {
@@ -466,6 +905,10 @@ class Controller {
       throw new Error('Object must total fewer than 5 TB'); 
     }
 
+    if (tags && Object.keys(tags).length > 0 && !this.taggingOnInitiate) {
+      throw new Error('Tags must be given to completeMultipartUpload when taggingOnInitiate is false');
+    }
+
     let headers = {
       'content-sha256': sha256,
       'content-length': size,
@@ -494,6 +937,15 @@ class Controller {
 
     headers = this.__generateMetadataHeaders(metadata, headers);
 
+    let standardHeaders = this.__generateStandardHeaders({
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+    });
+    this.__checkHeaderBudget(headers, standardHeaders);
+    Object.assign(headers, standardHeaders);
+
     headers['x-amz-storage-class'] = storageClass;
 
     if (contentType) {
@@ -504,6 +956,8 @@ class Controller {
     }
     headers['content-encoding'] = contentEncoding || 'identity';
 
+    Object.assign(headers, this.__taggingHeaders(tags));
+
     // If we have permissions, set those values on the headers
     if (permissions) {
       let permHeaders = this.__determinePermissionsHeaders(permissions);
@@ -512,27 +966,48 @@ class Controller {
       }
     }
 
-    let signedRequest = aws4.sign(this.__generateRequestBase({
+    // The encryption of a multipart upload is decided when it is initiated
+    if (encryption) {
+      Object.assign(headers, encryptionHeaders(encryption));
+    }
+
+    // S3 only accepts parts of an Object Lock upload with a checksum
+    if (objectLock) {
+      Object.assign(headers, this.__determineObjectLockHeaders(objectLock));
+      if (!checksumAlgorithm && !contentMd5) {
+        throw new Error('Object Lock uploads require a checksumAlgorithm or contentMd5');
+      }
+    }
+
+    if (checksumAlgorithm) {
+      headers['x-amz-checksum-algorithm'] = checksumAlgorithm;
+    }
+
+    return this.__initiateUpload({bucket, key, headers});
+  }
+
+  // Run the initiate request for a multipart upload with already validated
+  // headers and return the UploadId.  This is shared by uploads and copies
+  async __initiateUpload({bucket, key, headers}) {
+    let signedRequest = await this.__sign(this.__generateRequestBase({
       bucket,
       key,
       method: 'POST',
       query: 'uploads=',
       headers: headers,
-    }), this.credentials);
+    }));
     
     let response = await this.runner({
       req: this.__serializeRequest(signedRequest)
     });
 
-    let parsedResponse = parseS3Response(response.body);
+    if (response.statusCode !== 200) {
+      throw responseError(response, 'Could not initiate multipart upload');
+    }
 
-    let uploadId = this.__getUploadId(parsedResponse, bucket, key);
+    let parsedResponse = parseS3Response(response.body);
 
-    if (response.statusCode === 200) {
-      return uploadId;
-    } else {
-      throw new Error('Could not initiate multipart upload');
-    }
+    return this.__getUploadId(parsedResponse, bucket, key);
   }
 
   /**
@@ -542,6 +1017,38 @@ class Controller {
    * describing the S3 upload parts.  They should be in the format {sha256:
    * '...', offset: int, size: int}
    *
+   * When presigned is true, the requests are signed in the query string and
+   * are valid for `expires` seconds so that browsers can run them.  Like
+   * presigned single part uploads, the x-amz-* headers are moved into the
+   * query string.  The content-length and Content-MD5 of each part are still
+   * signed, but S3 cannot verify the sha256 of a query signed part.
+   *
+   * When resume is true, the parts which S3 already has for this upload are
+   * listed first and no request is generated for a part which is already
+   * there with the expected size and content.  Instead of a list of requests,
+   * an object in the form {requests, etags} is returned.  Both lists have an
+   * entry for each part.  A part which does not need uploading has a null
+   * request and the ETag S3 has for it, and a part which does has a request
+   * and a null ETag.  S3 only stores an MD5 based ETag for a part, so the
+   * sha256 of an existing part cannot be checked.  Its ETag is compared with
+   * the md5 of the part instead, and parts without an md5 are always uploaded
+   * again.
+   *
+   * The checksumAlgorithm must be given if the upload was initiated with one,
+   * which Object Lock uploads are.  S3 then verifies and stores the checksum
+   * of each part, and the checksums are needed to complete the upload.  For
+   * CRC32C, each part must have the base64 crc32c of its data.  When resuming
+   * with a checksumAlgorithm, the result also has a checksums list with the
+   * checksum of every part, whether it is uploaded again or not, which can be
+   * given to completeMultipartUpload as is.  A part which S3 has with a
+   * different checksum is uploaded again.
+   *
+   * Parts with a base64 md5 are sent with a signed Content-MD5 header, so S3
+   * rejects a part whose data does not match.
+   *
+   * Like initiateMultipartUpload, this rejects a customerKey of true, since
+   * SSE-C is only supported for single part uploads.
+   *
    * NOTE: It is required that the process that eventually runs this request
    * parse the response to get the Etag for the purpose of completing the
    * upload
@@ -554,10 +1061,29 @@ class Controller {
       key: schemas.key.required(),
       uploadId: Joi.string().required(),
       parts: schemas.parts.required(),
+      presigned: Joi.boolean().default(false),
+      expires: schemas.expires,
+      resume: Joi.boolean().default(false),
+      checksumAlgorithm: schemas.checksumAlgorithm,
+      customerKey: Joi.boolean().default(false),
     }));
 
-    let {bucket, key, uploadId, parts} = opts;
+    if (opts.customerKey) {
+      throw new Error('SSE-C (customerKey) is not supported for multipart uploads, ' +
+        'use generateSinglepartRequest for objects up to 5GB');
+    }
+
+    let {bucket, key, uploadId, parts, presigned, expires, resume, checksumAlgorithm} = opts;
     let requests = [];
+    let etags = [];
+    let checksums = [];
+
+    let existing = new Map();
+    if (resume) {
+      for await (let part of this.listParts({bucket, key, uploadId})) {
+        existing.set(part.partNumber, part);
+      }
+    }
 
     for (let num = 1 ; num <= parts.length ; num++) {
       let part = parts[num - 1];
@@ -569,30 +1095,68 @@ class Controller {
         throw new Error(`Part ${num}/${parts.length} must be more than 5MB, except last`);
       }
 
-      let signedRequest = aws4.sign(this.__generateRequestBase({
+      let partChecksumHeaders = checksumAlgorithm ? checksumHeaders(checksumAlgorithm, part) : {};
+      let checksum = checksumAlgorithm ? partChecksumHeaders[checksumHeader(checksumAlgorithm)] : undefined;
+      checksums.push(checksum);
+
+      let uploaded = existing.get(num);
+      if (uploaded && uploaded.size === part.size && part.md5 &&
+          uploaded.etag.replace(/"/g, '') === Buffer.from(part.md5, 'base64').toString('hex') &&
+          (!uploaded.checksum || uploaded.checksum.value === checksum)) {
+        requests.push(null);
+        etags.push(uploaded.etag);
+        continue;
+      }
+      etags.push(null);
+
+      let query = `partNumber=${num}&uploadId=${uploadId}`;
+
+      if (presigned) {
+        // The checksum headers are moved into the query string, the same as
+        // for presigned single part uploads
+        let hoisted = this.__hoistAmzHeaders(Object.assign({
+          'content-length': Number(part.size).toString(10),
+        }, this.__md5Headers(part.md5), partChecksumHeaders));
+        let {request, expires: expiry} = await this.__presign(this.__generateRequestBase({
+          bucket,
+          key,
+          method: 'PUT',
+          query: hoisted.query ? `${query}&${hoisted.query}` : query,
+          headers: hoisted.headers,
+        }), expires);
+
+        requests.push(this.__serializeRequest(request, expiry));
+        continue;
+      }
+
+      let signedRequest = await this.__sign(this.__generateRequestBase({
         bucket,
         key,
         method: 'PUT',
-        query: `partNumber=${num}&uploadId=${uploadId}`,
-        headers: {
+        query,
+        headers: Object.assign({
           'x-amz-content-sha256': part.sha256,
           'content-length': Number(part.size).toString(10),
-        },
-      }), this.credentials);
+        }, this.__md5Headers(part.md5), partChecksumHeaders),
+      }));
 
       requests.push(this.__serializeRequest(signedRequest));
     }
 
+    if (resume && checksumAlgorithm) {
+      return {requests, etags, checksums};
+    } else if (resume) {
+      return {requests, etags};
+    }
     return requests;
   }
 
   /**
-   * This method is used to tag resources, and only after completion.  This is
-   * done to maintain parity with single part uploads and should *not* be
-   * relied upon to be atomic.  This is designed to be used in things like the
-   * cost explorer.  It is not intended to be part of the public api of this
-   * library, hence the name.  If it were possible to tag the multipart upload
-   * at object creation as it is with single part uploads, we'd do that instead
+   * This method is used to tag multipart uploads after completion, for
+   * S3-compatible stores which cannot tag them when they are initiated.  This
+   * should *not* be relied upon to be atomic, since the object exists without
+   * tags in between.  It is not intended to be part of the public api of this
+   * library, hence the name, use putObjectTagging instead.
    *
    * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUTtagging.html
    */
@@ -600,266 +1164,2012 @@ class Controller {
     opts = runSchema(opts, Joi.object().keys({
       bucket: schemas.bucket.required(),
       key: schemas.key.required(),
+      versionId: Joi.string(),
       tags: schemas.tags.required(),
     }));
 
-    let {bucket, key, tags} = opts;
+    return this.putObjectTagging(opts);
+  }
+
+  /**
+   * Read the tags of an object, or of a specific version of it, into an
+   * object of key-value pairs
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectGETtagging.html
+   */
+  async getObjectTagging(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+    }));
 
-    this.__validateTags(tags);
+    let {bucket, key, versionId} = opts;
 
-    let requestBody = this.__generateTagSetBody(tags);
+    let query = {tagging: ''};
+    if (versionId) {
+      query.versionId = versionId;
+    }
 
-    let unsignedRequest = this.__generateRequestBase({
+    let signedRequest = await this.__sign(this.__generateRequestBase({
       bucket,
       key,
-      method: 'PUT',
-      query: 'tagging=',
-    });
-
-    unsignedRequest.body = requestBody;
-    
-    let signedRequest = aws4.sign(unsignedRequest, this.credentials);
+      method: 'GET',
+      query: qs.stringify(query),
+    }));
 
     let response = await this.runner({
       req: this.__serializeRequest(signedRequest),
-      body: requestBody,
     });
 
-    parseS3Response(response.body);
-
     if (response.statusCode !== 200) {
-      throw new Error('Could not tag object');
+      throw responseError(response, 'Could not get object tags');
+    }
+
+    let doc = parseS3Response(response.body);
+
+    if (!doc || doc.root().name() !== 'Tagging') {
+      throw new Error('Document does not have Tagging');
     }
+
+    let tags = {};
+    for (let tagSet of doc.root().childNodes()) {
+      if (tagSet.name() !== 'TagSet') {
+        continue;
+      }
+      for (let tag of tagSet.childNodes()) {
+        if (tag.name() === 'Tag') {
+          let {Key, Value} = this.__getChildValues(tag);
+          tags[Key] = Value;
+        }
+      }
+    }
+
+    return tags;
   }
 
   /**
-   * Mark a multipart upload as completed. 
+   * Replace all of the tags of an object, or of a specific version of it.
+   * The same limits apply as for tags given at upload time
    *
-   * http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadComplete.html
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUTtagging.html
    */
-  async completeMultipartUpload(opts) {
-    opts = runSchema(opts, Joi.object({
+  async putObjectTagging(opts) {
+    opts = runSchema(opts, Joi.object().keys({
       bucket: schemas.bucket.required(),
       key: schemas.key.required(),
-      etags: schemas.etags.required(),
-      tags: schemas.tags,
-      uploadId: schemas.uploadId.required(),
-    }).optionalKeys('tags'));
+      versionId: Joi.string(),
+      tags: schemas.tags.required(),
+    }));
 
-    let {bucket, key, uploadId, etags, tags} = opts;
+    let {bucket, key, versionId, tags} = opts;
 
-    // I'm not sure why, but for some reason the AWS4 library generates the
-    // incorrect SHA256 for *this* and only *this* body.  I have to calculate
-    // the body sha256 myself, or else what happens is that the requestBody
-    // string is hashed with its value and an extra newline character, but then
-    // the data written does not have that newline, and never did.  I suspect
-    // that there's something broken in the aws4 library here
-    let requestBody = this.__generateCompleteUploadBody(etags);
-    let requestBodySha256 = crypto.createHash('sha256').update(requestBody);
+    this.__validateTags(tags);
 
-    let signedRequest = aws4.sign(this.__generateRequestBase({
+    let requestBody = this.__generateTagSetBody(tags);
+
+    let query = {tagging: ''};
+    if (versionId) {
+      query.versionId = versionId;
+    }
+
+    let unsignedRequest = this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'PUT',
+      query: qs.stringify(query),
+    });
+
+    unsignedRequest.body = requestBody;
+    
+    let signedRequest = await this.__sign(unsignedRequest);
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+      body: requestBody,
+    });
+
+    if (response.statusCode !== 200) {
+      throw responseError(response, 'Could not tag object');
+    }
+
+    // S3 can return an error in the body of a successful response
+    parseS3Response(response.body);
+  }
+
+  /**
+   * Remove all of the tags of an object, or of a specific version of it
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectDELETEtagging.html
+   */
+  async deleteObjectTagging(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+    }));
+
+    let {bucket, key, versionId} = opts;
+
+    let query = {tagging: ''};
+    if (versionId) {
+      query.versionId = versionId;
+    }
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'DELETE',
+      query: qs.stringify(query),
+      headers: {
+        'content-length': 0,
+      },
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+    });
+
+    if (response.statusCode !== 204) {
+      throw responseError(response, 'Could not delete object tags');
+    }
+
+    // S3 can return an error in the body of a successful response
+    parseS3Response(response.body);
+  }
+
+  /**
+   * Read the Object Lock retention of an object, or of a specific version of
+   * it.  Returns an object in the form {mode, retainUntil: Date}, or undefined
+   * when the object has no retention
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObjectRetention.html
+   */
+  async getObjectRetention(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+    }));
+
+    let {bucket, key, versionId} = opts;
+
+    let doc = await this.__getObjectLockDocument({bucket, key, versionId, subresource: 'retention'});
+    if (!doc) {
+      return undefined;
+    }
+
+    if (doc.root().name() !== 'Retention') {
+      throw new Error('Document does not have Retention');
+    }
+
+    let values = this.__getChildValues(doc.root());
+    return {
+      mode: values.Mode,
+      retainUntil: new Date(values.RetainUntilDate),
+    };
+  }
+
+  /**
+   * Set the Object Lock retention of an object, or of a specific version of
+   * it.  S3 always allows retention to be extended.  Shortening or removing
+   * GOVERNANCE retention needs the s3:BypassGovernanceRetention permission and
+   * bypassGovernanceRetention to be true, and COMPLIANCE retention can never
+   * be shortened
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObjectRetention.html
+   */
+  async putObjectRetention(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      mode: Joi.string().valid(['GOVERNANCE', 'COMPLIANCE']).required(),
+      retainUntil: Joi.date().min('now').required(),
+      bypassGovernanceRetention: Joi.boolean().default(false),
+    }));
+
+    let {bucket, key, versionId, mode, retainUntil, bypassGovernanceRetention} = opts;
+
+    let doc = new libxml.Document();
+    doc.node('Retention')
+      .node('Mode', mode).parent()
+      .node('RetainUntilDate', retainUntil.toISOString());
+
+    let headers = {};
+    if (bypassGovernanceRetention) {
+      headers['x-amz-bypass-governance-retention'] = 'true';
+    }
+
+    await this.__putObjectLockDocument({
+      bucket,
+      key,
+      versionId,
+      subresource: 'retention',
+      body: doc.toString().trim(),
+      headers,
+    });
+  }
+
+  /**
+   * Find out whether an object, or a specific version of it, has a legal
+   * hold.  Returns true or false
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObjectLegalHold.html
+   */
+  async getObjectLegalHold(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+    }));
+
+    let {bucket, key, versionId} = opts;
+
+    let doc = await this.__getObjectLockDocument({bucket, key, versionId, subresource: 'legal-hold'});
+    if (!doc) {
+      return false;
+    }
+
+    if (doc.root().name() !== 'LegalHold') {
+      throw new Error('Document does not have LegalHold');
+    }
+
+    return this.__getChildValues(doc.root()).Status === 'ON';
+  }
+
+  /**
+   * Place or remove a legal hold on an object, or on a specific version of it
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObjectLegalHold.html
+   */
+  async putObjectLegalHold(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      legalHold: Joi.boolean().required(),
+    }));
+
+    let {bucket, key, versionId, legalHold} = opts;
+
+    let doc = new libxml.Document();
+    doc.node('LegalHold').node('Status', legalHold ? 'ON' : 'OFF');
+
+    await this.__putObjectLockDocument({
+      bucket,
+      key,
+      versionId,
+      subresource: 'legal-hold',
+      body: doc.toString().trim(),
+    });
+  }
+
+  // Read the retention or legal-hold document of an object.  S3 responds with
+  // an error instead of an empty document when there is none, which is not a
+  // failure here, so undefined is returned instead
+  async __getObjectLockDocument({bucket, key, versionId, subresource}) {
+    let query = {};
+    query[subresource] = '';
+    if (versionId) {
+      query.versionId = versionId;
+    }
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'GET',
+      query: qs.stringify(query),
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+    });
+
+    if (response.statusCode !== 200) {
+      let err = responseError(response, `Could not get object ${subresource}`);
+      if (err.code === 'NoSuchObjectLockConfiguration') {
+        return undefined;
+      }
+      throw err;
+    }
+
+    let doc = parseS3Response(response.body);
+
+    if (!doc) {
+      throw new Error(`Could not get object ${subresource}`);
+    }
+
+    return doc;
+  }
+
+  // Write the retention or legal-hold document of an object.  S3 requires a
+  // Content-MD5 for both
+  async __putObjectLockDocument({bucket, key, versionId, subresource, body, headers}) {
+    let query = {};
+    query[subresource] = '';
+    if (versionId) {
+      query.versionId = versionId;
+    }
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'PUT',
+      query: qs.stringify(query),
+      headers: Object.assign(this.__xmlBodyHeaders(body), headers),
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+      body,
+    });
+
+    if (response.statusCode !== 200) {
+      throw responseError(response, `Could not put object ${subresource}`);
+    }
+
+    // S3 can return an error in the body of a successful response
+    parseS3Response(response.body);
+  }
+
+  // The signed Content-MD5 header for data with a base64 md5, if it has one
+  __md5Headers(md5) {
+    return md5 ? {'content-md5': md5} : {};
+  }
+
+  // The signed headers of a conditional write.  S3 rejects writes whose
+  // condition does not hold with a PreconditionFailedError
+  __conditionHeaders({ifNoneMatch, ifMatch}) {
+    let headers = {};
+    if (ifNoneMatch) {
+      headers['if-none-match'] = ifNoneMatch;
+    }
+    if (ifMatch) {
+      headers['if-match'] = ifMatch;
+    }
+    return headers;
+  }
+
+  /**
+   * Mark a multipart upload as completed.  If the upload was initiated with
+   * a checksumAlgorithm, the checksum of each part must be given in checksums
+   *
+   * When the base64 md5 of each part is given in md5s, the ETag S3 returns is
+   * compared with the one expected for those parts and an IntegrityError is
+   * thrown if they differ.  This is only possible for objects which are not
+   * encrypted with SSE-KMS, because S3 uses a different ETag for those.
+   *
+   * Tags given here are added in a separate request once the upload is
+   * completed, which is not atomic.  This is needed when the Controller's
+   * taggingOnInitiate option is false, for stores which cannot tag uploads
+   * when they are initiated.  Otherwise, tags should be given to
+   * initiateMultipartUpload instead.  An empty tags object is ignored.
+   *
+   * With ifNoneMatch: '*', the upload is only completed if there is no object
+   * at the key yet, and with ifMatch, only if the object at the key has that
+   * ETag.  Otherwise a PreconditionFailedError is thrown and the upload is
+   * left in place, so it must be aborted or completed again.
+   *
+   * Returns an object in the form:
+   *   { etag, versionId }
+   * where the versionId is only set in buckets with versioning enabled
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadComplete.html
+   */
+  async completeMultipartUpload(opts) {
+    opts = runSchema(opts, Joi.object({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      etags: schemas.etags.required(),
+      tags: schemas.tags,
+      uploadId: schemas.uploadId.required(),
+      checksumAlgorithm: schemas.checksumAlgorithm,
+      checksums: schemas.checksums,
+      md5s: Joi.array().min(1).max(10000).items(schemas.md5.required()),
+      ifNoneMatch: schemas.ifNoneMatch,
+      ifMatch: schemas.ifMatch,
+    }).and('checksumAlgorithm', 'checksums').without('ifNoneMatch', 'ifMatch').optionalKeys('tags'));
+
+    let {bucket, key, uploadId, etags, tags, checksumAlgorithm, checksums, md5s, ifNoneMatch, ifMatch} = opts;
+
+    if (tags && Object.keys(tags).length === 0) {
+      tags = undefined;
+    }
+    if (tags && this.taggingOnInitiate) {
+      debug(`WARNING: tagging ${bucket}/${key} after completion, tags should be given to initiateMultipartUpload`);
+    }
+
+    if (md5s && md5s.length !== etags.length) {
+      throw new Error('There must be an md5 for each part');
+    }
+
+    // I'm not sure why, but for some reason the AWS4 library generates the
+    // incorrect SHA256 for *this* and only *this* body.  I have to calculate
+    // the body sha256 myself, or else what happens is that the requestBody
+    // string is hashed with its value and an extra newline character, but then
+    // the data written does not have that newline, and never did.  I suspect
+    // that there's something broken in the aws4 library here
+    let requestBody = this.__generateCompleteUploadBody(etags, checksumAlgorithm, checksums);
+    let requestBodySha256 = crypto.createHash('sha256').update(requestBody);
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
       bucket,
       key,
       method: 'POST',
       query: `uploadId=${uploadId}`,
-      headers: {
+      headers: Object.assign({
         'X-Amz-Content-Sha256': requestBodySha256.digest('hex'),
         'Content-Length': requestBody.length,
+      }, this.__conditionHeaders({ifNoneMatch, ifMatch})),
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+      body: requestBody,
+    });
+
+    if (response.statusCode !== 200) {
+      throw responseError(response, 'Could not complete a multipart upload');
+    }
+
+    // S3 can return an error in the body of a 200 response to a complete
+    let parsedResponse = parseS3Response(response.body);
+
+    let multipartEtag = this.__getMultipartEtag(parsedResponse, bucket, key);
+
+    // S3 quotes the ETag in the response, but we only have its value
+    if (md5s) {
+      let expected = expectedMultipartEtag(md5s);
+      let actual = multipartEtag.replace(/"/g, '');
+      if (actual !== expected) {
+        throw new IntegrityError(
+          `${bucket}/${key} has ETag ${actual} but the uploaded parts should have ETag ${expected}`,
+          {bucket, key, uploadId, expected, actual});
+      }
+    }
+
+    let versionId = response.headers['x-amz-version-id'];
+
+    // Tag the version which was just created, in case another one was
+    // written in the meantime
+    if (tags) {
+      await this.__tagObject({bucket, key, versionId, tags});
+    }
+
+    return {etag: multipartEtag, versionId};
+  }
+
+  // http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadAbort.html
+  async abortMultipartUpload(opts) {
+   opts = runSchema(opts, Joi.object({
+     bucket: schemas.bucket.required(),
+     key: schemas.key.required(),
+     uploadId: schemas.uploadId.required(),
+   }));
+
+    let {bucket, key, uploadId} = opts;
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'DELETE',
+      headers: {
+        'content-length': 0,
+        'x-amx-content-sha256': emptysha256,
       },
-    }), this.credentials);
+      query: `uploadId=${uploadId}`,
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+    });
+
+    if (response.statusCode !== 204) {
+      throw responseError(response, 'Could not abort multipart upload');
+    }
+
+    // S3 can return an error in the body of a successful response
+    parseS3Response(response.body);
+  }
+
+  /**
+   * List the multipart uploads which have been initiated but not completed or
+   * aborted, optionally only those for keys starting with a prefix.  This is
+   * an async iterator which requests further pages as they are needed.  Each
+   * upload is in the form:
+   *   { key, uploadId, initiated: Date, storageClass }
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadListMPUpload.html
+   */
+  async *listMultipartUploads(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      prefix: Joi.string(),
+      pageSize: Joi.number().integer().min(1).max(1000).default(1000),
+    }));
+
+    let {bucket, prefix, pageSize} = opts;
+    let keyMarker;
+    let uploadIdMarker;
+
+    while (true) {
+      let query = {uploads: '', 'max-uploads': pageSize};
+      if (prefix) {
+        query.prefix = prefix;
+      }
+      if (keyMarker) {
+        query['key-marker'] = keyMarker;
+      }
+      if (uploadIdMarker) {
+        query['upload-id-marker'] = uploadIdMarker;
+      }
+
+      let signedRequest = await this.__sign(this.__generateRequestBase({
+        bucket,
+        method: 'GET',
+        query: qs.stringify(query),
+      }));
+
+      let response = await this.runner({
+        req: this.__serializeRequest(signedRequest),
+      });
+
+      if (response.statusCode !== 200) {
+        throw responseError(response, 'Could not list multipart uploads');
+      }
+
+      let doc = parseS3Response(response.body);
+
+      if (!doc || doc.root().name() !== 'ListMultipartUploadsResult') {
+        throw new Error('Document does not have ListMultipartUploadsResult');
+      }
+
+      let isTruncated = false;
+      for (let child of doc.root().childNodes()) {
+        switch (child.name()) {
+          case 'Upload': {
+            let upload = this.__getChildValues(child);
+            yield {
+              key: upload.Key,
+              uploadId: upload.UploadId,
+              initiated: new Date(upload.Initiated),
+              storageClass: upload.StorageClass,
+            };
+            break;
+          }
+          case 'IsTruncated':
+            isTruncated = child.text() === 'true';
+            break;
+          case 'NextKeyMarker':
+            keyMarker = child.text();
+            break;
+          case 'NextUploadIdMarker':
+            uploadIdMarker = child.text();
+            break;
+        }
+      }
+
+      if (!isTruncated) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Iterate over the parts which have been uploaded so far for a multipart
+   * upload.  This is an async iterator which requests the next page of parts
+   * from S3 as it is needed.  Each part is in the form {partNumber, etag,
+   * size, lastModified, checksum}, where the checksum is only set for uploads
+   * initiated with a checksumAlgorithm and is in the form {algorithm, value}
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadListParts.html
+   */
+  async *listParts(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      uploadId: Joi.string().required(),
+      pageSize: Joi.number().integer().min(1).max(1000).default(1000),
+    }));
+
+    let {bucket, key, uploadId, pageSize} = opts;
+    let partNumberMarker;
+
+    while (true) {
+      let query = {uploadId, 'max-parts': pageSize};
+      if (partNumberMarker) {
+        query['part-number-marker'] = partNumberMarker;
+      }
+
+      let signedRequest = await this.__sign(this.__generateRequestBase({
+        bucket,
+        key,
+        method: 'GET',
+        query: qs.stringify(query),
+      }));
+
+      let response = await this.runner({
+        req: this.__serializeRequest(signedRequest),
+      });
+
+      if (response.statusCode !== 200) {
+        throw responseError(response, 'Could not list parts');
+      }
+
+      let doc = parseS3Response(response.body);
+
+      if (!doc || doc.root().name() !== 'ListPartsResult') {
+        throw new Error('Document does not have ListPartsResult');
+      }
+
+      let isTruncated = false;
+      for (let child of doc.root().childNodes()) {
+        switch (child.name()) {
+          case 'Part': {
+            let part = this.__getChildValues(child);
+            let result = {
+              partNumber: Number.parseInt(part.PartNumber, 10),
+              etag: part.ETag,
+              size: Number.parseInt(part.Size, 10),
+              lastModified: new Date(part.LastModified),
+            };
+            for (let algorithm of checksumAlgorithms) {
+              if (part['Checksum' + algorithm]) {
+                result.checksum = {algorithm, value: part['Checksum' + algorithm]};
+              }
+            }
+            yield result;
+            break;
+          }
+          case 'IsTruncated':
+            isTruncated = child.text() === 'true';
+            break;
+          case 'NextPartNumberMarker':
+            partNumberMarker = child.text();
+            break;
+        }
+      }
+
+      if (!isTruncated) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Abort the multipart uploads which were initiated before olderThan,
+   * optionally only those for keys starting with a prefix.  Uploads which
+   * fail to abort, for example because they were completed in the meantime,
+   * do not stop the others from being aborted.  With dryRun, nothing is
+   * aborted and the stale uploads are only reported.  Returns a list of the
+   * stale uploads in the form:
+   *   { key, uploadId, initiated: Date, storageClass, aborted: bool, error }
+   */
+  async abortStaleUploads(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      prefix: Joi.string(),
+      olderThan: Joi.date().required(),
+      dryRun: Joi.boolean().default(false),
+    }));
+
+    let {bucket, prefix, olderThan, dryRun} = opts;
+    let stale = [];
+
+    for await (let upload of this.listMultipartUploads({bucket, prefix})) {
+      if (upload.initiated >= olderThan) {
+        continue;
+      }
+
+      upload.aborted = false;
+      stale.push(upload);
+
+      if (dryRun) {
+        continue;
+      }
+
+      try {
+        await this.abortMultipartUpload({bucket, key: upload.key, uploadId: upload.uploadId});
+        upload.aborted = true;
+      } catch (err) {
+        debug(`WARNING: could not abort ${bucket}/${upload.key} ${upload.uploadId}: ${err}`);
+        upload.error = err;
+      }
+    }
+
+    return stale;
+  }
+
+  /**
+   * Generate the general request for uploading a resource to S3
+   * in a single request.
+   *
+   * NOTE: We still set the x-amz-meta-taskcluster-content-length because
+   * the multipart uploaded things must have this value set there as well.
+   *
+   * When presigned is true, the request is signed in the query string and is
+   * valid for `expires` seconds so that browsers can run it.  The x-amz-*
+   * headers are moved into the query string and the content-length is still
+   * signed, but S3 cannot verify the sha256 of a query signed upload.
+   *
+   * When customerKey is true, the object is encrypted with a key which only
+   * the client has (SSE-C).  Only the algorithm header is signed, and the
+   * request lists the key headers in clientHeaders for the client to add.
+   * S3 rejects header signed requests with unsigned x-amz-* headers, so these
+   * requests are always signed in the query string, like presigned ones, and
+   * the sha256 is not signed or verified.  A transferMd5 or checksumAlgorithm
+   * should be given so that S3 still verifies the data.  SSE-C is only
+   * supported for single part uploads.
+   *
+   * When a checksumAlgorithm is given, S3 verifies and stores a checksum of
+   * the uploaded data.  For CRC32C, the base64 transferCrc32c of the uploaded
+   * data must be given.  S3 only accepts Object Lock uploads with a checksum
+   * or a Content-MD5, so these need a checksumAlgorithm or a transferMd5.
+   *
+   * When the base64 transferMd5 of the uploaded data is given, it is sent as a
+   * signed Content-MD5 header, so S3 rejects data which does not match.
+   *
+   * With ifNoneMatch: '*', the upload fails if there is already an object at
+   * the key, and with ifMatch, it fails unless the object at the key has that
+   * ETag.  These are signed, so the client cannot leave them out, and the
+   * client throws a PreconditionFailedError when the condition does not hold.
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUT.html
+   */
+  async generateSinglepartRequest(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      sha256: schemas.sha256.required(),
+      transferSha256: schemas.sha256,
+      size: schemas.spSize.required(),
+      transferSize: schemas.spSize,
+      tags: schemas.tags,
+      permissions: schemas.permissions,
+      storageClass: schemas.storageClass,
+      metadata: schemas.metadata,
+      contentType: schemas.contentType,
+      contentDisposition: schemas.contentDisposition,
+      contentEncoding: schemas.contentEncoding,
+      cacheControl: schemas.cacheControl,
+      contentExpires: schemas.contentExpires,
+      contentLanguage: schemas.contentLanguage,
+      websiteRedirectLocation: schemas.websiteRedirectLocation,
+      encryption: schemas.encryption,
+      customerKey: Joi.boolean().default(false),
+      objectLock: schemas.objectLock,
+      checksumAlgorithm: schemas.checksumAlgorithm,
+      transferCrc32c: schemas.crc32c,
+      transferMd5: schemas.md5,
+      ifNoneMatch: schemas.ifNoneMatch,
+      ifMatch: schemas.ifMatch,
+      presigned: Joi.boolean().default(false),
+      expires: schemas.expires,
+    }).without('ifNoneMatch', 'ifMatch').optionalKeys('tags', 'permissions', 'metadata', 'encryption', 'objectLock'));
+
+    let {
+      bucket,
+      key,
+      sha256,
+      transferSha256,
+      size,
+      transferSize,
+      tags,
+      permissions,
+      storageClass,
+      metadata,
+      contentType,
+      contentDisposition,
+      contentEncoding,
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+      encryption,
+      customerKey,
+      objectLock,
+      checksumAlgorithm,
+      transferCrc32c,
+      transferMd5,
+      ifNoneMatch,
+      ifMatch,
+      presigned,
+      expires,
+    } = opts;
+
+    if (customerKey && encryption) {
+      throw new Error('customerKey cannot be combined with encryption');
+    }
+
+    let headers = {
+      'content-sha256': sha256,
+      'content-length': size,
+    };
+
+    // Figure out content-encoding and sha256 values
+    if (contentEncoding && contentEncoding !== 'identity') {
+      if (!transferSha256) {
+        throw new Error('When using Content-Encoding, a transferSha256 value must be given');
+      }
+      headers['transfer-sha256'] = transferSha256;
+      if (!transferSize) {
+        throw new Error('When using Content-Encoding, a transfer-size must be given');
+      }
+      headers['transfer-length'] = transferSize;
+    } else {
+      if (transferSha256 && transferSha256 !== sha256) {
+        throw new Error('When not using content-encoding, optional parameter transferSha256 must match sha256');
+      }
+      headers['transfer-sha256'] = sha256;
+      transferSha256 = sha256;
+      if (transferSize && transferSize !== size) {
+        throw new Error('When not using content-encoding, optional parameter transferSize must match size');
+      }
+      headers['transfer-length'] = size;
+      transferSize = size;
+    }
+
+    headers = this.__generateMetadataHeaders(metadata, headers);
+
+    let standardHeaders = this.__generateStandardHeaders({
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+    });
+    this.__checkHeaderBudget(headers, standardHeaders);
+    Object.assign(headers, standardHeaders);
+
+    headers['x-amz-storage-class'] = storageClass;
+    headers['x-amz-content-sha256'] = transferSha256;
+    headers['content-length'] = Number(transferSize).toString(10);
+
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+    if (contentDisposition) {
+      headers['content-disposition'] = contentDisposition;
+    }
+    headers['content-encoding'] = contentEncoding || 'identity';
+
+    Object.assign(headers, this.__taggingHeaders(tags));
+
+    if (permissions) {
+      let permHeaders = this.__determinePermissionsHeaders(permissions);
+      for (let tuple of permHeaders) {
+        headers[tuple[0]] = tuple[1];
+      }
+    }
+
+    if (encryption) {
+      Object.assign(headers, encryptionHeaders(encryption));
+    }
+
+    if (customerKey) {
+      headers[customerAlgorithmHeader] = customerAlgorithm;
+    }
+
+    if (objectLock) {
+      Object.assign(headers, this.__determineObjectLockHeaders(objectLock));
+      if (!checksumAlgorithm && !transferMd5) {
+        throw new Error('Object Lock uploads require a checksumAlgorithm or transferMd5');
+      }
+    }
+
+    if (checksumAlgorithm) {
+      Object.assign(headers, checksumHeaders(checksumAlgorithm, {
+        sha256: transferSha256,
+        crc32c: transferCrc32c,
+      }));
+    }
+
+    Object.assign(headers, this.__md5Headers(transferMd5));
+    Object.assign(headers, this.__conditionHeaders({ifNoneMatch, ifMatch}));
+
+    if (presigned || customerKey) {
+      let hoisted = this.__hoistAmzHeaders(headers);
+      let {request, expires: expiry} = await this.__presign(this.__generateRequestBase({
+        bucket,
+        key,
+        method: 'PUT',
+        query: hoisted.query,
+        headers: hoisted.headers,
+      }), expires);
+
+      return this.__serializeRequest(request, expiry,
+        customerKey ? customerKeyHeaders.slice() : undefined);
+    }
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'PUT',
+      headers: headers,
+    }));
+
+    return this.__serializeRequest(signedRequest);
+  }
+
+  /**
+   * Generate the request for a single part upload of data whose sha256 is not
+   * known before it is uploaded, like the output of a pipe.  Only the size
+   * must be known.  The body is sent in the aws-chunked encoding, where every
+   * chunk of `chunkSize` bytes is signed as it is sent.
+   *
+   * The request has a streaming property with the seed signature and what is
+   * needed to sign the chunks, which Client.prototype.runStreamingUpload uses.
+   * NOTE: This includes the signing key, which is scoped to the day, region
+   * and service, not to this request.  It can sign any request that the
+   * Controller's credentials allow for the rest of the UTC day in this region,
+   * so the Controller must be constructed with allowSigningKeyExport: true.
+   * These requests should only be given to processes which would be trusted
+   * with such credentials, or the Controller should use short-lived
+   * credentials which only allow writing this key.  Other callers should use
+   * a multipart upload with presigned parts instead.
+   *
+   * The sha256 of the data is not known when the request is signed, so the
+   * x-amz-meta-content-sha256 and x-amz-meta-transfer-sha256 values which
+   * downloads verify are missing until they are recorded with
+   * completeStreamingUpload.
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html
+   */
+  async generateStreamingRequest(opts) {
+    if (!this.allowSigningKeyExport) {
+      throw new Error('Streaming uploads export the signing key, which requires ' +
+        'allowSigningKeyExport: true.  Use a multipart upload with presigned parts instead');
+    }
+
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      size: schemas.spSize.required(),
+      chunkSize: Joi.number().integer().min(8 * 1024).max(5 * 1024 * 1024).default(64 * 1024),
+      tags: schemas.tags,
+      permissions: schemas.permissions,
+      storageClass: schemas.storageClass,
+      metadata: schemas.metadata,
+      contentType: schemas.contentType,
+      contentDisposition: schemas.contentDisposition,
+      cacheControl: schemas.cacheControl,
+      contentExpires: schemas.contentExpires,
+      contentLanguage: schemas.contentLanguage,
+      websiteRedirectLocation: schemas.websiteRedirectLocation,
+    }).optionalKeys('tags', 'permissions', 'metadata'));
+
+    let {
+      bucket,
+      key,
+      size,
+      chunkSize,
+      tags,
+      permissions,
+      storageClass,
+      metadata,
+      contentType,
+      contentDisposition,
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+    } = opts;
+
+    let headers = this.__generateMetadataHeaders(metadata, {
+      'content-length': size,
+      'transfer-length': size,
+    });
+
+    let standardHeaders = this.__generateStandardHeaders({
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+    });
+    this.__checkHeaderBudget(headers, standardHeaders);
+    Object.assign(headers, standardHeaders);
+
+    headers['x-amz-storage-class'] = storageClass;
+    headers['x-amz-content-sha256'] = STREAMING_PAYLOAD;
+    headers['x-amz-decoded-content-length'] = Number(size).toString(10);
+    headers['content-length'] = Number(chunkedContentLength(size, chunkSize)).toString(10);
+    // S3 removes aws-chunked and stores no Content-Encoding
+    headers['content-encoding'] = 'aws-chunked';
+
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+    if (contentDisposition) {
+      headers['content-disposition'] = contentDisposition;
+    }
+
+    Object.assign(headers, this.__taggingHeaders(tags));
+
+    if (permissions) {
+      for (let [name, value] of this.__determinePermissionsHeaders(permissions)) {
+        headers[name] = value;
+      }
+    }
+
+    // The signing key must be derived from the same credentials and date as
+    // the seed signature
+    let credentials = await this.credentials();
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'PUT',
+      headers,
+    }), credentials);
+
+    let date = signedRequest.headers['X-Amz-Date'];
+    let scope = {date: date.slice(0, 8), region: this.region, service: 's3'};
+
+    let request = this.__serializeRequest(signedRequest);
+    request.streaming = {
+      signingKey: deriveSigningKey(Object.assign({
+        secretAccessKey: credentials.secretAccessKey,
+      }, scope)).toString('hex'),
+      date,
+      scope: credentialScope(scope),
+      seedSignature: /Signature=([0-9a-f]{64})$/.exec(signedRequest.headers.Authorization)[1],
+      chunkSize,
+    };
+
+    InterchangeFormat.validate(request);
+    return request;
+  }
+
+  /**
+   * Record the sha256 of an object uploaded with generateStreamingRequest,
+   * which the Client returns once the upload has finished.  S3 cannot change
+   * the metadata of an existing object, so the object is copied onto itself
+   * with the sha256 added to its metadata.  The size is checked against the
+   * object first.  The copy keeps the content headers, metadata, tags and
+   * storage class of the object, but not its ACL, so non-default permissions
+   * must be given again.  In a versioned bucket, the copy is a new version.
+   * When the sha256 is already recorded, nothing is copied, so that this can
+   * be retried safely.
+   *
+   * Returns an object in the form:
+   *   { etag, versionId }
+   */
+  async completeStreamingUpload(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      sha256: schemas.sha256.required(),
+      size: schemas.spSize.required(),
+      permissions: schemas.permissions,
+    }).optionalKeys('permissions'));
+
+    let {bucket, key, versionId, sha256, size, permissions} = opts;
+
+    let source = await this.headObject({bucket, key, versionId});
+
+    if (source.size !== size || source.contentLength !== size) {
+      throw new IntegrityError(`${bucket}/${key} has ${source.size} bytes but ${size} were uploaded`,
+        {bucket, key, expected: size, actual: source.size});
+    }
+
+    if (source.contentSha256 === sha256 && source.transferSha256 === sha256) {
+      return {etag: source.etag, versionId: source.versionId};
+    }
+    if (source.contentSha256 || source.transferSha256) {
+      throw new IntegrityError(`${bucket}/${key} already has a different sha256 recorded`,
+        {bucket, key, expected: sha256, actual: source.contentSha256 || source.transferSha256});
+    }
+
+    return this.copyObject({
+      sourceBucket: bucket,
+      sourceKey: key,
+      sourceVersionId: versionId,
+      bucket,
+      key,
+      metadataDirective: 'REPLACE',
+      metadata: Object.assign({}, source.metadata, {
+        'content-sha256': sha256,
+        'transfer-sha256': sha256,
+      }),
+      contentType: source.contentType,
+      contentDisposition: source.contentDisposition,
+      cacheControl: source.cacheControl,
+      contentExpires: source.contentExpires,
+      contentLanguage: source.contentLanguage,
+      websiteRedirectLocation: source.websiteRedirectLocation,
+      storageClass: source.storageClass,
+      permissions,
+    });
+  }
+
+  /**
+   * Generate a signed POST policy so that a browser can upload an object
+   * directly to S3 from an HTML form.  Either a key or a keyPrefix must be
+   * given.  With a keyPrefix, the filename chosen by the user is appended to
+   * the prefix by S3.  The same tag, metadata and permission rules apply as for
+   * single part uploads, except that POST uploads only support canned ACLs.
+   *
+   * Returns an object in the form:
+   *   { url: '...', fields: {name: 'value'}, expires: Date }
+   * where every field must be sent as a form field before the file field.
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html
+   */
+  async generatePostPolicy(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key,
+      keyPrefix: Joi.string().max(1024),
+      minSize: schemas.spSize.default(1),
+      maxSize: schemas.spSize.default(5 * 1024 * 1024 * 1024),
+      tags: schemas.tags,
+      permissions: schemas.permissions,
+      storageClass: schemas.storageClass,
+      metadata: schemas.metadata,
+      contentType: schemas.contentType,
+      expires: schemas.expires,
+    }).xor('key', 'keyPrefix').optionalKeys('tags', 'permissions', 'metadata'));
+
+    let {
+      bucket,
+      key,
+      keyPrefix,
+      minSize,
+      maxSize,
+      tags,
+      permissions,
+      storageClass,
+      metadata,
+      contentType,
+      expires,
+    } = opts;
+
+    if (minSize > maxSize) {
+      throw new Error('minSize must not be greater than maxSize');
+    }
+
+    this.__validateTags(tags);
+
+    // The fields are what the form sends, and each of them must be matched by
+    // a condition in the policy.  The bucket is part of the url instead
+    let fields = {};
+    let conditions = [{bucket}];
+
+    if (key) {
+      fields.key = key;
+      conditions.push({key});
+    } else {
+      fields.key = keyPrefix + '${filename}';
+      conditions.push(['starts-with', '$key', keyPrefix]);
+    }
+
+    conditions.push(['content-length-range', minSize, maxSize]);
+
+    fields['Content-Type'] = contentType;
+    fields['x-amz-storage-class'] = storageClass;
+
+    if (permissions) {
+      for (let [name, value] of this.__determinePermissionsHeaders(permissions)) {
+        if (name !== 'x-amz-acl') {
+          throw new Error('POST policies only support canned ACLs');
+        }
+        fields.acl = value;
+      }
+    }
+
+    Object.assign(fields, this.__generateMetadataHeaders(metadata));
+
+    if (tags) {
+      fields.tagging = this.__generateTagSetBody(tags);
+    }
+
+    let credentials = await this.credentials();
+    let now = new Date();
+    let date = amzDate(now);
+    let scope = {date: date.slice(0, 8), region: this.region, service: 's3'};
+
+    fields['x-amz-algorithm'] = 'AWS4-HMAC-SHA256';
+    fields['x-amz-credential'] = `${credentials.accessKeyId}/${credentialScope(scope)}`;
+    fields['x-amz-date'] = date;
+    if (credentials.sessionToken) {
+      fields['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    for (let name in fields) {
+      if (name !== 'key') {
+        let condition = {};
+        condition[name] = fields[name];
+        conditions.push(condition);
+      }
+    }
+
+    let expiry = new Date(now.getTime() + expires * 1000);
+    let policy = Buffer.from(JSON.stringify({
+      expiration: expiry.toISOString(),
+      conditions,
+    })).toString('base64');
+
+    fields.policy = policy;
+    fields['x-amz-signature'] = hmac(deriveSigningKey(Object.assign({
+      secretAccessKey: credentials.secretAccessKey,
+    }, scope)), policy, 'hex');
+
+    if (credentials.expiration && credentials.expiration < expiry) {
+      expiry = new Date(credentials.expiration.getTime());
+    }
+
+    let {hostname, path} = addressObject({host: this.s3host, port: this.s3port}, {
+      bucket,
+      vhostAddressing: this.vhostAddressing,
+    });
+
+    return {
+      url: `${this.s3protocol}//${hostname}${path}`,
+      fields,
+      expires: expiry,
+    };
+  }
+
+  /**
+   * Start restoring an object from the GLACIER or DEEP_ARCHIVE storage classes
+   * or from the archive tiers of INTELLIGENT_TIERING.  A restored copy of a
+   * GLACIER or DEEP_ARCHIVE object is readable for the given number of days,
+   * which must not be given for INTELLIGENT_TIERING objects.  Restoring takes
+   * minutes to hours depending on the tier, and its progress is in the
+   * restore property returned by headObject.
+   *
+   * Returns 'started' when the restore was started, 'inProgress' when one is
+   * already underway and 'restored' when the object is already restored, in
+   * which case S3 updates the number of days it stays restored.
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_RestoreObject.html
+   */
+  async restoreObject(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      days: Joi.number().integer().min(1),
+      tier: schemas.restoreTier,
+    }));
+
+    let {bucket, key, versionId, days, tier} = opts;
+
+    let requestBody = this.__generateRestoreBody(days, tier);
+
+    let query = {restore: ''};
+    if (versionId) {
+      query.versionId = versionId;
+    }
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'POST',
+      query: qs.stringify(query),
+      headers: this.__xmlBodyHeaders(requestBody),
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+      body: requestBody,
+    });
+
+    if (response.statusCode === 202) {
+      return 'started';
+    } else if (response.statusCode === 200) {
+      return 'restored';
+    }
+
+    let err = responseError(response, 'Could not restore object');
+    if (err.code === 'RestoreAlreadyInProgress') {
+      return 'inProgress';
+    }
+    throw err;
+  }
+
+  /**
+   * Find out what is stored at a key.  The size, ETag, storage class and
+   * content headers of the object are returned along with the values of the
+   * x-amz-meta-* headers which uploads from this library write.  Those are
+   * undefined for objects which were uploaded some other way.  Other metadata
+   * is returned in the metadata property without the x-amz-meta- prefix.
+   *
+   * Returns an object in the form:
+   *   { size, etag, lastModified, storageClass, contentType, contentEncoding,
+   *     contentDisposition, cacheControl, contentExpires, contentLanguage,
+   *     websiteRedirectLocation, versionId, encryption, objectLock, checksum,
+   *     restore, archiveStatus, contentSha256, transferSha256, contentLength,
+   *     transferLength, metadata }
+   *
+   * S3 only returns the checksum it stored for an object when asked to, which
+   * is done with the checksumMode option.  The checksum is in the form
+   * {algorithm, value} and is undefined for objects uploaded without one.
+   *
+   * For objects which are being or have been restored from an archive, the
+   * restore is in the form {ongoing, expiry}.  The expiry is the Date at which
+   * a finished restore of a GLACIER or DEEP_ARCHIVE object is removed again.
+   * The archiveStatus is the archive tier of an INTELLIGENT_TIERING object,
+   * either ARCHIVE_ACCESS or DEEP_ARCHIVE_ACCESS.
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectHEAD.html
+   */
+  async headObject(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string(),
+      checksumMode: Joi.boolean().default(false),
+    }));
+
+    let {bucket, key, versionId, checksumMode} = opts;
+
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      key,
+      method: 'HEAD',
+      query: versionId ? qs.stringify({versionId}) : undefined,
+      headers: checksumMode ? {'x-amz-checksum-mode': 'ENABLED'} : undefined,
+    }));
 
     let response = await this.runner({
       req: this.__serializeRequest(signedRequest),
-      body: requestBody,
     });
 
-    let parsedResponse = parseS3Response(response.body);
+    // HEAD responses have no body, so a 404 is all there is to go on
+    if (response.statusCode === 404) {
+      throw responseError(response, `${bucket}/${key} does not exist`, {code: 'NoSuchKey', bucket, key, versionId});
+    } else if (response.statusCode !== 200) {
+      throw responseError(response, 'Could not head object', {bucket, key, versionId});
+    }
 
-    let multipartEtag = this.__getMultipartEtag(parsedResponse, bucket, key);
+    return this.__parseObjectHeaders(response.headers);
+  }
 
-    if (response.statusCode !== 200) {
-      throw new Error('Could not complete a multipart upload');
-    }
+  // Parse and validate the headers of a HEAD or GET response for an object
+  __parseObjectHeaders(headers) {
+    let metaPrefix = 'x-amz-meta-';
 
-    if (tags) {
-      await this.__tagObject({bucket, key, tags});
+    function parseLength(name, value) {
+      if (typeof value === 'undefined') {
+        return undefined;
+      }
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a non-negative integer, not ${value}`);
+      }
+      return Number.parseInt(value, 10);
     }
 
-    return multipartEtag;
-  }
-
-  // http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadAbort.html
-  async abortMultipartUpload(opts) {
-   opts = runSchema(opts, Joi.object({
-     bucket: schemas.bucket.required(),
-     key: schemas.key.required(),
-     uploadId: schemas.uploadId.required(),
-   }));
+    function parseObjectLockHeaders(headers) {
+      let mode = headers['x-amz-object-lock-mode'];
+      let legalHold = headers['x-amz-object-lock-legal-hold'];
+      if (!mode && !legalHold) {
+        return undefined;
+      }
+      let objectLock = {};
+      if (mode) {
+        objectLock.mode = mode;
+        objectLock.retainUntil = new Date(headers['x-amz-object-lock-retain-until-date']);
+      }
+      if (legalHold) {
+        objectLock.legalHold = legalHold === 'ON';
+      }
+      return objectLock;
+    }
 
-    let {bucket, key, uploadId} = opts;
+    // This header is in the form:
+    //   ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"
+    function parseRestoreHeader(value) {
+      if (!value) {
+        return undefined;
+      }
+      let ongoing = /ongoing-request="([^"]*)"/.exec(value);
+      let expiry = /expiry-date="([^"]*)"/.exec(value);
+      return {
+        ongoing: !!ongoing && ongoing[1] === 'true',
+        expiry: expiry ? new Date(expiry[1]) : undefined,
+      };
+    }
 
-    let signedRequest = aws4.sign(this.__generateRequestBase({
-      bucket,
-      key,
-      method: 'DELETE',
-      headers: {
-        'content-length': 0,
-        'x-amx-content-sha256': emptysha256,
-      },
-      query: `uploadId=${uploadId}`,
-    }), this.credentials);
+    function parseSha256(name, value) {
+      if (typeof value === 'undefined') {
+        return undefined;
+      }
+      if (!/^[0-9a-f]{64}$/.test(value)) {
+        throw new Error(`${name} must be a hex encoded sha256, not ${value}`);
+      }
+      return value;
+    }
 
-    let response = await this.runner({
-      req: this.__serializeRequest(signedRequest),
-    });
+    let result = {
+      size: parseLength('Content-Length', headers['content-length']),
+      etag: headers.etag,
+      lastModified: headers['last-modified'] ? new Date(headers['last-modified']) : undefined,
+      // S3 does not return the storage class for STANDARD objects
+      storageClass: headers['x-amz-storage-class'] || 'STANDARD',
+      contentType: headers['content-type'],
+      contentEncoding: headers['content-encoding'] || 'identity',
+      contentDisposition: headers['content-disposition'],
+      cacheControl: headers['cache-control'],
+      contentExpires: headers.expires ? new Date(headers.expires) : undefined,
+      contentLanguage: headers['content-language'],
+      websiteRedirectLocation: headers['x-amz-website-redirect-location'],
+      versionId: headers['x-amz-version-id'],
+      encryption: parseEncryptionHeaders(headers),
+      objectLock: parseObjectLockHeaders(headers),
+      checksum: parseChecksumHeaders(headers),
+      restore: parseRestoreHeader(headers['x-amz-restore']),
+      archiveStatus: headers['x-amz-archive-status'],
+      contentSha256: parseSha256('Content-Sha256', headers[metaPrefix + 'content-sha256']),
+      transferSha256: parseSha256('Transfer-Sha256', headers[metaPrefix + 'transfer-sha256']),
+      contentLength: parseLength('Content-Length metadata', headers[metaPrefix + 'content-length']),
+      transferLength: parseLength('Transfer-Length metadata', headers[metaPrefix + 'transfer-length']),
+      metadata: {},
+    };
 
-    parseS3Response(response.body);
+    if (typeof result.transferLength !== 'undefined' && result.transferLength !== result.size) {
+      throw new Error('Content-Length header and Transfer-Length metadata do not match');
+    }
 
-    if (response.statusCode !== 204) {
-      throw new Error('Could not abort multipart upload');
+    let ours = ['content-sha256', 'transfer-sha256', 'content-length', 'transfer-length'];
+    for (let header in headers) {
+      if (header.slice(0, metaPrefix.length) === metaPrefix) {
+        let name = header.slice(metaPrefix.length);
+        if (ours.indexOf(name) === -1) {
+          result.metadata[name] = headers[header];
+        }
+      }
     }
+
+    return result;
   }
 
   /**
-   * Generate the general request for uploading a resource to S3
-   * in a single request.
+   * Copy an object within S3, optionally to another bucket, without
+   * downloading it.  The source is read with headObject first.  Sources of up
+   * to 5GB are copied with a single request and larger ones with a multipart
+   * upload of UploadPartCopy requests, each copying `partSize` bytes.
    *
-   * NOTE: We still set the x-amz-meta-taskcluster-content-length because
-   * the multipart uploaded things must have this value set there as well.
+   * With the default metadataDirective of COPY, the metadata and content
+   * headers of the source are kept.  With REPLACE, they are replaced by the
+   * given metadata, contentType, contentDisposition, cacheControl,
+   * contentExpires, contentLanguage and websiteRedirectLocation.  The same
+   * goes for taggingDirective and tags.  In both cases the x-amz-meta-* values
+   * written by this library's uploads and the Content-Encoding of the source
+   * are kept so that the copy can still be verified when it is downloaded.
+   * The storageClass and permissions are those of a new object unless given.
    *
-   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUT.html
+   * Returns an object in the form:
+   *   { etag, versionId }
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectCOPY.html
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadUploadPartCopy.html
    */
-  async generateSinglepartRequest(opts) {
+  async copyObject(opts) {
     opts = runSchema(opts, Joi.object().keys({
+      sourceBucket: schemas.bucket.required(),
+      sourceKey: schemas.key.required(),
+      sourceVersionId: Joi.string(),
       bucket: schemas.bucket.required(),
       key: schemas.key.required(),
-      sha256: schemas.sha256.required(),
-      transferSha256: schemas.sha256,
-      size: schemas.spSize.required(),
-      transferSize: schemas.spSize,
-      tags: schemas.tags,
-      permissions: schemas.permissions,
-      storageClass: schemas.storageClass,
+      metadataDirective: Joi.string().valid(['COPY', 'REPLACE']).default('COPY'),
       metadata: schemas.metadata,
-      contentType: schemas.contentType,
+      contentType: schemas.contentType.default(),
       contentDisposition: schemas.contentDisposition,
-      contentEncoding: schemas.contentEncoding,
-    }).optionalKeys('tags', 'permissions', 'metadata'));
+      cacheControl: schemas.cacheControl,
+      contentExpires: schemas.contentExpires,
+      contentLanguage: schemas.contentLanguage,
+      websiteRedirectLocation: schemas.websiteRedirectLocation,
+      taggingDirective: Joi.string().valid(['COPY', 'REPLACE']).default('COPY'),
+      tags: schemas.tags,
+      storageClass: schemas.storageClass.default(),
+      permissions: schemas.permissions,
+      partSize: Joi.number().integer().min(5 * 1024 * 1024).max(5 * 1024 * 1024 * 1024)
+        .default(1024 * 1024 * 1024),
+    }).optionalKeys('metadata', 'tags', 'permissions'));
 
     let {
+      sourceBucket,
+      sourceKey,
+      sourceVersionId,
       bucket,
       key,
-      sha256,
-      transferSha256,
-      size,
-      transferSize,
-      tags,
-      permissions,
-      storageClass,
+      metadataDirective,
       metadata,
       contentType,
       contentDisposition,
-      contentEncoding,
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+      taggingDirective,
+      tags,
+      storageClass,
+      permissions,
+      partSize,
     } = opts;
 
+    let standardHeaders = this.__generateStandardHeaders({
+      cacheControl,
+      contentExpires,
+      contentLanguage,
+      websiteRedirectLocation,
+    });
+
+    if (metadataDirective === 'COPY' &&
+        (metadata || contentType || contentDisposition || Object.keys(standardHeaders).length > 0)) {
+      throw new Error('metadata and content headers require metadataDirective REPLACE');
+    }
+    if (taggingDirective === 'COPY' && tags) {
+      throw new Error('tags require taggingDirective REPLACE');
+    }
     this.__validateTags(tags);
 
-    let headers = {
-      'content-sha256': sha256,
-      'content-length': size,
-    };
+    let source = await this.headObject({
+      bucket: sourceBucket,
+      key: sourceKey,
+      versionId: sourceVersionId,
+    });
 
-    // Figure out content-encoding and sha256 values
-    if (contentEncoding && contentEncoding !== 'identity') {
-      if (!transferSha256) {
-        throw new Error('When using Content-Encoding, a transferSha256 value must be given');
+    let copySource = `/${sourceBucket}/${uriEncode(sourceKey, false)}`;
+    if (sourceVersionId) {
+      copySource += '?' + qs.stringify({versionId: sourceVersionId});
+    }
+
+    // These are the values which uploads from this library write and which
+    // downloads verify, so they must survive any copy
+    let ours = {};
+    for (let [name, value] of [
+      ['content-sha256', source.contentSha256],
+      ['transfer-sha256', source.transferSha256],
+      ['content-length', source.contentLength],
+      ['transfer-length', source.transferLength],
+    ]) {
+      if (typeof value !== 'undefined') {
+        ours[name] = value;
       }
-      headers['transfer-sha256'] = transferSha256;
-      if (!transferSize) {
-        throw new Error('When using Content-Encoding, a transfer-size must be given');
+    }
+
+    // The metadata and content headers of the copy, when they are not copied
+    // by S3 itself
+    let headers = {};
+    if (metadataDirective === 'REPLACE') {
+      headers = this.__generateMetadataHeaders(metadata, ours);
+      this.__checkHeaderBudget(headers, standardHeaders);
+      Object.assign(headers, standardHeaders);
+      headers['content-type'] = contentType || 'binary/octet-stream';
+      if (contentDisposition) {
+        headers['content-disposition'] = contentDisposition;
       }
-      headers['transfer-length'] = transferSize;
     } else {
-      if (transferSha256 && transferSha256 !== sha256) {
-        throw new Error('When not using content-encoding, optional parameter transferSha256 must match sha256');
+      headers = this.__generateMetadataHeaders(source.metadata, ours);
+      if (source.contentType) {
+        headers['content-type'] = source.contentType;
       }
-      headers['transfer-sha256'] = sha256;
-      transferSha256 = sha256;
-      if (transferSize && transferSize !== size) {
-        throw new Error('When not using content-encoding, optional parameter transferSize must match size');
+      if (source.contentDisposition) {
+        headers['content-disposition'] = source.contentDisposition;
       }
-      headers['transfer-length'] = size;
-      transferSize = size;
+      Object.assign(headers, this.__generateStandardHeaders(source));
     }
+    headers['content-encoding'] = source.contentEncoding;
 
+    if (storageClass) {
+      headers['x-amz-storage-class'] = storageClass;
+    }
 
-    headers = this.__generateMetadataHeaders(metadata, headers);
+    if (permissions) {
+      for (let [name, value] of this.__determinePermissionsHeaders(permissions)) {
+        headers[name] = value;
+      }
+    }
 
-    headers['x-amz-storage-class'] = storageClass;
-    headers['x-amz-content-sha256'] = transferSha256;
-    headers['content-length'] = Number(transferSize).toString(10);
+    if (source.size <= 5 * 1024 * 1024 * 1024) {
+      // A single request copy is done by S3 itself, so the metadata is only
+      // sent when it is being replaced
+      if (metadataDirective === 'COPY') {
+        for (let name of Object.keys(headers)) {
+          if (/^(x-amz-meta-|content-|cache-control$|expires$|x-amz-website-redirect-location$)/.test(name)) {
+            delete headers[name];
+          }
+        }
+      }
 
-    if (contentType) {
-      headers['content-type'] = contentType;
+      headers['x-amz-copy-source'] = copySource;
+      headers['x-amz-metadata-directive'] = metadataDirective;
+      headers['x-amz-tagging-directive'] = taggingDirective;
+      Object.assign(headers, this.__taggingHeaders(tags));
+      headers['content-length'] = '0';
+
+      let signedRequest = await this.__sign(this.__generateRequestBase({
+        bucket,
+        key,
+        method: 'PUT',
+        headers,
+      }));
+
+      let response = await this.runner({
+        req: this.__serializeRequest(signedRequest),
+      });
+
+      if (response.statusCode !== 200) {
+        throw responseError(response, 'Could not copy object');
+      }
+
+      // S3 can return an error in the body of a 200 response to a copy
+      let doc = parseS3Response(response.body);
+
+      if (!doc || doc.root().name() !== 'CopyObjectResult') {
+        throw new Error('Document does not have CopyObjectResult');
+      }
+
+      return {
+        etag: this.__getChildValues(doc.root()).ETag,
+        versionId: response.headers['x-amz-version-id'],
+      };
     }
-    if (contentDisposition) {
-      headers['content-disposition'] = contentDisposition;
+
+    // A multipart copy is a new upload, so S3 copies neither the metadata nor
+    // the tags of the source
+    if (taggingDirective === 'COPY') {
+      tags = await this.getObjectTagging({
+        bucket: sourceBucket,
+        key: sourceKey,
+        versionId: sourceVersionId,
+      });
     }
-    headers['content-encoding'] = contentEncoding || 'identity';
 
-    if (tags) {
-      headers['x-amz-tagging'] = qs.stringify(tags);
+    tags = Object.keys(tags || {}).length > 0 ? tags : undefined;
+    if (this.taggingOnInitiate) {
+      Object.assign(headers, this.__taggingHeaders(tags));
     }
 
-    if (permissions) {
-      let permHeaders = this.__determinePermissionsHeaders(permissions);
-      for (let tuple of permHeaders) {
-        headers[tuple[0]] = tuple[1];
+    let uploadId = await this.__initiateUpload({bucket, key, headers});
+
+    try {
+      // There can be at most 10000 parts
+      partSize = Math.max(partSize, Math.ceil(source.size / 10000));
+
+      let etags = [];
+      for (let start = 0, num = 1; start < source.size; start += partSize, num++) {
+        let end = Math.min(start + partSize, source.size) - 1;
+
+        let signedRequest = await this.__sign(this.__generateRequestBase({
+          bucket,
+          key,
+          method: 'PUT',
+          query: `partNumber=${num}&uploadId=${uploadId}`,
+          headers: {
+            'x-amz-copy-source': copySource,
+            'x-amz-copy-source-range': `bytes=${start}-${end}`,
+            'content-length': '0',
+          },
+        }));
+
+        let response = await this.runner({
+          req: this.__serializeRequest(signedRequest),
+        });
+
+        if (response.statusCode !== 200) {
+          throw responseError(response, `Could not copy part ${num}`);
+        }
+
+        let doc = parseS3Response(response.body);
+
+        if (!doc || doc.root().name() !== 'CopyPartResult') {
+          throw new Error('Document does not have CopyPartResult');
+        }
+
+        etags.push(this.__getChildValues(doc.root()).ETag);
+      }
+
+      return await this.completeMultipartUpload({
+        bucket,
+        key,
+        uploadId,
+        etags,
+        tags: this.taggingOnInitiate ? undefined : tags,
+      });
+    } catch (err) {
+      try {
+        await this.abortMultipartUpload({bucket, key, uploadId});
+      } catch (abortErr) {
+        debug(`WARNING: could not abort copy to ${bucket}/${key} ${uploadId}: ${abortErr}`);
       }
+      throw err;
     }
+  }
 
-    let signedRequest = aws4.sign(this.__generateRequestBase({
-      bucket,
-      key,
-      method: 'PUT',
-      headers: headers,
-    }), this.credentials);
+  /**
+   * List the versions of the objects in a bucket with versioning enabled,
+   * optionally only those of keys starting with a prefix.  The versions of
+   * each key are listed newest first.  This is an async iterator which
+   * requests further pages as they are needed.  Each version is in the form:
+   *   { key, versionId, isLatest, lastModified: Date, deleteMarker,
+   *     etag, size, storageClass }
+   * where the delete markers have no etag, size or storageClass.  Objects
+   * which were written before versioning was enabled have the versionId
+   * 'null'.
+   *
+   * https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListObjectVersions.html
+   */
+  async *listObjectVersions(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      prefix: Joi.string(),
+      pageSize: Joi.number().integer().min(1).max(1000).default(1000),
+    }));
 
-    return this.__serializeRequest(signedRequest);
+    let {bucket, prefix, pageSize} = opts;
+    let keyMarker;
+    let versionIdMarker;
+
+    while (true) {
+      let query = {versions: '', 'max-keys': pageSize};
+      if (prefix) {
+        query.prefix = prefix;
+      }
+      if (keyMarker) {
+        query['key-marker'] = keyMarker;
+      }
+      if (versionIdMarker) {
+        query['version-id-marker'] = versionIdMarker;
+      }
+
+      let signedRequest = await this.__sign(this.__generateRequestBase({
+        bucket,
+        method: 'GET',
+        query: qs.stringify(query),
+      }));
+
+      let response = await this.runner({
+        req: this.__serializeRequest(signedRequest),
+      });
+
+      if (response.statusCode !== 200) {
+        throw responseError(response, 'Could not list object versions');
+      }
+
+      let doc = parseS3Response(response.body);
+
+      if (!doc || doc.root().name() !== 'ListVersionsResult') {
+        throw new Error('Document does not have ListVersionsResult');
+      }
+
+      let isTruncated = false;
+      for (let child of doc.root().childNodes()) {
+        switch (child.name()) {
+          case 'Version': {
+            let version = this.__getChildValues(child);
+            yield {
+              key: version.Key,
+              versionId: version.VersionId,
+              isLatest: version.IsLatest === 'true',
+              lastModified: new Date(version.LastModified),
+              deleteMarker: false,
+              etag: version.ETag,
+              size: Number.parseInt(version.Size, 10),
+              storageClass: version.StorageClass,
+            };
+            break;
+          }
+          case 'DeleteMarker': {
+            let marker = this.__getChildValues(child);
+            yield {
+              key: marker.Key,
+              versionId: marker.VersionId,
+              isLatest: marker.IsLatest === 'true',
+              lastModified: new Date(marker.LastModified),
+              deleteMarker: true,
+            };
+            break;
+          }
+          case 'IsTruncated':
+            isTruncated = child.text() === 'true';
+            break;
+          case 'NextKeyMarker':
+            keyMarker = child.text();
+            break;
+          case 'NextVersionIdMarker':
+            versionIdMarker = child.text();
+            break;
+        }
+      }
+
+      if (!isTruncated) {
+        return;
+      }
+    }
   }
 
+  /**
+   * Make a previous version of an object the latest version again by copying
+   * it onto its key.  The metadata and tags of that version are copied with
+   * it, but its ACL is not, so non-default permissions must be given again.
+   * This also undoes a delete, where the versionId is the last version before
+   * the delete marker.  This is unrelated to restoreObject, which restores
+   * archived objects.
+   *
+   * Returns an object in the form:
+   *   { etag, versionId }
+   * where versionId is that of the new latest version
+   */
+  async restoreObjectVersion(opts) {
+    opts = runSchema(opts, Joi.object().keys({
+      bucket: schemas.bucket.required(),
+      key: schemas.key.required(),
+      versionId: Joi.string().required(),
+      storageClass: schemas.storageClass.default(),
+      permissions: schemas.permissions,
+    }).optionalKeys('permissions'));
+
+    let {bucket, key, versionId, storageClass, permissions} = opts;
+
+    return this.copyObject({
+      sourceBucket: bucket,
+      sourceKey: key,
+      sourceVersionId: versionId,
+      bucket,
+      key,
+      storageClass,
+      permissions,
+    });
+  }
 
   /**
-   * Delete a key from S3
-   * http://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadAbort.html
+   * Delete a key from S3, or a specific version of it.  In a bucket with
+   * versioning enabled, deleting a key without a versionId does not delete
+   * anything but adds a delete marker as its latest version.
+   *
+   * Returns an object in the form:
+   *   { versionId, deleteMarker }
+   * where versionId is the version which was deleted, or the version of the
+   * delete marker which was created
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectDELETE.html
    */
   async deleteObject(opts) {
    opts = runSchema(opts, Joi.object({
      bucket: schemas.bucket.required(),
      key: schemas.key.required(),
+     versionId: Joi.string(),
    }));
 
-    let {bucket, key} = opts;
+    let {bucket, key, versionId} = opts;
 
-    let signedRequest = aws4.sign(this.__generateRequestBase({
+    let signedRequest = await this.__sign(this.__generateRequestBase({
       bucket,
       key,
       method: 'DELETE',
+      query: versionId ? qs.stringify({versionId}) : undefined,
       headers: {
         'content-length': 0,
         'x-amx-content-sha256': emptysha256,
       },
-    }), this.credentials);
+    }));
 
     let response = await this.runner({
       req: this.__serializeRequest(signedRequest),
     });
 
+    if (response.statusCode !== 204) {
+      throw responseError(response, 'Could not delete key');
+    }
+
+    // S3 can return an error in the body of a successful response
     parseS3Response(response.body);
 
-    if (response.statusCode !== 204) {
-      throw new Error('Could not delete key');
+    return {
+      versionId: response.headers['x-amz-version-id'],
+      deleteMarker: response.headers['x-amz-delete-marker'] === 'true',
+    };
+  }
+
+  /**
+   * Delete many keys, optionally specific versions of them, with as few
+   * requests as possible.  S3 deletes at most 1000 keys per request, so the
+   * keys are deleted in batches.  If versionIds is given, it must have a
+   * version for each key.  A key which cannot be deleted does not stop the
+   * others, and neither does a batch which fails entirely.  Instead, every key
+   * is reported in the result, which is in the form:
+   *   { deleted: [{key, versionId, deleteMarker, deleteMarkerVersionId}],
+   *     errors: [{key, versionId, code, message}] }
+   *
+   * http://docs.aws.amazon.com/AmazonS3/latest/API/multiobjectdeleteapi.html
+   */
+  async deleteObjects(opts) {
+    opts = runSchema(opts, Joi.object({
+      bucket: schemas.bucket.required(),
+      keys: Joi.array().items(schemas.key).min(1).required(),
+      versionIds: Joi.array().items(Joi.string()),
+    }));
+
+    let {bucket, keys, versionIds} = opts;
+
+    if (versionIds && versionIds.length !== keys.length) {
+      throw new Error('There must be a versionId for each key');
+    }
+
+    let objects = keys.map((key, n) => {
+      return versionIds ? {key, versionId: versionIds[n]} : {key};
+    });
+
+    let deleted = [];
+    let errors = [];
+
+    for (let start = 0; start < objects.length; start += 1000) {
+      let batch = objects.slice(start, start + 1000);
+
+      try {
+        let result = await this.__deleteObjectBatch(bucket, batch);
+        deleted.push(...result.deleted);
+        errors.push(...result.errors);
+      } catch (err) {
+        debug(`WARNING: could not delete a batch of ${batch.length} keys from ${bucket}: ${err}`);
+        for (let {key, versionId} of batch) {
+          errors.push({key, versionId, code: err.code || 'RequestFailed', message: err.message});
+        }
+      }
+    }
+
+    return {deleted, errors};
+  }
+
+  // Run a single DeleteObjects request and parse its per-key results
+  async __deleteObjectBatch(bucket, objects) {
+    let requestBody = this.__generateDeleteObjectsBody(objects);
+
+    // S3 requires a Content-MD5 for this request
+    let signedRequest = await this.__sign(this.__generateRequestBase({
+      bucket,
+      method: 'POST',
+      query: 'delete=',
+      headers: this.__xmlBodyHeaders(requestBody),
+    }));
+
+    let response = await this.runner({
+      req: this.__serializeRequest(signedRequest),
+      body: requestBody,
+    });
+
+    if (response.statusCode !== 200) {
+      throw responseError(response, 'Could not delete keys');
+    }
+
+    let doc = parseS3Response(response.body);
+
+    if (!doc || doc.root().name() !== 'DeleteResult') {
+      throw new Error('Document does not have DeleteResult');
+    }
+
+    let deleted = [];
+    let errors = [];
+
+    for (let child of doc.root().childNodes()) {
+      switch (child.name()) {
+        case 'Deleted': {
+          let values = this.__getChildValues(child);
+          deleted.push({
+            key: values.Key,
+            versionId: values.VersionId,
+            deleteMarker: values.DeleteMarker === 'true',
+            deleteMarkerVersionId: values.DeleteMarkerVersionId,
+          });
+          break;
+        }
+        case 'Error': {
+          let values = this.__getChildValues(child);
+          errors.push({
+            key: values.Key,
+            versionId: values.VersionId,
+            code: values.Code,
+            message: values.Message,
+          });
+          break;
+        }
+      }
     }
+
+    return {deleted, errors};
   }
 }
 
@@ -879,21 +3189,9 @@ function parseS3Response(body, noThrow = false) {
   
   // For Errors, we want to make sure that all the error properties
   // are exposed
-  if (doc.root().name() === 'Error') {
-    let errorProperties = {};
-    for (let child of doc.root().childNodes()) {
-      errorProperties[child.name()] = child.text();
-    }
-
-    let error = new Error(errorProperties.Message || 'Unknown S3 Error');
-
-    for (let property in errorProperties) {
-      error[property.toLowerCase()] = errorProperties[property];
-    }
-
-    if (!error.code) {
-      error.code = 'UnknownError';
-    }
+  let errorProperties = parseErrorDocument(doc);
+  if (errorProperties) {
+    let error = createS3Error(errorProperties.message || 'Unknown S3 Error', errorProperties);
 
     if (noThrow) {
       return error;
@@ -910,5 +3208,5 @@ Controller.schemas = schemas;
 
 module.exports = {
   Controller,
-  parseS3Response
+  parseS3Response,
 };
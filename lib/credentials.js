@@ -0,0 +1,357 @@
+'use strict';
+const os = require('os');
+const path = require('path');
+
+const fs = require('mz/fs');
+const _debug = require('debug');
+
+const { Runner } = require('./runner');
+const { Joi, runSchema } = require('./schemas');
+
+const debug = _debug('remote-s3:Credentials');
+
+/**
+ * A credential provider is an async function which takes no arguments and
+ * resolves to an object in the form:
+ *   { accessKeyId, secretAccessKey, sessionToken, expiration }
+ *
+ * The sessionToken and expiration are optional.  Providers without an
+ * expiration are considered valid forever.
+ */
+const credentialsSchema = Joi.object().keys({
+  accessKeyId: Joi.string().allow('').required(),
+  secretAccessKey: Joi.string().allow('').required(),
+  sessionToken: Joi.string().allow(''),
+  expiration: Joi.date(),
+});
+
+// By default, we refresh credentials five minutes before they expire so that
+// a request signed with them is still valid by the time it is run
+const DEFAULT_REFRESH_BEFORE = 5 * 60 * 1000;
+
+/**
+ * Wrap a credential provider so that its result is cached until shortly
+ * before it expires.  Concurrent calls while a refresh is underway share a
+ * single call to the underlying provider.  If a refresh fails while the
+ * cached credentials have not yet expired, the cached credentials are used
+ */
+function cachedProvider(provider, opts) {
+  opts = runSchema(opts || {}, Joi.object().keys({
+    refreshBefore: Joi.number().min(0).default(DEFAULT_REFRESH_BEFORE),
+  }));
+
+  let {refreshBefore} = opts;
+  let current;
+  let pending;
+
+  function needsRefresh(now) {
+    if (!current) {
+      return true;
+    }
+    if (!current.expiration) {
+      return false;
+    }
+    return current.expiration.getTime() - refreshBefore <= now;
+  }
+
+  async function refresh() {
+    try {
+      current = runSchema(await provider(), credentialsSchema.required());
+      return current;
+    } finally {
+      pending = undefined;
+    }
+  }
+
+  return async function() {
+    let now = Date.now();
+    if (!needsRefresh(now)) {
+      return current;
+    }
+    if (!pending) {
+      pending = refresh();
+    }
+    try {
+      return await pending;
+    } catch (err) {
+      if (current && current.expiration && current.expiration.getTime() > now) {
+        debug(`WARNING: credential refresh failed, using cached credentials: ${err.stack || err}`);
+        return current;
+      }
+      throw err;
+    }
+  };
+}
+
+/**
+ * Provide a fixed set of credentials
+ */
+function fromStatic(credentials) {
+  credentials = runSchema(credentials, credentialsSchema.required());
+  return async () => credentials;
+}
+
+/**
+ * Provide credentials from the AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY,
+ * AWS_SESSION_TOKEN and AWS_CREDENTIAL_EXPIRATION environment variables.  The
+ * environment is read on each call, so changes are picked up on refresh
+ */
+function fromEnv() {
+  return async () => {
+    let env = process.env;
+    if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+      throw new Error('AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY must be set');
+    }
+    let credentials = {
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    };
+    if (env.AWS_SESSION_TOKEN) {
+      credentials.sessionToken = env.AWS_SESSION_TOKEN;
+    }
+    if (env.AWS_CREDENTIAL_EXPIRATION) {
+      credentials.expiration = new Date(env.AWS_CREDENTIAL_EXPIRATION);
+    }
+    return credentials;
+  };
+}
+
+/**
+ * Parse the INI format used by the ~/.aws/credentials and ~/.aws/config files
+ * into an object of sections, each of which is an object of key-value pairs
+ */
+function parseIni(contents) {
+  let sections = {};
+  let section;
+
+  for (let line of contents.split(/\r?\n/)) {
+    line = line.trim();
+    if (line === '' || line[0] === '#' || line[0] === ';') {
+      continue;
+    }
+
+    let header = /^\[([^\]]+)\]$/.exec(line);
+    if (header) {
+      section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+      continue;
+    }
+
+    let eq = line.indexOf('=');
+    if (section && eq > 0) {
+      section[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+async function readIni(filename) {
+  try {
+    return parseIni(await fs.readFile(filename, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+/**
+ * Provide credentials from a profile in the shared credentials file
+ * (~/.aws/credentials) or the shared config file (~/.aws/config).  Values in
+ * the credentials file take precedence.  The profile and file locations
+ * default to the AWS_PROFILE, AWS_SHARED_CREDENTIALS_FILE and AWS_CONFIG_FILE
+ * environment variables, as they do for the AWS CLI.
+ *
+ * https://docs.aws.amazon.com/cli/latest/userguide/cli-configure-files.html
+ */
+function fromIni(opts) {
+  opts = runSchema(opts || {}, Joi.object().keys({
+    profile: Joi.string(),
+    filename: Joi.string(),
+    configFilename: Joi.string(),
+  }));
+
+  return async () => {
+    let env = process.env;
+    let profile = opts.profile || env.AWS_PROFILE || 'default';
+    let filename = opts.filename || env.AWS_SHARED_CREDENTIALS_FILE ||
+      path.join(os.homedir(), '.aws', 'credentials');
+    let configFilename = opts.configFilename || env.AWS_CONFIG_FILE ||
+      path.join(os.homedir(), '.aws', 'config');
+
+    let credentialsFile = await readIni(filename);
+    let configFile = await readIni(configFilename);
+
+    // Profiles in the config file other than the default one are prefixed
+    let configSection = profile === 'default' ? 'default' : `profile ${profile}`;
+    let values = Object.assign({}, configFile[configSection], credentialsFile[profile]);
+
+    if (!values.aws_access_key_id || !values.aws_secret_access_key) {
+      throw new Error(`Profile ${profile} does not contain credentials`);
+    }
+
+    let credentials = {
+      accessKeyId: values.aws_access_key_id,
+      secretAccessKey: values.aws_secret_access_key,
+    };
+    if (values.aws_session_token) {
+      credentials.sessionToken = values.aws_session_token;
+    }
+    return credentials;
+  };
+}
+
+// Both metadata services return their credentials in this format
+function parseMetadataCredentials(body) {
+  let doc = JSON.parse(body.toString());
+  if (doc.Code && doc.Code !== 'Success') {
+    throw new Error(`Metadata service returned ${doc.Code}: ${doc.Message}`);
+  }
+  return {
+    accessKeyId: doc.AccessKeyId,
+    secretAccessKey: doc.SecretAccessKey,
+    sessionToken: doc.Token,
+    expiration: new Date(doc.Expiration),
+  };
+}
+
+// Like the Controller, we're only interested in the .run() method of a runner.
+// Metadata services are local and answer quickly, so a short timeout lets
+// chain() move on to the next provider when there is no service to answer
+function metadataRunner(runner, timeout) {
+  if (runner) {
+    return runner;
+  }
+  let r = new Runner({maxRetries: 3, timeout});
+  return r.run.bind(r);
+}
+
+async function runMetadataRequest(runner, req) {
+  let response;
+  try {
+    response = await runner({req});
+  } catch (err) {
+    throw new Error(`Metadata request ${req.method} ${req.url} failed: ${err.message}`);
+  }
+  if (response.statusCode !== 200) {
+    throw new Error(`Metadata request ${req.method} ${req.url} failed with ${response.statusCode}`);
+  }
+  return response.body.toString();
+}
+
+/**
+ * Provide the credentials of the IAM role of an EC2 instance.  This uses the
+ * session oriented (v2) instance metadata service.  Requests which get no
+ * answer within `timeout` milliseconds fail, as they do off EC2
+ *
+ * https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/iam-roles-for-amazon-ec2.html
+ */
+function fromInstanceMetadata(opts) {
+  opts = runSchema(opts || {}, Joi.object().keys({
+    runner: Joi.func(),
+    host: Joi.string().default('169.254.169.254'),
+    timeout: Joi.number().integer().min(1).default(1000),
+  }));
+
+  let runner = metadataRunner(opts.runner, opts.timeout);
+  let base = `http://${opts.host}/latest`;
+
+  return async () => {
+    let token = await runMetadataRequest(runner, {
+      url: `${base}/api/token`,
+      method: 'PUT',
+      headers: {'x-aws-ec2-metadata-token-ttl-seconds': '21600'},
+    });
+
+    let headers = {'x-aws-ec2-metadata-token': token};
+
+    let role = await runMetadataRequest(runner, {
+      url: `${base}/meta-data/iam/security-credentials/`,
+      method: 'GET',
+      headers,
+    });
+
+    // Only one role can be attached to an instance profile
+    role = role.split('\n')[0].trim();
+    if (!role) {
+      throw new Error('Instance does not have an IAM role');
+    }
+
+    return parseMetadataCredentials(await runMetadataRequest(runner, {
+      url: `${base}/meta-data/iam/security-credentials/${role}`,
+      method: 'GET',
+      headers,
+    }));
+  };
+}
+
+/**
+ * Provide the credentials of the IAM role of an ECS task.  The endpoint is
+ * given to the container through the AWS_CONTAINER_CREDENTIALS_RELATIVE_URI or
+ * AWS_CONTAINER_CREDENTIALS_FULL_URI environment variables
+ *
+ * https://docs.aws.amazon.com/AmazonECS/latest/developerguide/task-iam-roles.html
+ */
+function fromContainerMetadata(opts) {
+  opts = runSchema(opts || {}, Joi.object().keys({
+    runner: Joi.func(),
+    host: Joi.string().default('169.254.170.2'),
+    timeout: Joi.number().integer().min(1).default(1000),
+  }));
+
+  let runner = metadataRunner(opts.runner, opts.timeout);
+
+  return async () => {
+    let env = process.env;
+    let url;
+    let headers = {};
+
+    if (env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI) {
+      url = `http://${opts.host}${env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI}`;
+    } else if (env.AWS_CONTAINER_CREDENTIALS_FULL_URI) {
+      url = env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+      if (env.AWS_CONTAINER_AUTHORIZATION_TOKEN) {
+        headers.authorization = env.AWS_CONTAINER_AUTHORIZATION_TOKEN;
+      }
+    } else {
+      throw new Error('Container credentials endpoint is not configured');
+    }
+
+    return parseMetadataCredentials(await runMetadataRequest(runner, {
+      url,
+      method: 'GET',
+      headers,
+    }));
+  };
+}
+
+/**
+ * Try each provider in turn and use the credentials from the first one which
+ * does not fail
+ */
+function chain(...providers) {
+  return async () => {
+    let errors = [];
+    for (let provider of providers) {
+      try {
+        return await provider();
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    throw new Error('No provider could supply credentials: ' + errors.join(', '));
+  };
+}
+
+module.exports = {
+  credentialsSchema,
+  cachedProvider,
+  fromStatic,
+  fromEnv,
+  fromIni,
+  fromInstanceMetadata,
+  fromContainerMetadata,
+  chain,
+  parseIni,
+};
@@ -0,0 +1,110 @@
+'use strict';
+const crypto = require('crypto');
+
+const { schemas, runSchema } = require('./schemas');
+
+/**
+ * With server-side encryption with customer-provided keys (SSE-C), the key is
+ * sent with every request for the object.  These are the headers which carry
+ * the key.  They are never given to the Controller, which only signs the
+ * algorithm header.  Instead, requests list them as clientHeaders and the
+ * Client fills them in with a key which never leaves the worker
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/dev/ServerSideEncryptionCustomerKeys.html
+ */
+const customerKeyHeaders = [
+  'x-amz-server-side-encryption-customer-key',
+  'x-amz-server-side-encryption-customer-key-md5',
+];
+
+// AES256 is the only algorithm S3 supports for SSE-C
+const customerAlgorithmHeader = 'x-amz-server-side-encryption-customer-algorithm';
+const customerAlgorithm = 'AES256';
+
+/**
+ * Generate the values of the customerKeyHeaders for a 256 bit key, which is
+ * given either as a Buffer or as a base64 encoded string
+ */
+function customerKeyValues(key) {
+  if (typeof key === 'string') {
+    key = Buffer.from(key, 'base64');
+  }
+  if (!Buffer.isBuffer(key) || key.length !== 32) {
+    throw new Error('SSE-C keys must be 256 bits');
+  }
+  return {
+    'x-amz-server-side-encryption-customer-key': key.toString('base64'),
+    'x-amz-server-side-encryption-customer-key-md5':
+      crypto.createHash('md5').update(key).digest('base64'),
+  };
+}
+
+/**
+ * Generate the headers which request server-side encryption of an upload.
+ * The encryption is validated against schemas.encryption.  The encryption
+ * context is sent as base64 encoded JSON, as S3 requires
+ *
+ * http://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUT.html
+ */
+function encryptionHeaders(encryption) {
+  encryption = runSchema(encryption, schemas.encryption.required());
+  let {algorithm, kmsKeyId, context, bucketKey} = encryption;
+
+  let headers = {
+    'x-amz-server-side-encryption': algorithm,
+  };
+
+  if (kmsKeyId) {
+    headers['x-amz-server-side-encryption-aws-kms-key-id'] = kmsKeyId;
+  }
+  if (context) {
+    headers['x-amz-server-side-encryption-context'] =
+      Buffer.from(JSON.stringify(context)).toString('base64');
+  }
+  if (typeof bucketKey === 'boolean') {
+    headers['x-amz-server-side-encryption-bucket-key-enabled'] = bucketKey.toString();
+  }
+
+  return headers;
+}
+
+/**
+ * Parse the server-side encryption of an object from the headers of a
+ * response to an upload, HEAD or GET request.  The result is in the same
+ * format as the encryption option of uploads, or undefined if S3 did not say
+ * the object is encrypted
+ */
+function parseEncryptionHeaders(headers) {
+  let algorithm = headers['x-amz-server-side-encryption'];
+  if (!algorithm) {
+    return undefined;
+  }
+
+  let encryption = {algorithm};
+
+  let kmsKeyId = headers['x-amz-server-side-encryption-aws-kms-key-id'];
+  if (kmsKeyId) {
+    encryption.kmsKeyId = kmsKeyId;
+  }
+
+  let context = headers['x-amz-server-side-encryption-context'];
+  if (context) {
+    encryption.context = JSON.parse(Buffer.from(context, 'base64').toString());
+  }
+
+  let bucketKey = headers['x-amz-server-side-encryption-bucket-key-enabled'];
+  if (bucketKey) {
+    encryption.bucketKey = bucketKey === 'true';
+  }
+
+  return encryption;
+}
+
+module.exports = {
+  customerKeyHeaders,
+  customerAlgorithmHeader,
+  customerAlgorithm,
+  customerKeyValues,
+  encryptionHeaders,
+  parseEncryptionHeaders,
+};
@@ -0,0 +1,138 @@
+'use strict';
+const { Joi, runSchema } = require('./schemas');
+const { uriEncode } = require('./signing');
+
+// These are the regions which have FIPS 140-2 validated S3 endpoints
+// https://aws.amazon.com/compliance/fips/
+const fipsRegions = [
+  'us-east-1',
+  'us-east-2',
+  'us-west-1',
+  'us-west-2',
+  'us-gov-east-1',
+  'us-gov-west-1',
+  'ca-central-1',
+  'ca-west-1',
+];
+
+/**
+ * Joi schema to represent a custom S3-compatible endpoint, for example a
+ * MinIO or Ceph RGW deployment.  Most of these deployments do not have
+ * wildcard DNS for bucket names, so path-style addressing is the default
+ */
+const endpointSchema = Joi.object().keys({
+  protocol: Joi.string().valid(['http:', 'https:']).default('https:'),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().integer().min(1).max(65535),
+  pathStyle: Joi.boolean().default(true),
+});
+
+/**
+ * Figure out which protocol, host and port should be used to talk to S3.  If
+ * a custom endpoint is given, it is used verbatim.  Otherwise the Amazon S3
+ * hostname for the region is used, optionally the dualstack (IPv6), FIPS or
+ * Transfer Acceleration variant of it.  The region is only used to pick the
+ * hostname here, the signing region is configured separately by the caller.
+ *
+ * Returns an object in the form:
+ *   { protocol: 'https:', host: '...', port: undefined, pathStyle: false }
+ *
+ * https://docs.aws.amazon.com/general/latest/gr/s3.html
+ * https://docs.aws.amazon.com/AmazonS3/latest/dev/dual-stack-endpoints.html
+ * https://docs.aws.amazon.com/AmazonS3/latest/dev/transfer-acceleration.html
+ */
+function resolveEndpoint(opts) {
+  opts = runSchema(opts || {}, Joi.object().keys({
+    region: Joi.string().default('us-east-1'),
+    endpoint: endpointSchema,
+    dualstack: Joi.boolean().default(false),
+    fips: Joi.boolean().default(false),
+    accelerate: Joi.boolean().default(false),
+  }).optionalKeys('endpoint'));
+
+  let {region, endpoint, dualstack, fips, accelerate} = opts;
+
+  if (endpoint) {
+    if (dualstack || fips || accelerate) {
+      throw new Error('Custom endpoints cannot be combined with dualstack, fips or accelerate');
+    }
+    return {
+      protocol: endpoint.protocol,
+      host: endpoint.host,
+      port: endpoint.port,
+      pathStyle: endpoint.pathStyle,
+      vhostOnly: false,
+    };
+  }
+
+  // The China regions are operated separately and have their own domain
+  let domain = /^cn-/.test(region) ? 'amazonaws.com.cn' : 'amazonaws.com';
+
+  if (fips && fipsRegions.indexOf(region) === -1) {
+    throw new Error(`FIPS endpoints are not available in ${region}`);
+  }
+
+  let host;
+  if (accelerate) {
+    if (fips) {
+      throw new Error('Transfer Acceleration does not support FIPS endpoints');
+    }
+    if (domain !== 'amazonaws.com') {
+      throw new Error(`Transfer Acceleration is not available in ${region}`);
+    }
+    // Accelerate endpoints are global, the bucket's region is not part of
+    // the hostname
+    host = dualstack ? 's3-accelerate.dualstack' : 's3-accelerate';
+  } else if (fips) {
+    host = dualstack ? `s3-fips.dualstack.${region}` : `s3-fips.${region}`;
+  } else if (dualstack) {
+    host = `s3.dualstack.${region}`;
+  } else if (region === 'us-east-1') {
+    host = 's3';
+  } else {
+    host = `s3.${region}`;
+  }
+
+  return {
+    protocol: 'https:',
+    host: `${host}.${domain}`,
+    port: undefined,
+    pathStyle: false,
+    // Accelerate endpoints only understand virtual hosted style addressing
+    vhostOnly: accelerate,
+  };
+}
+
+/**
+ * Figure out the hostname (including the port if there is one) and path for
+ * an object on a resolved endpoint.  When key is not given, the path is for
+ * the bucket itself.  The key is URI encoded the way SigV4 expects, so the
+ * path can be used in URLs and signed as it is.
+ */
+function addressObject(endpoint, opts) {
+  let {bucket, key, vhostAddressing} = opts;
+  let hostname;
+  let path;
+
+  key = uriEncode(key || '', false);
+
+  if (vhostAddressing) {
+    hostname = `${bucket}.${endpoint.host}`;
+    path = '/' + key;
+  } else {
+    hostname = endpoint.host;
+    path = `/${bucket}/` + key;
+  }
+
+  if (endpoint.port) {
+    hostname += ':' + endpoint.port;
+  }
+
+  return {hostname, path};
+}
+
+module.exports = {
+  endpointSchema,
+  resolveEndpoint,
+  addressObject,
+};
@@ -0,0 +1,312 @@
+'use strict';
+const libxml = require('libxmljs');
+
+// Error codes which S3 uses for failures that can succeed when the request is
+// tried again.  Any 5xx response is retryable as well
+const retryableCodes = [
+  'ConditionalRequestConflict',
+  'InternalError',
+  'OperationAborted',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'ServiceUnavailable',
+  'SlowDown',
+];
+
+/**
+ * The base class of every error S3 reports, either in an Error document or
+ * with the status code alone.  Besides the code and message, S3 errors have
+ * the statusCode of the response and the requestId and hostId which AWS
+ * support needs to look into a failure.  The retryable property tells whether
+ * the same request can succeed when it is tried again.  All other elements of
+ * the Error document are available as properties with lowercased names, for
+ * example .resource
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/ErrorResponses.html
+ */
+class S3Error extends Error {
+  constructor(message, props) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = 'UnknownError';
+    Object.assign(this, props);
+    if (typeof this.retryable !== 'boolean') {
+      this.retryable = this.statusCode >= 500 || retryableCodes.includes(this.code);
+    }
+  }
+}
+
+/**
+ * Thrown when an object does not exist.  HEAD responses have no body, so this
+ * is determined from the status code alone
+ */
+class NoSuchKeyError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'NoSuchKey', statusCode: 404}, props));
+    this.name = 'NoSuchKeyError';
+  }
+}
+
+class NoSuchBucketError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'NoSuchBucket', statusCode: 404}, props));
+    this.name = 'NoSuchBucketError';
+  }
+}
+
+class NoSuchVersionError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'NoSuchVersion', statusCode: 404}, props));
+    this.name = 'NoSuchVersionError';
+  }
+}
+
+/**
+ * Thrown when a multipart upload does not exist, usually because it was
+ * already completed or aborted
+ */
+class NoSuchUploadError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'NoSuchUpload', statusCode: 404}, props));
+    this.name = 'NoSuchUploadError';
+  }
+}
+
+class AccessDeniedError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'AccessDenied', statusCode: 403}, props));
+    this.name = 'AccessDeniedError';
+  }
+}
+
+/**
+ * Thrown when requests are being sent to S3 faster than it allows.  These are
+ * retryable, but should be retried more slowly
+ */
+class SlowDownError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'SlowDown', statusCode: 503}, props));
+    this.name = 'SlowDownError';
+  }
+}
+
+/**
+ * Thrown when completing a multipart upload with a part which S3 does not
+ * have, or with the wrong ETag for a part
+ */
+class InvalidPartError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'InvalidPart', statusCode: 400}, props));
+    this.name = 'InvalidPartError';
+  }
+}
+
+class InvalidPartOrderError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'InvalidPartOrder', statusCode: 400}, props));
+    this.name = 'InvalidPartOrderError';
+  }
+}
+
+/**
+ * Thrown when completing a multipart upload which has a part other than the
+ * last which is smaller than 5MB
+ */
+class EntityTooSmallError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'EntityTooSmall', statusCode: 400}, props));
+    this.name = 'EntityTooSmallError';
+  }
+}
+
+class EntityTooLargeError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'EntityTooLarge', statusCode: 400}, props));
+    this.name = 'EntityTooLargeError';
+  }
+}
+
+/**
+ * Thrown when the data S3 received does not match the Content-MD5 or checksum
+ * which was sent with it
+ */
+class BadDigestError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'BadDigest', statusCode: 400}, props));
+    this.name = 'BadDigestError';
+  }
+}
+
+/**
+ * Thrown when the signature of a request does not match, for example because
+ * its headers were changed after it was signed
+ */
+class SignatureDoesNotMatchError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'SignatureDoesNotMatch', statusCode: 403}, props));
+    this.name = 'SignatureDoesNotMatchError';
+  }
+}
+
+/**
+ * Thrown when the condition of a conditional write does not hold, because an
+ * object already exists at the key with ifNoneMatch, or because the object at
+ * the key has a different ETag with ifMatch
+ */
+class PreconditionFailedError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'PreconditionFailed', statusCode: 412}, props));
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+/**
+ * Thrown when another conditional write to the same key was in progress.
+ * Unlike a PreconditionFailedError, the condition was not evaluated, so these
+ * are retryable, and the retry fails with a PreconditionFailedError if the
+ * other write succeeded
+ */
+class ConditionalRequestConflictError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'ConditionalRequestConflict', statusCode: 409}, props));
+    this.name = 'ConditionalRequestConflictError';
+  }
+}
+
+/**
+ * Thrown when reading an object which is in the GLACIER or DEEP_ARCHIVE
+ * storage classes, or in an archive tier of INTELLIGENT_TIERING, and has not
+ * been restored.  S3 responds to these reads with a 403 InvalidObjectState
+ * error, which is otherwise easily confused with a permissions problem
+ */
+class ObjectArchivedError extends S3Error {
+  constructor(message, props) {
+    super(message, Object.assign({code: 'InvalidObjectState', statusCode: 403}, props));
+    this.name = 'ObjectArchivedError';
+  }
+}
+
+// The class of the errors for each code which has one
+const errorClasses = {
+  NoSuchKey: NoSuchKeyError,
+  NoSuchBucket: NoSuchBucketError,
+  NoSuchVersion: NoSuchVersionError,
+  NoSuchUpload: NoSuchUploadError,
+  AccessDenied: AccessDeniedError,
+  SlowDown: SlowDownError,
+  InvalidPart: InvalidPartError,
+  InvalidPartOrder: InvalidPartOrderError,
+  EntityTooSmall: EntityTooSmallError,
+  EntityTooLarge: EntityTooLargeError,
+  BadDigest: BadDigestError,
+  SignatureDoesNotMatch: SignatureDoesNotMatchError,
+  PreconditionFailed: PreconditionFailedError,
+  ConditionalRequestConflict: ConditionalRequestConflictError,
+  InvalidObjectState: ObjectArchivedError,
+};
+
+/**
+ * Create the S3Error subclass for the code in props, or a plain S3Error for
+ * codes which have no class of their own
+ */
+function createS3Error(message, props) {
+  let ErrorClass = errorClasses[props.code] || S3Error;
+  return new ErrorClass(message, props);
+}
+
+/**
+ * Thrown when S3 reports a different ETag for an object than the one which
+ * is expected from the data that was uploaded.  S3 accepted these requests, so
+ * this is not an S3Error
+ */
+class IntegrityError extends Error {
+  constructor(message, props) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = 'IntegrityError';
+    Object.assign(this, props);
+  }
+}
+
+// The properties of an S3Error from an Error document, or undefined when the
+// document is not one.  Every element is copied with its name lowercased, and
+// the ids are also given the names which S3Error documents
+function parseErrorDocument(doc) {
+  if (doc.root().name() !== 'Error') {
+    return undefined;
+  }
+
+  let properties = {};
+  for (let child of doc.root().childNodes()) {
+    if (child.type() === 'element') {
+      properties[child.name().toLowerCase()] = child.text();
+    }
+  }
+
+  properties.code = properties.code || 'UnknownError';
+  properties.requestId = properties.requestid;
+  properties.hostId = properties.hostid;
+  return properties;
+}
+
+// The codes of errors which are only known from the status code of the
+// response, like those of HEAD requests, which have no body
+const statusCodes = {
+  400: 'BadRequest',
+  403: 'Forbidden',
+  404: 'NotFound',
+  412: 'PreconditionFailed',
+  500: 'InternalError',
+  503: 'ServiceUnavailable',
+};
+
+/**
+ * Create the S3Error for a response which S3 did not complete successfully.
+ * The code and message come from the Error document in the body if there is
+ * one.  Otherwise, the given message is used and the code is taken from the
+ * props or derived from the status code.  The request ids are read from the
+ * response headers when the body does not have them
+ */
+function responseError(response, message, props = {}) {
+  let {statusCode, headers = {}, body} = response;
+
+  let errorProperties;
+  if (body && body.length > 0) {
+    try {
+      errorProperties = parseErrorDocument(libxml.parseXml(body));
+    } catch (err) {
+      // The body of some failures, like those from proxies, is not XML
+    }
+  }
+
+  errorProperties = Object.assign({
+    code: statusCodes[statusCode] || 'UnknownError',
+  }, props, errorProperties, {statusCode});
+  errorProperties.requestId = errorProperties.requestId || headers['x-amz-request-id'];
+  errorProperties.hostId = errorProperties.hostId || headers['x-amz-id-2'];
+
+  return createS3Error(errorProperties.message || message, errorProperties);
+}
+
+module.exports = {
+  S3Error,
+  NoSuchKeyError,
+  NoSuchBucketError,
+  NoSuchVersionError,
+  NoSuchUploadError,
+  AccessDeniedError,
+  SlowDownError,
+  InvalidPartError,
+  InvalidPartOrderError,
+  EntityTooSmallError,
+  EntityTooLargeError,
+  BadDigestError,
+  SignatureDoesNotMatchError,
+  PreconditionFailedError,
+  ConditionalRequestConflictError,
+  ObjectArchivedError,
+  createS3Error,
+  IntegrityError,
+  parseErrorDocument,
+  responseError,
+};
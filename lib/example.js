@@ -32,12 +32,8 @@ class ServerAPI {
     this.bucket = undefined;
     this.uploadId = undefined;
     this.parts = undefined;
-    // NOTE: It's important to remember that while the tags are set for single
-    // part uploads during the creation, the tags sent with the createArtifact
-    // method need to be saved in state for use when running the
-    // completeArtifact method, since multipart uploads set their tags *after*
-    // they're finished
-    // TODO: Verify the above....
+    // NOTE: Tags are given when the upload is created, for both single and
+    // multipart uploads, so they do not need to be kept for completeArtifact
     this.tags = undefined;
   }
 
@@ -57,6 +53,7 @@ class ServerAPI {
         },
         sha256: opts.sha256,
         size: opts.size,
+        tags: this.tags,
       });
     }
 
@@ -90,7 +87,8 @@ class ServerAPI {
   }
 
   async completeArtifact(etags) {
-    // Only multi-part uploads need to do something specific here
+    // Only multi-part uploads need to do something specific here.  The result
+    // is in the form {etag, versionId}
     if (this.parts) {
       let options = {
         bucket: this.bucket,
@@ -98,10 +96,7 @@ class ServerAPI {
         uploadId: this.uploadId,
         etags: etags,
       };
-      if (this.tags) {
-        options.tags = this.tags;
-      }
-      await this.controller.completeMultipartUpload(options);
+      return this.controller.completeMultipartUpload(options);
     }
   }
 
@@ -146,6 +141,12 @@ class Worker {
     console.log(result.responses[0].body)
 
     let outcome = await this.server.completeArtifact(result.etags);
+
+    // Single part uploads know their version as soon as they are run
+    let {versionId} = outcome || result;
+    if (versionId) {
+      console.log(`Created version ${versionId}`);
+    }
   }
 }
 
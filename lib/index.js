@@ -1,8 +1,12 @@
 const { Client } = require('./client');
 const { Runner } = require('./runner');
+const credentials = require('./credentials');
+const errors = require('./errors');
 
 module.exports = {
   Controller: require('./controller').Controller,
   Client,
   Runner,
+  credentials,
+  errors,
 };
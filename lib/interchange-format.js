@@ -15,10 +15,27 @@ const httpMethods = [
 ];
 
 // TODO: Figure out how to specify headers better
+// NOTE: expires is only present for requests which are signed in the query
+// string, and is the time after which the request will no longer be accepted
+// NOTE: clientHeaders is a list of the names of headers which are not in
+// headers and which the process running the request must add itself.  They
+// are not covered by the signature.  This is how secrets which must not be
+// seen by the signing process, like SSE-C keys, are sent
+// NOTE: streaming is only present for streaming uploads, and has what the
+// process running the request needs to sign each chunk of the body
 const InterchangeFormatSchema = Joi.object().keys({
   url: Joi.string().regex(/^https?:/).required(),
   method: Joi.valid(httpMethods).required(),
   headers: Joi.object().required(),
+  expires: Joi.date(),
+  clientHeaders: Joi.array().items(Joi.string().regex(/^[a-z0-9-]+$/)),
+  streaming: Joi.object().keys({
+    signingKey: Joi.string().hex().length(64).required(),
+    date: Joi.string().regex(/^\d{8}T\d{6}Z$/).required(),
+    scope: Joi.string().required(),
+    seedSignature: Joi.string().hex().length(64).required(),
+    chunkSize: Joi.number().integer().min(8 * 1024).required(),
+  }),
 });
 
 function validate(obj) {
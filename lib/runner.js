@@ -37,7 +37,8 @@ class Runner {
       maxRetries: Joi.number().min(0).max(10).default(5),
       retryDelayFactor: Joi.number().min(100).default(100),
       retryDelayJitter: Joi.number().min(0).default(0),
-    }).without('agent', 'agentOpts').optionalKeys(['agent', 'agentOpts']));
+      timeout: Joi.number().integer().min(1),
+    }).without('agent', 'agentOpts').optionalKeys(['agent', 'agentOpts', 'timeout']));
 
     this.agent = opts.agent || new https.Agent(opts.agentOpts || {}); 
 
@@ -45,6 +46,10 @@ class Runner {
     this.retryDelayFactor = opts.retryDelayFactor;
     this.retryDelayJitter = opts.retryDelayJitter;
 
+    // When set, requests fail if their socket is idle for this many
+    // milliseconds, including while connecting
+    this.timeout = opts.timeout;
+
   }
 
   /**
@@ -172,6 +177,8 @@ class Runner {
         let requestHash = crypto.createHash('sha256').update(body);
         let requestSize = body.length;
 
+        request.on('error', reject);
+
         request.on('response', response => {
           resolve(responseHandler(response));
         });
@@ -291,6 +298,13 @@ class Runner {
       request.emit('error', new Error('Server Hangup'));
     });
 
+    if (this.timeout) {
+      request.setTimeout(this.timeout, () => {
+        request.abort();
+        request.emit('error', new Error(`Request timed out after ${this.timeout}ms`));
+      });
+    }
+
     request.on('continue', () =>  {
       debugRequest('Received a 100-Continue');
     });
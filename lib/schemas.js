@@ -2,6 +2,8 @@
 const crypto = require('crypto');
 const Joi = require('joi');
 
+const { checksumAlgorithms } = require('./checksums');
+
 const KB = 1024;
 const MB = KB * 1024;
 const GB = MB * 1024;
@@ -19,10 +21,16 @@ const cannedACLs = [
 ];
 
 // This is the list of valid storage classes
+// https://docs.aws.amazon.com/AmazonS3/latest/dev/storage-class-intro.html
 const storageClasses = [
   'STANDARD',
   'STANDARD_IA',
   'REDUCED_REDUNDANCY',
+  'INTELLIGENT_TIERING',
+  'ONEZONE_IA',
+  'GLACIER_IR',
+  'GLACIER',
+  'DEEP_ARCHIVE',
 ];
 
 /**
@@ -57,12 +65,67 @@ const schemas = {
   contentType: Joi.string().default('binary/octet-stream'),
   contentDisposition: Joi.string(),
   contentEncoding: Joi.string(),
+  // These standard headers are stored with an object and returned when it is
+  // downloaded.  They must be printable ASCII to be valid header values
+  // https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObject.html
+  cacheControl: Joi.string().regex(/^[\x20-\x7e]+$/),
+  contentExpires: Joi.date(),
+  contentLanguage: Joi.string().regex(/^[a-zA-Z0-9-]+( *, *[a-zA-Z0-9-]+)*$/),
+  // S3 only accepts redirects to another object in the bucket or to a URL
+  // https://docs.aws.amazon.com/AmazonS3/latest/dev/how-to-page-redirect.html
+  websiteRedirectLocation: Joi.string().max(2048).regex(/^(\/|https?:\/\/)[\x21-\x7e]*$/),
   storageClass: Joi.string().valid(storageClasses).default('STANDARD'),
+  // How quickly an archived object is restored, which S3 charges for
+  // https://docs.aws.amazon.com/AmazonS3/latest/dev/restoring-objects-retrieval-options.html
+  restoreTier: Joi.string().valid(['Expedited', 'Standard', 'Bulk']).default('Standard'),
+  // Query string signatures are valid for at most 7 days
+  // https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-query-string-auth.html
+  expires: Joi.number().integer().min(1).max(7 * 24 * 60 * 60).default(24 * 60 * 60),
+  responseContentDisposition: Joi.string(),
+  responseContentType: Joi.string(),
+  responseCacheControl: Joi.string(),
+  // S3 Object Lock retention and legal hold for new objects.  A retention
+  // mode and date must be given together
+  // https://docs.aws.amazon.com/AmazonS3/latest/dev/object-lock.html
+  objectLock: Joi.object().keys({
+    mode: Joi.string().valid(['GOVERNANCE', 'COMPLIANCE']),
+    retainUntil: Joi.date().min('now'),
+    legalHold: Joi.boolean(),
+  }).and('mode', 'retainUntil').or('mode', 'legalHold'),
+  // The checksum S3 computes, verifies and stores for uploaded data.  These
+  // are in addition to the x-amz-content-sha256 used for signing
+  // https://docs.aws.amazon.com/AmazonS3/latest/userguide/checking-object-integrity.html
+  checksumAlgorithm: Joi.string().valid(checksumAlgorithms),
+  checksums: Joi.array().min(1).max(10000).items(Joi.string().base64()),
+  // The base64 encoding of the four bytes of a CRC32C
+  crc32c: Joi.string().base64().length(8),
+  // The base64 encoding of an MD5, as used in Content-MD5 headers
+  md5: Joi.string().base64().length(24),
+  // Conditional writes, which only succeed when there is no object at the key
+  // yet, or when the object at the key still has the given ETag
+  // https://docs.aws.amazon.com/AmazonS3/latest/userguide/conditional-writes.html
+  ifNoneMatch: Joi.string().valid('*'),
+  ifMatch: Joi.string(),
+  // Server-side encryption with S3 managed keys (AES256) or with KMS keys
+  // (aws:kms).  The key id, encryption context and bucket key options only
+  // apply to KMS.  Without a key id, the AWS managed aws/s3 key is used
+  // https://docs.aws.amazon.com/AmazonS3/latest/dev/serv-side-encryption.html
+  encryption: Joi.object().keys({
+    algorithm: Joi.string().valid(['AES256', 'aws:kms']).required(),
+    kmsKeyId: Joi.string()
+      .when('algorithm', {is: 'aws:kms', otherwise: Joi.forbidden()}),
+    context: Joi.object().pattern(/./, Joi.string())
+      .when('algorithm', {is: 'aws:kms', otherwise: Joi.forbidden()}),
+    bucketKey: Joi.boolean()
+      .when('algorithm', {is: 'aws:kms', otherwise: Joi.forbidden()}),
+  }),
 };
 
 // These are the schemas which reference other schemas
 schemas.parts = Joi.array().min(1).max(10000).items(Joi.object().keys({
   sha256: schemas.sha256,
+  crc32c: schemas.crc32c,
+  md5: schemas.md5,
   size: Joi.number().min(0).max(5 * 1024 * 1024 * 1024),
   start: Joi.number().min(0).max(5 * TB - 5 * GB),
 }));
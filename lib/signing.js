@@ -0,0 +1,129 @@
+'use strict';
+const crypto = require('crypto');
+
+/**
+ * These are the pieces of AWS Signature Version 4 which aws4 does not expose
+ * and which are needed to sign things other than HTTP requests, like POST
+ * policies.
+ *
+ * https://docs.aws.amazon.com/general/latest/gr/signature-version-4.html
+ */
+
+function hmac(key, string, encoding) {
+  return crypto.createHmac('sha256', key).update(string, 'utf8').digest(encoding);
+}
+
+/**
+ * Format a Date the way SigV4 expects, for example 20130524T000000Z
+ */
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * URI encode a string the way SigV4 does.  Every byte of the UTF-8 encoding
+ * other than the unreserved characters A-Z a-z 0-9 - . _ ~ is percent
+ * encoded with uppercase hex digits.  Slashes are kept as they are when
+ * encoding the path of an object key, since S3 treats them as part of the
+ * path.  encodeURIComponent leaves ! ' ( ) * alone, so those are encoded here
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+ */
+function uriEncode(string, encodeSlash = true) {
+  let encoded = encodeURIComponent(string).replace(/[!'()*]/g, c => {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+  return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+}
+
+/**
+ * Derive the signing key for a day, region and service from a secret access
+ * key.  The key is a Buffer and is only valid for that date (YYYYMMDD)
+ */
+function deriveSigningKey({secretAccessKey, date, region, service}) {
+  let kDate = hmac('AWS4' + secretAccessKey, date);
+  let kRegion = hmac(kDate, region);
+  let kService = hmac(kRegion, service);
+  return hmac(kService, 'aws4_request');
+}
+
+/**
+ * The credential scope of a signature, for example
+ * 20130524/us-east-1/s3/aws4_request
+ */
+function credentialScope({date, region, service}) {
+  return [date, region, service, 'aws4_request'].join('/');
+}
+
+/**
+ * With streaming uploads, the body is sent in chunks which each have their
+ * own signature.  This is the payload hash of the seed request, which is the
+ * request that carries the Authorization header
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html
+ */
+const STREAMING_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Sign a chunk of a streaming upload.  Each signature covers the chunk and the
+ * signature of the chunk before it, starting from the seed signature, so the
+ * chunks cannot be reordered or replaced.  The date is the X-Amz-Date of the
+ * seed request and the scope is its credential scope
+ */
+function chunkSignature({signingKey, date, scope, previousSignature, chunk}) {
+  let stringToSign = [
+    'AWS4-HMAC-SHA256-PAYLOAD',
+    date,
+    scope,
+    previousSignature,
+    EMPTY_SHA256,
+    crypto.createHash('sha256').update(chunk).digest('hex'),
+  ].join('\n');
+  return hmac(signingKey, stringToSign, 'hex');
+}
+
+/**
+ * Encode a chunk of a streaming upload, for example:
+ *   10000;chunk-signature=ad80c730a21e5b8d04586a2213dd63b9a0e99e0e2307b0ade35a65485a288648\r\n
+ *   <65536 bytes>\r\n
+ * The final chunk is empty
+ */
+function encodeChunk(chunk, signature) {
+  return Buffer.concat([
+    Buffer.from(`${chunk.length.toString(16)};chunk-signature=${signature}\r\n`),
+    chunk,
+    Buffer.from('\r\n'),
+  ]);
+}
+
+/**
+ * The Content-Length of a streaming upload of `size` bytes which is sent in
+ * chunks of `chunkSize` bytes, including the final empty chunk
+ */
+function chunkedContentLength(size, chunkSize) {
+  // The header of each chunk is the size in hex, the signature and a CRLF and
+  // the data is followed by another CRLF
+  let overhead = length => length.toString(16).length + ';chunk-signature='.length + 64 + 4;
+  let fullChunks = Math.floor(size / chunkSize);
+  let lastChunk = size % chunkSize;
+
+  let total = fullChunks * (chunkSize + overhead(chunkSize));
+  if (lastChunk > 0) {
+    total += lastChunk + overhead(lastChunk);
+  }
+  return total + overhead(0);
+}
+
+module.exports = {
+  hmac,
+  amzDate,
+  uriEncode,
+  deriveSigningKey,
+  credentialScope,
+  STREAMING_PAYLOAD,
+  chunkSignature,
+  encodeChunk,
+  chunkedContentLength,
+};
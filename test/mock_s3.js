@@ -6,6 +6,58 @@ const urllib = require('url');
 const fs = require('fs');
 
 const { Controller, parseS3Response } = require('../lib/controller');
+const { hmac, uriEncode, deriveSigningKey } = require('../lib/signing');
+
+function escapeXml(string) {
+  return string.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Compute the signature which S3 expects for a request, independently of
+ * aws4.  Like S3, this decodes the path and query string of the request as it
+ * was received and encodes them again to build the canonical request, so a
+ * request which was signed with a differently encoded path does not match
+ *
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+ */
+function expectedSignature(request, secretAccessKey) {
+  let auth = /^AWS4-HMAC-SHA256 Credential=[^/]+\/(\d{8})\/([^/]+)\/s3\/aws4_request, ?SignedHeaders=([^,]+), ?Signature=[0-9a-f]{64}$/
+    .exec(request.headers.authorization || '');
+  if (!auth) {
+    throw new Error('missing or malformed authorization header');
+  }
+  let [, date, region, signedHeaders] = auth;
+
+  let [path, query] = request.url.split('?');
+  let canonicalUri = path.split('/').map(piece => uriEncode(decodeURIComponent(piece))).join('/');
+  let params = querystring.parse(query || '');
+  let canonicalQuery = Object.keys(params).sort().map(name => {
+    return uriEncode(name) + '=' + uriEncode(params[name]);
+  }).join('&');
+  let canonicalHeaders = signedHeaders.split(';').map(name => {
+    return name + ':' + String(request.headers[name]).trim().replace(/\s+/g, ' ') + '\n';
+  }).join('');
+
+  let canonicalRequest = [
+    request.method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    request.headers['x-amz-content-sha256'],
+  ].join('\n');
+
+  let stringToSign = [
+    'AWS4-HMAC-SHA256',
+    request.headers['x-amz-date'],
+    `${date}/${region}/s3/aws4_request`,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  let signingKey = deriveSigningKey({secretAccessKey, date, region, service: 's3'});
+  return hmac(signingKey, stringToSign, 'hex');
+}
+
 /**
  * This is a special server that roughly mocks out the Amazon
  * S3 api.  It is not exhaustive but does the following checks:
@@ -16,6 +68,9 @@ const { Controller, parseS3Response } = require('../lib/controller');
  *   - does a complete multipart body parse successfully
  *   - is the http method correct
  *   - do all query string paramters match the expected value
+ *   - is the request signed correctly, when secretAccessKey is given
+ *   - are all x-amz-* headers of a header signed request signed, since S3
+ *     only allows unsigned ones on requests signed in the query string
  *
  * When it finds that a request that does not match expectations it emits an
  * event 'unittest-failure' with a list of string values for the errors.  If
@@ -34,7 +89,7 @@ const { Controller, parseS3Response } = require('../lib/controller');
  * and a JSON body which will contain information on the error 
  */
 async function createMockS3Server(opts) {
-  let {bucket, key, callIfFail, requestType, maxRequests, port} = opts;
+  let {bucket, key, callIfFail, requestType, maxRequests, port, secretAccessKey} = opts;
 
   // we're going to use this to parse input bodies
   // and we know that works because we have parsing tests
@@ -51,6 +106,8 @@ async function createMockS3Server(opts) {
     'completeMPUpload',
     'abortMPUpload',
     'tagObject',
+    'getObjectTagging',
+    'deleteObjectTagging',
     'deleteObject',
     'generate200Error',
     'generate403Error',
@@ -100,13 +157,44 @@ async function createMockS3Server(opts) {
           if (request.headers['x-amz-content-sha256'] !== hash) {
             failures.push('x-amz-content-sha256 mismatch');
           }
-          if (Number.parseInt(request.headers['content-length']) !== size) {
+          // Requests without a body, like GETs, do not need a content-length
+          let contentLength = request.headers['content-length'] || (size === 0 ? '0' : undefined);
+          if (Number.parseInt(contentLength) !== size) {
             failures.push('content-length mismatch');
           }
 
-          // Let's figure out the S3 specific stuff
+          let signedHeaders = /SignedHeaders=([^,]+)/.exec(request.headers.authorization || '');
+          if (signedHeaders) {
+            signedHeaders = signedHeaders[1].split(';');
+            for (let name of Object.keys(request.headers)) {
+              if (/^x-amz-/.test(name) && !signedHeaders.includes(name)) {
+                failures.push(`unsigned header ${name}`);
+              }
+            }
+          }
+
+          if (secretAccessKey) {
+            try {
+              let signature = expectedSignature(request, secretAccessKey);
+              if (request.headers.authorization.slice(-64) !== signature) {
+                failures.push('signature mismatch');
+              }
+            } catch (err) {
+              failures.push(err);
+            }
+          }
+
+          // Let's figure out the S3 specific stuff.  Keys can have slashes,
+          // so everything after the bucket is the key
           let requestDotUrl = urllib.parse(request.url);
-          let [_, requestBucket, requestKey] = requestDotUrl.pathname.split('/', 3)
+          let pathname = requestDotUrl.pathname.slice(1);
+          let requestBucket = pathname.slice(0, pathname.indexOf('/'));
+          let requestKey = pathname.slice(pathname.indexOf('/') + 1);
+          try {
+            requestKey = decodeURIComponent(requestKey);
+          } catch (err) {
+            failures.push('Key is not URI encoded');
+          }
           let requestOptions = querystring.parse(requestDotUrl.query);
 
           // Now let's evaluate the data!
@@ -149,7 +237,7 @@ async function createMockS3Server(opts) {
                 '<?xml version="1.0" encoding="UTF-8"?>',
                 '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
                 '  <Bucket>' + bucket + '</Bucket>',
-                '  <Key>' + key + '</Key>',
+                '  <Key>' + escapeXml(key) + '</Key>',
                 '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
                 '</InitiateMultipartUploadResult>',
               ].join('\n');
@@ -157,7 +245,7 @@ async function createMockS3Server(opts) {
                 'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
                 'x-amz-request-id': '656c76696e6727732072657175657374',
                 Date: new Date().toGMTString(),
-                'Content-Length': body.length,
+                'Content-Length': Buffer.byteLength(body),
                 Connection: 'keep-alive',
                 Server: 'AmazonS3',
               }
@@ -188,9 +276,9 @@ async function createMockS3Server(opts) {
               body = [
                 '<?xml version="1.0" encoding="UTF-8"?>',
                 '<CompleteMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
-                `  <Location>http://${bucket}.s3.amazonaws.com/${key}</Location>`,
+                `  <Location>http://${bucket}.s3.amazonaws.com/${uriEncode(key, false)}</Location>`,
                 `  <Bucket>${bucket}</Bucket>`,
-                `  <Key>${key}</Key>`,
+                `  <Key>${escapeXml(key)}</Key>`,
                 '  <ETag>"3858f62230ac3c915f300c664312c11f-9"</ETag>',
                 '</CompleteMultipartUploadResult>',
               ].join('\n');
@@ -198,7 +286,7 @@ async function createMockS3Server(opts) {
                 'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
                 'x-amz-request-id': '656c76696e6727732072657175657374',
                 Date: new Date().toGMTString(),
-                'Content-Length': body.length,
+                'Content-Length': Buffer.byteLength(body),
                 Connection: 'close',
                 Server: 'AmazonS3',
               }
@@ -221,7 +309,7 @@ async function createMockS3Server(opts) {
                 'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
                 'x-amz-request-id': '656c76696e6727732072657175657374',
                 Date: new Date().toGMTString(),
-                'Content-Length': body.length,
+                'Content-Length': Buffer.byteLength(body),
                 Connection: 'keep-alive',
                 Server: 'AmazonS3',       
               }
@@ -242,7 +330,7 @@ async function createMockS3Server(opts) {
                 'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
                 'x-amz-request-id': '656c76696e6727732072657175657374',
                 Date: new Date().toGMTString(),
-                'Content-Length': body.length,
+                'Content-Length': Buffer.byteLength(body),
                 Connection: 'keep-alive',
                 Server: 'AmazonS3',       
               }
@@ -263,7 +351,7 @@ async function createMockS3Server(opts) {
                 'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
                 'x-amz-request-id': '656c76696e6727732072657175657374',
                 Date: new Date().toGMTString(),
-                'Content-Length': body.length,
+                'Content-Length': Buffer.byteLength(body),
                 Connection: 'keep-alive',
                 Server: 'AmazonS3',       
               }
@@ -297,6 +385,49 @@ async function createMockS3Server(opts) {
                 Date: new Date().toGMTString(),
               };
               break;
+            case 'getObjectTagging':
+              if (request.method !== 'GET') {
+                failures.push('incorrect http method');
+              }
+              if (requestOptions.tagging !== '') {
+                failures.push('incorrect or missing tagging= in qs');
+              }
+              statusCode = 200;
+              statusMessage = 'OK';
+              body = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<Tagging xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+                '  <TagSet>',
+                '    <Tag>',
+                '      <Key>car</Key>',
+                '      <Value>fast</Value>',
+                '    </Tag>',
+                '  </TagSet>',
+                '</Tagging>',
+              ].join('\n');
+              headers = {
+                'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
+                'x-amz-request-id': '656c76696e6727732072657175657374',
+                Date: new Date().toGMTString(),
+                'Content-Length': Buffer.byteLength(body),
+              };
+              break;
+            case 'deleteObjectTagging':
+              if (request.method !== 'DELETE') {
+                failures.push('incorrect http method');
+              }
+              if (requestOptions.tagging !== '') {
+                failures.push('incorrect or missing tagging= in qs');
+              }
+              statusCode = 204;
+              statusMessage = 'NoContent';
+              body = '';
+              headers = {
+                'x-amz-id-2': 'Uuag1LuByRx9e6j5Onimru9pO4ZVKnJ2Qz7/C1NPcfTWAtRPfTaOFg==',
+                'x-amz-request-id': '656c76696e6727732072657175657374',
+                Date: new Date().toGMTString(),
+              };
+              break;
             /////////////////////////////////////////////////////////////
             defaut:
               failures.push('This is not a supported S3 operation');
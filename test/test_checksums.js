@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const assume = require('assume');
+
+const {
+  Crc32c,
+  checksumHeaders,
+  parseChecksumHeaders,
+  expectedMultipartEtag,
+} = require('../lib/checksums');
+
+describe('Checksums', () => {
+  describe('CRC32C', () => {
+    // These are the check values from RFC 3720, Appendix B.4
+    it('should compute the check value', () => {
+      assume(new Crc32c().update(Buffer.from('123456789')).digest('hex')).equals('e3069283');
+    });
+
+    it('should compute the crc of zeros', () => {
+      assume(new Crc32c().update(Buffer.alloc(32)).digest('hex')).equals('8a9136aa');
+    });
+
+    it('should compute the crc of ones', () => {
+      assume(new Crc32c().update(Buffer.alloc(32, 0xff)).digest('hex')).equals('62a8ab43');
+    });
+
+    it('should compute the crc incrementally', () => {
+      let crc = new Crc32c();
+      crc.update(Buffer.from('1234'));
+      crc.update(Buffer.from('56789'));
+      assume(crc.digest('base64')).equals('4waSgw==');
+    });
+
+    it('should compute the crc of nothing', () => {
+      assume(new Crc32c().digest('hex')).equals('00000000');
+    });
+  });
+
+  describe('Headers', () => {
+    it('should generate a SHA256 checksum from a hex sha256', () => {
+      let sha256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+      assume(checksumHeaders('SHA256', {sha256})).deeply.equals({
+        'x-amz-checksum-sha256': Buffer.from(sha256, 'hex').toString('base64'),
+      });
+    });
+
+    it('should generate a CRC32C checksum', () => {
+      assume(checksumHeaders('CRC32C', {crc32c: '4waSgw=='})).deeply.equals({
+        'x-amz-checksum-crc32c': '4waSgw==',
+      });
+    });
+
+    it('should require a crc32c for CRC32C checksums', () => {
+      assume(() => checksumHeaders('CRC32C', {sha256: 'abc'})).throws(/crc32c value must be given/);
+    });
+
+    it('should parse a returned checksum', () => {
+      assume(parseChecksumHeaders({'x-amz-checksum-sha256': 'abc=-3'})).deeply.equals({
+        algorithm: 'SHA256',
+        value: 'abc=-3',
+      });
+      assume(parseChecksumHeaders({etag: 'abc'})).is.a('undefined');
+    });
+  });
+
+  describe('Multipart ETags', () => {
+    it('should compute the md5 of the part md5s', () => {
+      let parts = [Buffer.alloc(5 * 1024 * 1024, 'a'), Buffer.from('b')];
+      let md5s = parts.map(x => crypto.createHash('md5').update(x).digest());
+      let expected = crypto.createHash('md5').update(Buffer.concat(md5s)).digest('hex') + '-2';
+      assume(expectedMultipartEtag(md5s.map(x => x.toString('base64')))).equals(expected);
+    });
+  });
+});
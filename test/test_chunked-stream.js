@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const stream = require('stream');
+const assume = require('assume');
+
+const { ChunkSigningStream } = require('../lib/chunked-stream');
+const {
+  deriveSigningKey,
+  chunkSignature,
+  encodeChunk,
+  chunkedContentLength,
+} = require('../lib/signing');
+
+// This is the example from
+// https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html
+const example = {
+  signingKey: deriveSigningKey({
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY',
+    date: '20130524',
+    region: 'us-east-1',
+    service: 's3',
+  }),
+  date: '20130524T000000Z',
+  scope: '20130524/us-east-1/s3/aws4_request',
+  seedSignature: '4f232c4386841ef735655705268965c44a0e4690baa4adea153f7db9fa80a0a9',
+  chunkSize: 64 * 1024,
+  size: 66560,
+  signatures: [
+    'ad80c730a21e5b8d04586a2213dd63b9a0e99e0e2307b0ade35a65485a288648',
+    '0055627c9e194cb4542bae2aa5492e3c1575bbb81b612b7d234b86a503ef5497',
+    'b6c6ea8a5354eaf15b3cb7646744f4275b71ea724fed81ceb9323e279d449df9',
+  ],
+};
+
+function exampleStream(size = example.size) {
+  return new ChunkSigningStream({
+    signingKey: example.signingKey.toString('hex'),
+    date: example.date,
+    scope: example.scope,
+    seedSignature: example.seedSignature,
+    chunkSize: example.chunkSize,
+    size,
+  });
+}
+
+// Write the pieces to the stream and collect what it outputs
+function run(signer, pieces) {
+  return new Promise((resolve, reject) => {
+    let output = [];
+    signer.on('data', data => output.push(data));
+    signer.on('error', reject);
+    signer.on('end', () => resolve(Buffer.concat(output)));
+    for (let piece of pieces) {
+      signer.write(piece);
+    }
+    signer.end();
+  });
+}
+
+describe('Chunk Signing Stream', () => {
+  describe('Signing', () => {
+    it('should sign the chunks of the AWS example', () => {
+      let previousSignature = example.seedSignature;
+      let chunks = [Buffer.alloc(65536, 'a'), Buffer.alloc(1024, 'a'), Buffer.alloc(0)];
+      for (let i = 0; i < chunks.length; i++) {
+        previousSignature = chunkSignature({
+          signingKey: example.signingKey,
+          date: example.date,
+          scope: example.scope,
+          previousSignature,
+          chunk: chunks[i],
+        });
+        assume(previousSignature).equals(example.signatures[i]);
+      }
+    });
+
+    it('should encode a chunk', () => {
+      let encoded = encodeChunk(Buffer.from('abc'), example.signatures[0]);
+      assume(encoded.toString()).equals(`3;chunk-signature=${example.signatures[0]}\r\nabc\r\n`);
+    });
+
+    it('should compute the content length of the AWS example', () => {
+      assume(chunkedContentLength(66560, 65536)).equals(66824);
+    });
+
+    it('should compute the content length of exact and empty uploads', () => {
+      assume(chunkedContentLength(65536, 65536))
+        .equals(encodeChunk(Buffer.alloc(65536), example.signatures[0]).length +
+                encodeChunk(Buffer.alloc(0), example.signatures[0]).length);
+      assume(chunkedContentLength(0, 65536)).equals(86);
+    });
+  });
+
+  describe('Streaming', () => {
+    let data = Buffer.alloc(example.size, 'a');
+
+    it('should produce the body of the AWS example', async () => {
+      let signer = exampleStream();
+      let body = await run(signer, [data]);
+
+      let expected = Buffer.concat([
+        encodeChunk(data.slice(0, 65536), example.signatures[0]),
+        encodeChunk(data.slice(65536), example.signatures[1]),
+        encodeChunk(Buffer.alloc(0), example.signatures[2]),
+      ]);
+      assume(body.equals(expected)).true();
+      assume(body.length).equals(66824);
+      assume(signer.hash).equals(crypto.createHash('sha256').update(data).digest('hex'));
+      assume(signer.size).equals(example.size);
+    });
+
+    it('should produce the same body from small writes', async () => {
+      let pieces = [];
+      for (let offset = 0; offset < data.length; offset += 1000) {
+        pieces.push(data.slice(offset, offset + 1000));
+      }
+      let body = await run(exampleStream(), pieces);
+      let expected = await run(exampleStream(), [data]);
+      assume(body.equals(expected)).true();
+    });
+
+    it('should work with pipes', done => {
+      let source = new stream.PassThrough();
+      let signer = exampleStream();
+      let length = 0;
+      source.pipe(signer);
+      signer.on('data', data => length += data.length);
+      signer.on('error', done);
+      signer.on('end', () => {
+        try {
+          assume(length).equals(66824);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      source.end(data);
+    });
+
+    it('should fail when given more data than was signed', async () => {
+      let err;
+      try {
+        await run(exampleStream(), [data, Buffer.from('a')]);
+      } catch (e) {
+        err = e;
+      }
+      assume(err).is.instanceOf(Error);
+      assume(err.message).matches(/more than the 66560 bytes/);
+    });
+
+    it('should fail when given less data than was signed', async () => {
+      let err;
+      try {
+        await run(exampleStream(), [data.slice(1)]);
+      } catch (e) {
+        err = e;
+      }
+      assume(err).is.instanceOf(Error);
+      assume(err.message).matches(/66559 bytes but 66560 were signed/);
+    });
+  });
+});
@@ -6,7 +6,10 @@ const assume = require('assume');
 const http = require('http');
 
 const { DigestStream } = require('../lib/digest-stream');
+const { Crc32c } = require('../lib/checksums');
+const { deriveSigningKey, chunkSignature, chunkedContentLength } = require('../lib/signing');
 const { Client } = require('../lib/client');
+const errors = require('../lib/errors');
 
 const assertReject = require('./utils').assertReject;
 
@@ -92,6 +95,23 @@ describe('Client', () => {
       assume(info).has.property('filename', bigfile);
       assume(info).has.property('sha256', bigfilehash);
       assume(info).has.property('size');
+      assume(info.transferCrc32c).is.a('undefined');
+    });
+
+    it('should compute a crc32c when asked to', async () => {
+      let info = await client.prepareUpload({
+        filename: bigfile,
+        forceSP: true,
+        checksumAlgorithm: 'CRC32C',
+      });
+      let expected = new Crc32c().update(await fs.readFile(bigfile)).digest('base64');
+      assume(info).has.property('transferCrc32c', expected);
+    });
+
+    it('should compute the md5 of the data', async () => {
+      let info = await client.prepareUpload({filename: bigfile, forceSP: true});
+      let expected = crypto.createHash('md5').update(await fs.readFile(bigfile)).digest('base64');
+      assume(info).has.property('transferMd5', expected);
     });
 
     it('should run an upload', async () => {
@@ -112,6 +132,7 @@ describe('Client', () => {
           request.on('end', () => {
             response.writeHead(200, 'OK', {
               etag: request.headers.sha256,
+              'x-amz-version-id': 'v1',
             });
             response.end(JSON.stringify({
               object: request.url.slice(1),
@@ -145,6 +166,7 @@ describe('Client', () => {
       let expectedEtags = [info.sha256];
 
       assume(actual.etags).deeply.equals(expectedEtags);
+      assume(actual.versionId).equals('v1');
 
       let body = JSON.parse(actual.responses[0].body);
 
@@ -154,9 +176,137 @@ describe('Client', () => {
 
     });
 
+    it('should skip null requests', async () => {
+      let info = await client.prepareUpload({
+        filename: bigfile,
+        partsize: 5*1024*1024,
+        forceMP: true,
+      });
+      assume(info.parts.length).greaterThan(1);
+
+      let ran = [];
+      client.runner = {
+        run: async ({req}) => {
+          ran.push(req.url);
+          return {
+            body: Buffer.from(''),
+            headers: {etag: req.url, 'x-amz-server-side-encryption': 'AES256'},
+            statusCode: 200,
+          };
+        },
+      };
+
+      let requests = info.parts.map((part, n) => n === 0 ? null : {
+        url: `http://localhost/object?partNumber=${n + 1}`,
+        method: 'PUT',
+        headers: {},
+      });
+
+      let actual = await client.runUpload(requests, info);
+
+      assume(ran).has.lengthOf(info.parts.length - 1);
+      assume(actual.etags[0]).equals(null);
+      assume(actual.etags.slice(1)).deeply.equals(ran);
+      assume(actual.encryption).deeply.equals({algorithm: 'AES256'});
+      assume(actual.checksums).deeply.equals(info.parts.map(() => null));
+      assume(actual.versionId).is.a('undefined');
+    });
+
+    it('should report failed conditional uploads', async () => {
+      let info = await client.prepareUpload({filename: bigfile, forceSP: true});
+      client.runner = {
+        run: async () => ({
+          body: Buffer.from('<Error><Code>PreconditionFailed</Code><Message>Nope</Message></Error>'),
+          headers: {'x-amz-request-id': 'requestid'},
+          statusCode: 412,
+          statusMessage: 'Precondition Failed',
+        }),
+      };
+      let err = await assertReject(client.runUpload({
+        url: 'http://localhost/bucket/key',
+        method: 'PUT',
+        headers: {'if-none-match': '*'},
+      }, info));
+      assume(err).is.instanceOf(errors.PreconditionFailedError);
+      assume(err).has.property('requestId', 'requestid');
+    });
+
 
   });
 
+  describe('SSE-C', () => {
+    let key = crypto.randomBytes(32);
+    let request = {
+      url: 'http://localhost/object',
+      method: 'PUT',
+      headers: {'x-amz-server-side-encryption-customer-algorithm': 'AES256'},
+      clientHeaders: [
+        'x-amz-server-side-encryption-customer-key',
+        'x-amz-server-side-encryption-customer-key-md5',
+      ],
+    };
+
+    it('should fill in the key headers from the provider', async () => {
+      let given;
+      client = new Client({customerKey: async req => {
+        given = req;
+        return key;
+      }});
+
+      let filled = await client.__addClientHeaders(request);
+
+      assume(given).equals(request);
+      assume(filled).does.not.have.property('clientHeaders');
+      assume(filled.headers).deeply.equals({
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': key.toString('base64'),
+        'x-amz-server-side-encryption-customer-key-md5': crypto.createHash('md5').update(key).digest('base64'),
+      });
+      // The original request is not modified
+      assume(request.headers).does.not.have.property('x-amz-server-side-encryption-customer-key');
+    });
+
+    it('should accept base64 keys', async () => {
+      client = new Client({customerKey: async () => key.toString('base64')});
+      let filled = await client.__addClientHeaders(request);
+      assume(filled.headers['x-amz-server-side-encryption-customer-key']).equals(key.toString('base64'));
+    });
+
+    it('should not accept keys which are not 256 bits', async () => {
+      client = new Client({customerKey: async () => crypto.randomBytes(16)});
+      await assertReject(client.__addClientHeaders(request));
+    });
+
+    it('should require a provider', async () => {
+      let err = await assertReject(client.__addClientHeaders(request));
+      assume(err.message).matches(/customerKey provider is required/);
+    });
+
+    it('should not fill in unknown headers', async () => {
+      client = new Client({customerKey: async () => key});
+      await assertReject(client.__addClientHeaders(Object.assign({}, request, {
+        clientHeaders: ['authorization'],
+      })));
+    });
+
+    it('should send the key with uploads', async () => {
+      let info = await client.prepareUpload({filename: bigfile, forceSP: true});
+      let sent;
+      client = new Client({customerKey: async () => key});
+      client.runner = {
+        run: async ({req}) => {
+          sent = req;
+          return {body: Buffer.from(''), headers: {etag: '"etag"'}, statusCode: 200};
+        },
+      };
+
+      await client.runUpload(request, info);
+
+      assume(sent.headers).has.property('x-amz-server-side-encryption-customer-key', key.toString('base64'));
+      assume(sent).does.not.have.property('clientHeaders');
+    });
+  });
+
   describe('Compression', () => {
     it('should compress a file correctly to another file', async () => {
       let result = await client.__compressFile({
@@ -175,6 +325,214 @@ describe('Client', () => {
     });
   });
 
+  describe('Failed Downloads', () => {
+    function mockDownload(statusCode, body) {
+      client.runner = {
+        run: async () => ({
+          bodyStream: new stream.PassThrough().end(body),
+          headers: {},
+          statusCode,
+          statusMessage: 'Forbidden',
+        }),
+      };
+    }
+
+    let output = () => new stream.PassThrough();
+    let request = {url: 'http://localhost/bucket/key', method: 'GET', headers: {}};
+
+    it('should report archived objects', async () => {
+      mockDownload(403, [
+        '<Error>',
+        '  <Code>InvalidObjectState</Code>',
+        '  <Message>The operation is not valid for the object\'s storage class</Message>',
+        '  <StorageClass>GLACIER</StorageClass>',
+        '</Error>',
+      ].join('\n'));
+      let err = await assertReject(client.runDownload({request, output}));
+      assume(err).is.instanceOf(errors.ObjectArchivedError);
+      assume(err).has.property('code', 'InvalidObjectState');
+      assume(err).has.property('storageClass', 'GLACIER');
+    });
+
+    it('should report other failures', async () => {
+      mockDownload(403, [
+        '<Error>',
+        '  <Code>AccessDenied</Code>',
+        '  <Message>Access Denied</Message>',
+        '</Error>',
+      ].join('\n'));
+      let err = await assertReject(client.runDownload({request, output}));
+      assume(err).is.not.instanceOf(errors.ObjectArchivedError);
+      assume(err).is.instanceOf(errors.AccessDeniedError);
+      assume(err).has.property('statusCode', 403);
+      assume(err).has.property('code', 'AccessDenied');
+      assume(err).has.property('url', request.url);
+    });
+
+    it('should reject when the request cannot be run', async () => {
+      client.runner = {
+        run: async () => {
+          throw new Error('ECONNRESET');
+        },
+      };
+      let err = await assertReject(client.runDownload({request, output}));
+      assume(err.message).equals('ECONNRESET');
+    });
+
+    it('should reject when the error response cannot be read', async () => {
+      let bodyStream = new stream.PassThrough();
+      client.runner = {
+        run: async () => ({bodyStream, headers: {}, statusCode: 403, statusMessage: 'Forbidden'}),
+      };
+      setImmediate(() => bodyStream.emit('error', new Error('connection lost')));
+      let err = await assertReject(client.runDownload({request, output}));
+      assume(err.message).equals('connection lost');
+    });
+  });
+
+  describe('Streaming Uploads', () => {
+    let signingKey = deriveSigningKey({secretAccessKey: 'secret', date: '20130524', region: 'us-east-1', service: 's3'});
+    let seedSignature = 'f'.repeat(64);
+    let data = crypto.randomBytes(20 * 1024);
+
+    let request = {
+      url: 'http://localhost/bucket/key',
+      method: 'PUT',
+      headers: {
+        'x-amz-decoded-content-length': String(data.length),
+        'content-length': String(chunkedContentLength(data.length, 8 * 1024)),
+      },
+      streaming: {
+        signingKey: signingKey.toString('hex'),
+        date: '20130524T000000Z',
+        scope: '20130524/us-east-1/s3/aws4_request',
+        seedSignature,
+        chunkSize: 8 * 1024,
+      },
+    };
+
+    // Read the body which the client sends and split it back into chunks
+    function mockUpload(statusCode, chunks) {
+      client.runner = {
+        run: ({body}) => new Promise((resolve, reject) => {
+          let received = [];
+          body.on('data', data => received.push(data));
+          body.on('error', reject);
+          body.on('end', () => {
+            let encoded = Buffer.concat(received);
+            while (encoded.length > 0) {
+              let header = encoded.slice(0, encoded.indexOf('\r\n')).toString();
+              let [size, signature] = header.split(';chunk-signature=');
+              let start = header.length + 2;
+              let end = start + Number.parseInt(size, 16);
+              chunks.push({signature, data: encoded.slice(start, end)});
+              encoded = encoded.slice(end + 2);
+            }
+            resolve({
+              body: Buffer.from(''),
+              headers: {etag: '"etag"', 'x-amz-version-id': 'v1'},
+              statusCode,
+              statusMessage: 'OK',
+            });
+          });
+        }),
+      };
+    }
+
+    it('should sign each chunk as it is sent', async () => {
+      let chunks = [];
+      mockUpload(200, chunks);
+
+      let input = new stream.PassThrough();
+      input.end(data);
+      let result = await client.runStreamingUpload({request, input});
+
+      assume(result).has.property('etag', '"etag"');
+      assume(result).has.property('versionId', 'v1');
+      assume(result).has.property('sha256', crypto.createHash('sha256').update(data).digest('hex'));
+      assume(result).has.property('size', data.length);
+
+      assume(chunks.map(chunk => chunk.data.length)).deeply.equals([8192, 8192, 4096, 0]);
+      assume(Buffer.concat(chunks.map(chunk => chunk.data)).equals(data)).true();
+      let previousSignature = seedSignature;
+      for (let chunk of chunks) {
+        assume(chunk.signature).equals(chunkSignature({
+          signingKey,
+          date: '20130524T000000Z',
+          scope: '20130524/us-east-1/s3/aws4_request',
+          previousSignature,
+          chunk: chunk.data,
+        }));
+        previousSignature = chunk.signature;
+      }
+    });
+
+    it('should fail when the upload fails', async () => {
+      mockUpload(403, []);
+      let input = new stream.PassThrough();
+      input.end(data);
+      let err = await assertReject(client.runStreamingUpload({request, input}));
+      assume(err.message).matches(/Failed to run a request PUT/);
+      assume(err).is.instanceOf(errors.S3Error);
+      assume(err).has.property('statusCode', 403);
+    });
+
+    it('should only run streaming requests', async () => {
+      let input = new stream.PassThrough();
+      let plain = Object.assign({}, request);
+      delete plain.streaming;
+      let err = await assertReject(client.runStreamingUpload({request: plain, input}));
+      assume(err.message).matches(/not a streaming upload request/);
+    });
+  });
+
+  describe('Object URLs', () => {
+    let downloadUrl;
+
+    beforeEach(() => {
+      downloadUrl = [];
+      client.downloadUrl = async opts => {
+        downloadUrl.push(opts.url);
+      };
+    });
+
+    it('should use the regional host', async () => {
+      await client.downloadObject({region: 'us-west-2', bucket: 'bucket', key: 'key', output: 'x'});
+      assume(downloadUrl).deeply.equals(['https://bucket.s3.us-west-2.amazonaws.com/key']);
+    });
+
+    it('should use the dualstack host', async () => {
+      await client.downloadObject({
+        region: 'us-west-2',
+        dualstack: true,
+        bucket: 'bucket',
+        key: 'key',
+        output: 'x',
+      });
+      assume(downloadUrl).deeply.equals(['https://bucket.s3.dualstack.us-west-2.amazonaws.com/key']);
+    });
+
+    it('should use a custom endpoint', async () => {
+      await client.downloadObject({
+        endpoint: {protocol: 'http:', host: 'localhost', port: 9000},
+        bucket: 'bucket',
+        key: 'key',
+        output: 'x',
+      });
+      assume(downloadUrl).deeply.equals(['http://localhost:9000/bucket/key']);
+    });
+
+    it('should download a specific version', async () => {
+      await client.downloadObject({region: 'us-west-2', bucket: 'bucket', key: 'key', versionId: 'v 1', output: 'x'});
+      assume(downloadUrl).deeply.equals(['https://bucket.s3.us-west-2.amazonaws.com/key?versionId=v%201']);
+    });
+
+    it('should encode the key', async () => {
+      await client.downloadObject({region: 'us-west-2', bucket: 'bucket', key: 'a dir/b+c?d#e', output: 'x'});
+      assume(downloadUrl).deeply.equals(['https://bucket.s3.us-west-2.amazonaws.com/a%20dir/b%2Bc%3Fd%23e']);
+    });
+  });
+
   describe('Multiple Part Uploads', () => {
     it('should be able prepare upload', async () => {
       let info = await client.__prepareMultipartUpload({
@@ -193,6 +551,48 @@ describe('Client', () => {
       }
     });
 
+    it('should compute part crc32c values when asked to', async () => {
+      let info = await client.prepareUpload({
+        filename: bigfile,
+        partsize: 5*1024*1024,
+        forceMP: true,
+        checksumAlgorithm: 'CRC32C',
+      });
+      let data = await fs.readFile(bigfile);
+      for (let part of info.parts) {
+        let expected = new Crc32c().update(data.slice(part.start, part.start + part.size)).digest('base64');
+        assume(part).has.property('crc32c', expected);
+        assume(part).has.property('md5', crypto.createHash('md5')
+          .update(data.slice(part.start, part.start + part.size)).digest('base64'));
+      }
+    });
+
+    it('should return the checksums S3 stored', async () => {
+      let info = await client.prepareUpload({
+        filename: bigfile,
+        partsize: 5*1024*1024,
+        forceMP: true,
+        checksumAlgorithm: 'CRC32C',
+      });
+
+      client.runner = {
+        run: async ({req}) => ({
+          body: Buffer.from(''),
+          headers: {etag: req.url, 'x-amz-checksum-crc32c': req.headers['x-amz-checksum-crc32c']},
+          statusCode: 200,
+        }),
+      };
+
+      let requests = info.parts.map((part, n) => ({
+        url: `http://localhost/object?partNumber=${n + 1}`,
+        method: 'PUT',
+        headers: {'x-amz-checksum-crc32c': part.crc32c},
+      }));
+
+      let actual = await client.runUpload(requests, info);
+      assume(actual.checksums).deeply.equals(info.parts.map(part => part.crc32c));
+    });
+
     it('should run an upload', async () => {
       let port = process.env.PORT || 8080;
 
@@ -7,8 +7,12 @@ const sinon = require('sinon');
 const qs = require('querystring');
 
 const assume = require('assume');
-const { Controller, parseS3Response } = require('../');
+const { Controller } = require('../');
+const { parseS3Response } = require('../lib/controller');
+const errors = require('../lib/errors');
+const { NoSuchKeyError, IntegrityError } = errors;
 const { DigestStream } = require('../lib/digest-stream');
+const { deriveSigningKey, chunkedContentLength } = require('../lib/signing');
 const assertReject = require('./utils').assertReject;
 const InterchangeFormat = require('../lib/interchange-format');
 
@@ -52,10 +56,9 @@ describe('Controller', () => {
   });
 
   beforeEach(done => {
-    controller = new Controller({vhostAddressing: false});
-    controller.s3host = 'localhost';
-    controller.s3protocol = 'http:';
-    controller.s3port = port;
+    controller = new Controller({
+      endpoint: {protocol: 'http:', host: 'localhost', port: Number(port)},
+    });
     if (server) {
       server.close(err => {
         server = undefined;
@@ -120,6 +123,27 @@ describe('Controller', () => {
         params: () => {
           return {tags: {car: 'fast', money: 'lots'}};
         }
+      }, {
+        name: 'Put Object Tagging',
+        type: 'tagObject',
+        func: 'putObjectTagging',
+        params: () => {
+          return {tags: {car: 'fast'}, versionId: 'v1'};
+        }
+      }, {
+        name: 'Get Object Tagging',
+        type: 'getObjectTagging',
+        func: 'getObjectTagging',
+        params: () => {
+          return {};
+        }
+      }, {
+        name: 'Delete Object Tagging',
+        type: 'deleteObjectTagging',
+        func: 'deleteObjectTagging',
+        params: () => {
+          return {versionId: 'v1'};
+        }
       }, {
         name: 'Delete Object',
         type: 'deleteObject',
@@ -190,6 +214,93 @@ describe('Controller', () => {
         }
       }); 
     }
+
+    it('should reject header signed requests with unsigned x-amz-* headers', () => {
+      return new Promise(async (pass, fail) => {
+        server = await createMockS3Server({
+          key,
+          bucket,
+          requestType: 'deleteObject',
+          port,
+        });
+
+        server.once('unittest-success', () => fail(new Error('should have failed')));
+        server.once('unittest-failure', err => {
+          assume(err.message).includes('unsigned header x-amz-server-side-encryption-customer-key');
+          pass();
+        });
+
+        let run = controller.runner;
+        controller.runner = async opts => {
+          opts.req.headers['x-amz-server-side-encryption-customer-key'] = 'added after signing';
+          return run(opts);
+        };
+        try {
+          await controller.deleteObject({bucket, key});
+        } catch (err) {
+          // The mock server responds to failures with a 418
+        }
+      });
+    });
+
+    // Keys which are easy to get wrong when they are put in a URL and signed.
+    // The mock server checks the signature of each request the same way S3
+    // does, so a key which is encoded differently in the URL and in the
+    // canonical request fails as well as one which ends up as the wrong key
+    let nastyKeys = [
+      'with space',
+      'plus+sign',
+      'hash#fragment',
+      'question?mark',
+      'percent%25encoded',
+      '100%',
+      'ampersand&equals=semicolon;',
+      'unreserved-_.~',
+      'sub-delims!$\'()*,',
+      'brackets[]{}<>',
+      'colon:at@',
+      'quotes"\'`',
+      'caret^pipe|backslash\\',
+      'dir/sub dir/file.txt',
+      '/leading/double//slash/',
+      'dots/./and/../segments',
+      'ключ/ファイル/🦊',
+      'combining\u0065\u0301',
+    ];
+
+    for (let nastyKey of nastyKeys) {
+      describe(`Key ${JSON.stringify(nastyKey)}`, () => {
+        for (let {name, type, params, func} of tests) {
+          it(`should call the ${name} API Correctly`, () => {
+            return new Promise(async (pass, fail) => {
+              server = await createMockS3Server({
+                key: nastyKey,
+                bucket,
+                requestType: type,
+                port,
+                secretAccessKey: 'nasty-secret',
+              });
+
+              server.once('unittest-success', pass);
+              server.once('unittest-failure', fail);
+
+              let s3 = new Controller({
+                endpoint: {protocol: 'http:', host: 'localhost', port: Number(port)},
+                accessKeyId: 'nasty-access-key',
+                secretAccessKey: 'nasty-secret',
+              });
+
+              let args = Object.assign({key: nastyKey, bucket}, params());
+              try {
+                await s3[func](args);
+              } catch (err) {
+                fail(err);
+              }
+            });
+          });
+        }
+      });
+    }
   });
 
   describe('API Hosts', () => {
@@ -200,7 +311,100 @@ describe('Controller', () => {
 
     it('should use correct host for us-west-1', () => {
       let s3 = new Controller({region: 'us-west-1', vhostAddressing: false});
-      assume(s3).has.property('s3host', 's3-us-west-1.amazonaws.com');
+      assume(s3).has.property('s3host', 's3.us-west-1.amazonaws.com');
+    });
+
+    it('should use the dualstack host', () => {
+      let s3 = new Controller({region: 'us-west-2', dualstack: true});
+      assume(s3).has.property('s3host', 's3.dualstack.us-west-2.amazonaws.com');
+    });
+
+    it('should use the accelerate host', () => {
+      let s3 = new Controller({region: 'us-west-2', accelerate: true});
+      assume(s3).has.property('s3host', 's3-accelerate.amazonaws.com');
+      assume(s3).has.property('vhostAddressing', true);
+    });
+
+    it('should not allow path addressing with accelerate', () => {
+      assume(() => {
+        new Controller({accelerate: true, vhostAddressing: false});
+      }).throws(/requires vhostAddressing/);
+    });
+
+    it('should use a custom endpoint', () => {
+      let s3 = new Controller({
+        region: 'eu-central-1',
+        endpoint: {protocol: 'http:', host: 'minio.example.com', port: 9000},
+      });
+      assume(s3).has.property('s3host', 'minio.example.com');
+      assume(s3).has.property('s3protocol', 'http:');
+      assume(s3).has.property('s3port', 9000);
+      assume(s3).has.property('vhostAddressing', false);
+      assume(s3).has.property('region', 'eu-central-1');
+    });
+
+    it('should allow vhost addressing with a custom endpoint', () => {
+      let s3 = new Controller({
+        endpoint: {host: 'rgw.example.com', pathStyle: false},
+      });
+      assume(s3).has.property('s3protocol', 'https:');
+      assume(s3).has.property('vhostAddressing', true);
+    });
+
+    it('should let vhostAddressing override the endpoint default', () => {
+      let s3 = new Controller({
+        endpoint: {host: 'rgw.example.com'},
+        vhostAddressing: true,
+      });
+      assume(s3).has.property('vhostAddressing', true);
+    });
+
+    it('should sign custom endpoint requests with the configured region', async () => {
+      let s3 = new Controller({
+        region: 'eu-central-1',
+        endpoint: {protocol: 'http:', host: 'minio.example.com', port: 9000},
+      });
+      let result = await s3.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: crypto.createHash('sha256').update('endpoint').digest('hex'),
+        size: 1,
+      });
+      assume(result).has.property('url', 'http://minio.example.com:9000/bucket/key');
+      assume(result.headers).has.property('Host', 'minio.example.com:9000');
+      assume(result.headers.Authorization).matches(/\/eu-central-1\/s3\/aws4_request/);
+    });
+  });
+
+  describe('Credentials', () => {
+    it('should sign every request with credentials from the provider', async () => {
+      let calls = 0;
+      let s3 = new Controller({
+        credentials: async () => {
+          calls++;
+          return {
+            accessKeyId: 'key' + calls,
+            secretAccessKey: 'secret',
+            sessionToken: 'token' + calls,
+            // Already within the refresh window, so each call refreshes
+            expiration: new Date(Date.now() + 60 * 1000),
+          };
+        },
+      });
+
+      let first = await s3.generateGetUrl({bucket: 'bucket', key: 'key', signed: true});
+      let second = await s3.generateGetUrl({bucket: 'bucket', key: 'key', signed: true});
+
+      assume(calls).equals(2);
+      assume(qs.parse(urllib.parse(first).query)).has.property('X-Amz-Security-Token', 'token1');
+      assume(qs.parse(urllib.parse(second).query)).has.property('X-Amz-Security-Token', 'token2');
+      assume(qs.parse(urllib.parse(second).query)['X-Amz-Credential']).matches(/^key2\//);
+    });
+
+    it('should not allow both a provider and static credentials', () => {
+      assume(() => {
+        new Controller({credentials: async () => ({}), accessKeyId: 'a'});
+      }).throws(/"credentials" conflict with forbidden peer "accessKeyId"/);
     });
   });
 
@@ -233,6 +437,17 @@ describe('Controller', () => {
       assume(actual).deeply.equals(expected);
     });
     
+    it('path addressing with a key which needs encoding', () => {
+      let actual = controller.__generateRequestBase({
+        bucket: 'bucket',
+        key: 'a b/c?d',
+        method: 'GET',
+        query: 'versionId=v1',
+      });
+
+      assume(actual).has.property('path', '/bucket/a%20b/c%3Fd?versionId=v1');
+    });
+
     it('path addressing without headers or query', () => {
       let expected = {
         region: 'us-east-1',
@@ -721,518 +936,3320 @@ describe('Controller', () => {
         assume(arg.req.headers).has.property('content-disposition', 'content-disposition');
       });
 
-    });
-  });
-
-  describe('Metadata', () => {
-    it('should work for a single object', () => {
-      let actual = controller.__generateMetadataHeaders({
-        a: 'string',
-        b: 123,
-      });
-
-      assume(actual).to.deeply.equal({'x-amz-meta-a': 'string', 'x-amz-meta-b': '123'});
-    });
-    
-    it('should work for multiple object', () => {
-      let actual = controller.__generateMetadataHeaders({a:1}, {b:2}, {c:3});
-      let expected = {
-        'x-amz-meta-a': '1',
-        'x-amz-meta-b': '2',
-        'x-amz-meta-c': '3',
-      };
-
-      assume(actual).to.deeply.equal(expected);
-    });
+      it('should set the server-side encryption headers', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
 
-    it('should throw when trying to define key twice', () => {
-      assume(() => {
-        controller.__generateMetadataHeaders({a:1}, {a:2});
-      }).throws('Attempting to define a in metadata twice');
-    });
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
 
-    it('should throw for a value that is too big', () => {
-      let bytes = 2048 - 'x-amz-meta-a'.length;
-      let max = Buffer.alloc(bytes, 'a').toString('utf8');
-      controller.__generateMetadataHeaders({a: max});
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          encryption: {
+            algorithm: 'aws:kms',
+            kmsKeyId: 'arn:aws:kms:us-east-1:123456789012:key/abc',
+            context: {project: 'artifacts'},
+            bucketKey: true,
+          },
+        });
 
-      max = max + 'a';
+        runner.verify();
 
-      assume(() => {
-        controller.__generateMetadataHeaders({a: max});
-      }).throws(/Metadata exceeds 2048 byte/);
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('x-amz-server-side-encryption', 'aws:kms');
+        assume(headers).has.property('x-amz-server-side-encryption-aws-kms-key-id',
+          'arn:aws:kms:us-east-1:123456789012:key/abc');
+        assume(headers).has.property('x-amz-server-side-encryption-context',
+          Buffer.from('{"project":"artifacts"}').toString('base64'));
+        assume(headers).has.property('x-amz-server-side-encryption-bucket-key-enabled', 'true');
+      });
 
-    });
+      it('should declare a checksum algorithm for Object Lock uploads', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
 
-    it('should throw a boolean value', () => {
-      assume(() => {
-        controller.__generateMetadataHeaders({a: true});
-      }).throws(/Metadata values must be string/);
-    });
-    it('should throw an undefined value', () => {
-      assume(() => {
-        controller.__generateMetadataHeaders({a: undefined});
-      }).throws(/Metadata values must be string/);
-    });
-    it('should throw an object value', () => {
-      assume(() => {
-        controller.__generateMetadataHeaders({a: {b:1}});
-      }).throws(/Metadata values must be string/);
-    });
-    it('should throw a function value', () => {
-      assume(() => {
-        controller.__generateMetadataHeaders({a: () => {}});
-      }).throws(/Metadata values must be string/);
-    });
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
 
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          objectLock: {legalHold: true},
+          checksumAlgorithm: 'SHA256',
+        });
 
-  });
+        runner.verify();
 
-  describe('Generate Multipart Request', () => {
-    it ('should return the right values', async () => {
-      let parts = [
-        {sha256: crypto.createHash('sha256').update('part1').digest('hex'), size: 5*1024*1024},
-        {sha256: crypto.createHash('sha256').update('part2').digest('hex'), size: 5*1024*1024},
-        {sha256: crypto.createHash('sha256').update('part3').digest('hex'), size: 128},
-      ];
-      let result = await controller.generateMultipartRequest({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        uploadId: 'example-uploadid',
-        parts: parts
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('x-amz-object-lock-legal-hold', 'ON');
+        assume(headers).does.not.have.property('x-amz-object-lock-mode');
+        assume(headers).has.property('x-amz-checksum-algorithm', 'SHA256');
       });
 
-      let n = 1;
-      for (let request of result) {
-        assume(request).has.property('url', `http://localhost:8080/example-bucket/example-key?partNumber=${n}&uploadId=example-uploadid`);
-        assume(request).has.property('method', 'PUT');
-        assume(request).has.property('headers');
-        assume(request.headers).has.property('x-amz-content-sha256', parts[n-1].sha256);
-        assume(request.headers).has.property('content-length', Number(parts[n-1].size).toString(10));
-        assume(request.headers).has.property('Host', 'localhost:' + port);
-        assume(request.headers).has.property('Authorization');
-        assume(request.headers).has.property('X-Amz-Date');
-        n++;
-      }
-
-    });
-
-    it('should have correct number of parts', async () => {
-      let hash = crypto.createHash('sha256').update('hi').digest('hex');
-      let parts = [];
+      it('should require a checksum or md5 for Object Lock', async () => {
+        controller.runner = sandbox.mock().never();
+        let err = await assertReject(controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          objectLock: {legalHold: true},
+        }));
+        assume(err.message).matches(/require a checksumAlgorithm or contentMd5/);
+      });
 
-      for (let x = 0 ; x < 10000 ; x++) {
-        parts.push({
-          sha256: hash,
-          size: 5*1024*1024
+      it('should accept md5 parts for Object Lock', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
         });
-      }
 
-      await controller.generateMultipartRequest({
-        bucket: 'bucket',
-        key: 'key',
-        uploadId: 'uploadId',
-        parts: parts,
-      });
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          objectLock: {legalHold: true},
+          contentMd5: true,
+        });
 
-      parts.push({
-        sha256: hash,
-        size: 5*1024*1024
+        runner.verify();
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('x-amz-object-lock-legal-hold', 'ON');
+        assume(headers).does.not.have.property('x-amz-checksum-algorithm');
       });
 
-      return assertReject(controller.generateMultipartRequest({
+      it('should set the standard object headers', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
+
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          cacheControl: 'no-cache',
+          contentExpires: new Date('2030-01-01T00:00:00.000Z'),
+          contentLanguage: 'fr',
+          websiteRedirectLocation: 'https://example.com/',
+        });
+
+        runner.verify();
+
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('cache-control', 'no-cache');
+        assume(headers).has.property('expires', 'Tue, 01 Jan 2030 00:00:00 GMT');
+        assume(headers).has.property('content-language', 'fr');
+        assume(headers).has.property('x-amz-website-redirect-location', 'https://example.com/');
+      });
+
+      it('should declare a requested checksum algorithm', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
+
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          checksumAlgorithm: 'CRC32C',
+        });
+
+        runner.verify();
+
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('x-amz-checksum-algorithm', 'CRC32C');
+      });
+
+      it('should tag the upload when it is initiated', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        controller.runner = runner;
+
+        runner.returns({
+          body: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <UploadId>VXBsb2FkIElEIGZvciA2aWWpbmcncyBteS1tb3ZpZS5tMnRzIHVwbG9hZA</UploadId>',
+            '</InitiateMultipartUploadResult>',
+          ].join('\n'),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+
+        await controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          tags: {'project name': 'a/b', count: 2},
+        });
+
+        runner.verify();
+
+        let headers = runner.firstCall.args[0].req.headers;
+        assume(headers).has.property('x-amz-tagging', 'project%20name=a%2Fb&count=2');
+        assume(headers.Authorization).matches(/SignedHeaders=[^,]*x-amz-tagging/);
+      });
+
+      it('should not allow invalid tags', () => {
+        return assertReject(controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          tags: {'aws:reserved': 'value'},
+        }));
+      });
+
+      it('should direct tags to completion without taggingOnInitiate', async () => {
+        controller.taggingOnInitiate = false;
+        let err = await assertReject(controller.initiateMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+          size: 1,
+          tags: {a: 'b'},
+        }));
+        assume(err.message).matches(/completeMultipartUpload/);
+      });
+
+      it('should still tag after completion with taggingOnInitiate', async () => {
+        let runner = sandbox.mock();
+        runner.twice();
+        runner.onFirstCall().returns({
+          body: Buffer.from([
+            '<CompleteMultipartUploadResult>',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <ETag>"etag"</ETag>',
+            '</CompleteMultipartUploadResult>',
+          ].join('\n')),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+        runner.onSecondCall().returns({body: Buffer.from(''), headers: {}, statusCode: 200, statusMessage: 'OK'});
+        controller.runner = runner;
+
+        await controller.completeMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          uploadId: 'uploadId',
+          etags: ['etag1', 'etag2'],
+          tags: {a: 'b'},
+        });
+
+        runner.verify();
+        assume(runner.secondCall.args[0].req.url).equals('http://localhost:8080/bucket/key?tagging=');
+      });
+
+      it('should ignore empty tags on completion', async () => {
+        let runner = sandbox.mock();
+        runner.once();
+        runner.returns({
+          body: Buffer.from([
+            '<CompleteMultipartUploadResult>',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <ETag>"etag"</ETag>',
+            '</CompleteMultipartUploadResult>',
+          ].join('\n')),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+        controller.runner = runner;
+
+        await controller.completeMultipartUpload({
+          bucket: 'bucket',
+          key: 'key',
+          uploadId: 'uploadId',
+          etags: ['etag1', 'etag2'],
+          tags: {},
+        });
+
+        runner.verify();
+      });
+
+    });
+  });
+
+  describe('Metadata', () => {
+    it('should work for a single object', () => {
+      let actual = controller.__generateMetadataHeaders({
+        a: 'string',
+        b: 123,
+      });
+
+      assume(actual).to.deeply.equal({'x-amz-meta-a': 'string', 'x-amz-meta-b': '123'});
+    });
+    
+    it('should work for multiple object', () => {
+      let actual = controller.__generateMetadataHeaders({a:1}, {b:2}, {c:3});
+      let expected = {
+        'x-amz-meta-a': '1',
+        'x-amz-meta-b': '2',
+        'x-amz-meta-c': '3',
+      };
+
+      assume(actual).to.deeply.equal(expected);
+    });
+
+    it('should throw when trying to define key twice', () => {
+      assume(() => {
+        controller.__generateMetadataHeaders({a:1}, {a:2});
+      }).throws('Attempting to define a in metadata twice');
+    });
+
+    it('should throw for a value that is too big', () => {
+      let bytes = 2048 - 'x-amz-meta-a'.length;
+      let max = Buffer.alloc(bytes, 'a').toString('utf8');
+      controller.__generateMetadataHeaders({a: max});
+
+      max = max + 'a';
+
+      assume(() => {
+        controller.__generateMetadataHeaders({a: max});
+      }).throws(/Metadata exceeds 2048 byte/);
+
+    });
+
+    it('should count standard headers against the limit', () => {
+      let headers = controller.__generateMetadataHeaders({a: Buffer.alloc(1024, 'a').toString()});
+      let standardHeaders = controller.__generateStandardHeaders({
+        cacheControl: 'max-age=' + Buffer.alloc(1024, '1').toString(),
+      });
+      assume(() => {
+        controller.__checkHeaderBudget(headers, standardHeaders);
+      }).throws(/Metadata exceeds 2048 byte/);
+    });
+
+    it('should throw a boolean value', () => {
+      assume(() => {
+        controller.__generateMetadataHeaders({a: true});
+      }).throws(/Metadata values must be string/);
+    });
+    it('should throw an undefined value', () => {
+      assume(() => {
+        controller.__generateMetadataHeaders({a: undefined});
+      }).throws(/Metadata values must be string/);
+    });
+    it('should throw an object value', () => {
+      assume(() => {
+        controller.__generateMetadataHeaders({a: {b:1}});
+      }).throws(/Metadata values must be string/);
+    });
+    it('should throw a function value', () => {
+      assume(() => {
+        controller.__generateMetadataHeaders({a: () => {}});
+      }).throws(/Metadata values must be string/);
+    });
+
+
+  });
+
+  describe('Generate Multipart Request', () => {
+    it ('should return the right values', async () => {
+      let parts = [
+        {sha256: crypto.createHash('sha256').update('part1').digest('hex'), size: 5*1024*1024},
+        {sha256: crypto.createHash('sha256').update('part2').digest('hex'), size: 5*1024*1024},
+        {sha256: crypto.createHash('sha256').update('part3').digest('hex'), size: 128},
+      ];
+      let result = await controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: parts
+      });
+
+      let n = 1;
+      for (let request of result) {
+        assume(request).has.property('url', `http://localhost:8080/example-bucket/example-key?partNumber=${n}&uploadId=example-uploadid`);
+        assume(request).has.property('method', 'PUT');
+        assume(request).has.property('headers');
+        assume(request.headers).has.property('x-amz-content-sha256', parts[n-1].sha256);
+        assume(request.headers).has.property('content-length', Number(parts[n-1].size).toString(10));
+        assume(request.headers).has.property('Host', 'localhost:' + port);
+        assume(request.headers).has.property('Authorization');
+        assume(request.headers).has.property('X-Amz-Date');
+        n++;
+      }
+
+    });
+
+    it('should send part checksums', async () => {
+      let sha256 = crypto.createHash('sha256').update('part1').digest('hex');
+      let result = await controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: [{sha256, size: 128}],
+        checksumAlgorithm: 'SHA256',
+      });
+
+      assume(result[0].headers).has.property('x-amz-checksum-sha256', Buffer.from(sha256, 'hex').toString('base64'));
+    });
+
+    it('should move part checksums into the query string of presigned parts', async () => {
+      let sha256 = crypto.createHash('sha256').update('part1').digest('hex');
+      let result = await controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: [{sha256, size: 128}],
+        checksumAlgorithm: 'SHA256',
+        presigned: true,
+      });
+
+      let query = qs.parse(urllib.parse(result[0].url).query);
+      assume(query).has.property('x-amz-checksum-sha256', Buffer.from(sha256, 'hex').toString('base64'));
+      assume(query).has.property('partNumber', '1');
+      assume(query['X-Amz-SignedHeaders']).equals('content-length;host');
+      assume(result[0].headers).does.not.have.property('x-amz-checksum-sha256');
+    });
+
+    it('should sign the Content-MD5 of parts', async () => {
+      let data = Buffer.from('part1');
+      let sha256 = crypto.createHash('sha256').update(data).digest('hex');
+      let md5 = crypto.createHash('md5').update(data).digest('base64');
+      for (let presigned of [false, true]) {
+        let result = await controller.generateMultipartRequest({
+          bucket: 'example-bucket',
+          key: 'example-key',
+          uploadId: 'example-uploadid',
+          parts: [{sha256, md5, size: data.length}],
+          presigned,
+        });
+        assume(result[0].headers).has.property('content-md5', md5);
+      }
+    });
+
+    it('should send CRC32C part checksums', async () => {
+      let sha256 = crypto.createHash('sha256').update('part1').digest('hex');
+      let result = await controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: [{sha256, crc32c: 'AAAAAA==', size: 128}],
+        checksumAlgorithm: 'CRC32C',
+      });
+
+      assume(result[0].headers).has.property('x-amz-checksum-crc32c', 'AAAAAA==');
+      assume(result[0].headers).does.not.have.property('x-amz-checksum-sha256');
+    });
+
+    it('should require a crc32c for CRC32C part checksums', () => {
+      let sha256 = crypto.createHash('sha256').update('part1').digest('hex');
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: [{sha256, size: 128}],
+        checksumAlgorithm: 'CRC32C',
+      }));
+    });
+
+    it('should generate presigned part requests', async () => {
+      let parts = [
+        {sha256: crypto.createHash('sha256').update('part1').digest('hex'), size: 5*1024*1024},
+        {sha256: crypto.createHash('sha256').update('part2').digest('hex'), size: 128},
+      ];
+      let result = await controller.generateMultipartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        uploadId: 'example-uploadid',
+        parts: parts,
+        presigned: true,
+        expires: 600,
+      });
+
+      assume(result).has.lengthOf(2);
+      let n = 1;
+      for (let request of result) {
+        InterchangeFormat.validate(request);
+        let url = urllib.parse(request.url);
+        let query = qs.parse(url.query);
+        assume(url.pathname).equals('/example-bucket/example-key');
+        assume(query).has.property('partNumber', String(n));
+        assume(query).has.property('uploadId', 'example-uploadid');
+        assume(query).has.property('X-Amz-Expires', '600');
+        assume(query).has.property('X-Amz-Signature');
+        assume(query['X-Amz-SignedHeaders']).equals('content-length;host');
+        assume(request).has.property('method', 'PUT');
+        assume(request.headers).has.property('content-length', Number(parts[n-1].size).toString(10));
+        assume(request.headers).does.not.have.property('Authorization');
+        assume(request.headers).does.not.have.property('x-amz-content-sha256');
+        assume(request.expires).is.instanceof(Date);
+        n++;
+      }
+    });
+
+    it('should have correct number of parts', async () => {
+      let hash = crypto.createHash('sha256').update('hi').digest('hex');
+      let parts = [];
+
+      for (let x = 0 ; x < 10000 ; x++) {
+        parts.push({
+          sha256: hash,
+          size: 5*1024*1024
+        });
+      }
+
+      await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: parts,
+      });
+
+      parts.push({
+        sha256: hash,
+        size: 5*1024*1024
+      });
+
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: parts,
+      }));
+    });
+
+    it('should not allow parts with size < 5MB', async () => {
+      await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024},
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024-1},
+        ],
+      });
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024-1},
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024},
+        ],
+      }));
+    });
+
+    it('should not allow parts with size > 5GB', async () => {
+      controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024*1024},
+        ],
+      });
+
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [
+          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024*1024+1},
+        ],
+      }));
+    });
+
+    it('should not allow parts with an empty string sha256', () => {
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId', 
+        parts: [
+          {sha256: crypto.createHash('sha256').update('').digest('hex'), size: 1},
+        ],
+      }));
+    });
+
+    it('should not allow parts with invalid sha256', () => {
+      return assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [
+          {sha256: 'askdlfjhasdfj', size: 1},
+        ],
+      }));
+    });
+  });
+
+  describe('S3 Object Tag Validation', () => {
+    // We want to ensure that our valid key is 128 letters that are outside
+    // of the ascii range.  This ensures that count is by unicode char and not
+    // by byte
+    let validkey = [
+      'жжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжж',
+      'жжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжж',
+      'жжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжжж',
+      'жжжжжжжжжжжжжжжжжжжж',
+    ].join('');
+    if (validkey.length !== 128) {
+      throw new Error();
+    }
+
+    // We want to add the minimal amount to the string to cause a failure. In
+    // this case, it's a single char in the ascii range
+    let invalidkey = validkey + 'a';
+
+    // Valid values are just 2x a key
+    let validvalue = validkey + validkey;
+    let invalidvalue = validvalue + 'a';
+   
+    it('should not throw for valid keys and values', async () => {
+      let tags = {};
+      tags[validkey] = validvalue;
+      controller.__validateTags(tags);
+    });
+
+    it('should throw for too many keys', () => {
+      let tags = {
+        a: '1',
+        b: '2',
+        c: '3',
+        d: '4',
+        e: '5',
+        f: '6',
+        g: '7',
+        h: '8',
+        i: '9',
+        j: '10',
+      }
+      controller.__validateTags(tags);
+      tags.k = '11';
+      assume(() => {
+        controller.__validateTags(tags);
+      }).throws(/S3 allows no more than 10 tags/);
+    });
+ 
+    it('should throw for invalid keys', () => {
+      assume(() => {
+        let tags = {};
+        tags[invalidkey] = validvalue;
+        controller.__validateTags(tags);
+      }).throws(/^S3 object tag keys/);
+    });
+
+    it('should throw for invalid values', () => {
+      assume(() => {
+        let tags = {};
+        tags[validkey] = invalidvalue;
+        controller.__validateTags(tags);
+      }).throws(/^S3 object tag values/);
+    });
+
+    it('should throw for empty keys', () => {
+      assume(() => {
+        controller.__validateTags({'': 'value'});
+      }).throws(/^S3 object tag keys/);
+    });
+
+    it('should throw for characters which S3 does not allow', () => {
+      for (let tags of [{'a&b': 'c'}, {a: 'b?c'}, {a: 'ж☭'}, {'a"b': 'c'}]) {
+        assume(() => {
+          controller.__validateTags(tags);
+        }).throws(/^S3 object tags must only contain/);
+      }
+    });
+
+    it('should allow every character which S3 does', () => {
+      controller.__validateTags({'Project Name': 'a+b-c=d.e_f:g/h@i', 'ключ': 'значение 12'});
+    });
+
+    it('should throw for the reserved aws: prefix', () => {
+      assume(() => {
+        controller.__validateTags({'aws:cloudformation:stack-name': 'stack'});
+      }).throws(/aws:/);
+    });
+
+    it('should URL encode tags in the tagging header', () => {
+      assume(controller.__taggingHeaders({'a b/c': 'd=e+f', 'ключ': '1'})).deeply.equals({
+        'x-amz-tagging': 'a%20b%2Fc=d%3De%2Bf&%D0%BA%D0%BB%D1%8E%D1%87=1',
+      });
+      assume(controller.__taggingHeaders({})).deeply.equals({});
+      assume(controller.__taggingHeaders()).deeply.equals({});
+    });
+  });
+
+  describe('Generate Get Request', () => {
+    it ('should return the right values for unsigned', async () => {
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+      });
+      assume(result).equals('http://localhost:8080/example-bucket/example-key');
+    });
+
+    it('should report no expiry for unsigned', async () => {
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        withExpiry: true,
+      });
+      assume(result).has.property('url', 'http://localhost:8080/example-bucket/example-key');
+      assume(result.expires).is.a('undefined');
+    });
+
+    it ('should return the right values for signed', async () => {
+      controller.vhostAddressing = false;
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        signed: true,
+      });
+
+      result = urllib.parse(result);
+      assume(result).has.property('protocol', 'http:');
+      assume(result).has.property('host', 'localhost:8080');
+      assume(result).has.property('pathname', '/example-bucket/example-key');
+      result = qs.parse(result.query);
+      for (let k of ['Expires', 'Date', 'Algorithm', 'Credential', 'SignedHeaders', 'Signature']) {
+        assume(result).has.property('X-Amz-' + k);
+      }
+      assume(result).has.property('X-Amz-Expires', '86400');
+    });
+
+    it('should encode keys in unsigned urls', async () => {
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'dir/what? 100%#1',
+      });
+      assume(result).equals('http://localhost:8080/example-bucket/dir/what%3F%20100%25%231');
+    });
+
+    it('should encode keys in signed urls', async () => {
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'dir/what? 100%#1',
+        versionId: 'v1',
+        signed: true,
+      });
+
+      result = urllib.parse(result);
+      assume(result).has.property('pathname', '/example-bucket/dir/what%3F%20100%25%231');
+      assume(result.hash).is.not.ok();
+      result = qs.parse(result.query);
+      assume(result).has.property('versionId', 'v1');
+      assume(result).has.property('X-Amz-Signature');
+    });
+
+    for (let expires of [10, 7 * 24 * 60 * 60]) {
+      it(`should report the expiry for ${expires} seconds`, async () => {
+        let result = await controller.generateGetUrl({
+          bucket: 'example-bucket',
+          key: 'example-key',
+          signed: true,
+          expires,
+          withExpiry: true,
+        });
+
+        let query = qs.parse(urllib.parse(result.url).query);
+        assume(query).has.property('X-Amz-Expires', String(expires));
+
+        let signedAt = query['X-Amz-Date'].replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+          '$1-$2-$3T$4:$5:$6Z');
+        assume(result.expires).is.instanceof(Date);
+        assume(result.expires.getTime()).equals(new Date(signedAt).getTime() + expires * 1000);
+      });
+    }
+
+    it('should not allow more than 7 days', () => {
+      return assertReject(controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        signed: true,
+        expires: 7 * 24 * 60 * 60 + 1,
+      }));
+    });
+
+    it('should not report an expiry after the credentials expire', async () => {
+      let expiration = new Date(Date.now() + 60 * 60 * 1000);
+      let s3 = new Controller({
+        credentials: async () => ({accessKeyId: 'a', secretAccessKey: 's', expiration}),
+      });
+      let result = await s3.generateGetUrl({bucket: 'bucket', key: 'key', signed: true, withExpiry: true});
+      assume(result.expires.getTime()).equals(expiration.getTime());
+    });
+
+    it('should generate an SSE-C get request', async () => {
+      let result = await controller.generateGetRequest({
+        bucket: 'bucket',
+        key: 'key',
+        versionId: 'v1',
+        customerKey: true,
+      });
+      await InterchangeFormat.validate(result);
+      let query = urllib.parse(result.url, true).query;
+      assume(query).has.property('versionId', 'v1');
+      assume(query['X-Amz-SignedHeaders']).equals('host;x-amz-server-side-encryption-customer-algorithm');
+      assume(result.method).equals('GET');
+      assume(result.headers).has.property('x-amz-server-side-encryption-customer-algorithm', 'AES256');
+      assume(result.clientHeaders).has.lengthOf(2);
+      assume(result.expires).is.instanceof(Date);
+    });
+
+    it('should sign response overrides', async () => {
+      let result = await controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        signed: true,
+        responseContentDisposition: 'attachment; filename="report.txt"',
+        responseContentType: 'text/plain',
+        responseCacheControl: 'no-cache',
+      });
+
+      let query = qs.parse(urllib.parse(result).query);
+      assume(query).has.property('response-content-disposition', 'attachment; filename="report.txt"');
+      assume(query).has.property('response-content-type', 'text/plain');
+      assume(query).has.property('response-cache-control', 'no-cache');
+      assume(query).has.property('X-Amz-Signature');
+    });
+
+    it('should not allow response overrides for unsigned urls', () => {
+      return assertReject(controller.generateGetUrl({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        responseContentType: 'text/plain',
+      }));
+    });
+
+  });
+
+
+
+  describe('Generate Single Part Request', () => {
+    let sha256 = crypto.createHash('sha256').update('single part').digest('hex');
+
+    it ('should return the right values', async () => {
+      let size = 1024;
+
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        sha256: sha256,
+        size: size,
+        tags: {
+          tag1: 'value1',
+          tag2: 'value2',
+        },
+        permissions: {
+          acl: 'public-read',
+        }
+      });
+      
+      assume(result).has.property('url', `http://localhost:8080/example-bucket/example-key`);
+      assume(result).has.property('method', 'PUT');
+      assume(result).has.property('headers');
+      assume(result.headers).has.property('x-amz-content-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-content-length', size + '');
+      assume(result.headers).has.property('content-length', size + '');
+      assume(result.headers).has.property('Host', 'localhost:' + port);
+      assume(result.headers).has.property('Authorization');
+      assume(result.headers).has.property('X-Amz-Date');
+      assume(result.headers).has.property('x-amz-acl', 'public-read');
+      assume(result.headers).has.property('x-amz-tagging', 'tag1=value1&tag2=value2');
+    });
+
+    it('should generate a presigned request', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        sha256: sha256,
+        size: 1024,
+        tags: {
+          tag1: 'value1',
+        },
+        permissions: {
+          acl: 'public-read',
+        },
+        metadata: {
+          name: 'value',
+        },
+        contentType: 'text/plain',
+        presigned: true,
+        expires: 10,
+      });
+
+      InterchangeFormat.validate(result);
+      assume(result).has.property('method', 'PUT');
+      assume(result.expires).is.instanceof(Date);
+
+      let url = urllib.parse(result.url);
+      let query = qs.parse(url.query);
+      assume(url.pathname).equals('/example-bucket/example-key');
+      assume(query).has.property('X-Amz-Expires', '10');
+      assume(query).has.property('X-Amz-Signature');
+      assume(query).has.property('x-amz-meta-content-sha256', sha256);
+      assume(query).has.property('x-amz-meta-transfer-sha256', sha256);
+      assume(query).has.property('x-amz-meta-content-length', '1024');
+      assume(query).has.property('x-amz-meta-name', 'value');
+      assume(query).has.property('x-amz-acl', 'public-read');
+      assume(query).has.property('x-amz-tagging', 'tag1=value1');
+      assume(query).has.property('x-amz-storage-class', 'STANDARD');
+      assume(query).does.not.have.property('x-amz-content-sha256');
+
+      assume(result.headers).has.property('content-length', '1024');
+      assume(result.headers).has.property('content-type', 'text/plain');
+      for (let header of Object.keys(result.headers)) {
+        assume(header.toLowerCase()).does.not.match(/^x-amz-|^authorization$/);
+      }
+      assume(query['X-Amz-SignedHeaders']).equals('content-encoding;content-length;content-type;host');
+    });
+
+    it('should support gzip content-encoding', async () => {
+      let transferSha256 = crypto.createHash('sha256').update('gzip single part').digest('hex');
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        sha256: sha256,
+        transferSha256: transferSha256,
+        size: 1024,
+        transferSize: 1022,
+        contentEncoding: 'gzip',
+      });
+      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-transfer-sha256', transferSha256);
+      assume(result.headers).has.property('x-amz-meta-content-length', '1024');
+      assume(result.headers).has.property('x-amz-meta-transfer-length', '1022');
+    });
+
+    it('should support identity content-encoding', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        sha256: sha256,
+        size: 1024,
+        contentEncoding: 'identity',
+      });
+      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-transfer-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-content-length', '1024');
+      assume(result.headers).has.property('x-amz-meta-transfer-length', '1024');
+      assume(result.headers).has.property('content-encoding', 'identity');
+    });
+
+
+    it('should support no specified content-encoding', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        sha256: sha256,
+        size: 1024,
+      });
+      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(result.headers).has.property('x-amz-meta-transfer-sha256', sha256);
+      assume(result.headers).has.property('content-encoding', 'identity');
+    });
+
+    it('should throw for invalid content-encoding values with identity encoding', async () => {
+      // Just to make sure that no request goes out if the test fails
+      let transferSha256 = crypto.createHash('sha256').update('aaa').digest('hex');
+      controller.runner = () => { throw new Error(); }
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        transferSha256: transferSha256,
+        size: 1,
+        storageClass: 'INVALID',
+      }));
+    });
+
+    it('should throw for missing transferSha256 with non-identity encoding', async () => {
+      // Just to make sure that no request goes out if the test fails
+      controller.runner = () => { throw new Error(); }
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        contentEncoding: 'gzip',
+        size: 1,
+        storageClass: 'INVALID',
+      }));
+    });
+      
+    it('should throw for invalid storage classes', async () => {
+      // Just to make sure that no request goes out if the test fails
+      controller.runner = () => { throw new Error(); }
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        storageClass: 'INVALID',
+      }));
+    });
+
+    for (let storageClass of [undefined, 'STANDARD', 'STANDARD_IA', 'REDUCED_REDUNDANCY']) {
+      it('should use the correct storage class for ' + storageClass, async () => {
+        let result = await controller.generateSinglepartRequest({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: sha256,
+          size: 1,
+          storageClass: storageClass,
+        });
+
+        assume(result).has.property('method', 'PUT');
+        assume(result).has.property('url', 'http://localhost:8080/bucket/key');
+        assume(result).has.property('headers');
+        assume(result.headers).has.property('x-amz-storage-class', storageClass ? storageClass : 'STANDARD');
+      });
+    }
+
+    it('should set other http headers correctly', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        contentType: 'content-type',
+        contentDisposition: 'content-disposition',
+      });
+      assume(result.headers).has.property('content-type', 'content-type');
+      assume(result.headers).has.property('content-disposition', 'content-disposition');
+    });
+      
+    it('should set metadata headers correctly', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        metadata: {
+          string: 'string',
+          number: 123,
+        }
+      });
+      assume(result.headers).has.property('x-amz-meta-string', 'string');
+      assume(result.headers).has.property('x-amz-meta-number', '123');
+    });
+
+    it('should set SSE-S3 encryption headers', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        encryption: {algorithm: 'AES256'},
+      });
+      assume(result.headers).has.property('x-amz-server-side-encryption', 'AES256');
+      assume(result.headers).does.not.have.property('x-amz-server-side-encryption-aws-kms-key-id');
+    });
+
+    it('should sign only the SSE-C algorithm header', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        customerKey: true,
+      });
+      await InterchangeFormat.validate(result);
+      assume(result.headers).has.property('x-amz-server-side-encryption-customer-algorithm', 'AES256');
+      assume(result.headers).does.not.have.property('x-amz-server-side-encryption-customer-key');
+      assume(result.headers).does.not.have.property('x-amz-server-side-encryption-customer-key-md5');
+
+      // The key headers cannot be left out of a header signed request, so
+      // the request is signed in the query string
+      assume(result.headers).does.not.have.property('Authorization');
+      let query = urllib.parse(result.url, true).query;
+      assume(query).has.property('X-Amz-Signature');
+      assume(query['X-Amz-SignedHeaders'].split(';')).includes('x-amz-server-side-encryption-customer-algorithm');
+      assume(query['X-Amz-SignedHeaders']).does.not.include('x-amz-server-side-encryption-customer-key');
+      assume(query).has.property('x-amz-meta-content-sha256', sha256);
+      assume(result.expires).is.instanceof(Date);
+      assume(result.clientHeaders).deeply.equals([
+        'x-amz-server-side-encryption-customer-key',
+        'x-amz-server-side-encryption-customer-key-md5',
+      ]);
+    });
+
+    it('should allow presigned SSE-C uploads', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        customerKey: true,
+        presigned: true,
+        expires: 60,
+      });
+      assume(urllib.parse(result.url, true).query).has.property('X-Amz-Expires', '60');
+      assume(result.headers).has.property('x-amz-server-side-encryption-customer-algorithm', 'AES256');
+      assume(result.clientHeaders).has.lengthOf(2);
+    });
+
+    it('should not allow SSE-C with other encryption', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        customerKey: true,
+        encryption: {algorithm: 'AES256'},
+      }));
+    });
+
+    it('should not allow SSE-C for multipart uploads', async () => {
+      controller.runner = sandbox.mock().never();
+      let err = await assertReject(controller.initiateMultipartUpload({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 6 * 1024 * 1024,
+        customerKey: true,
+      }));
+      assume(err.message).matches(/not supported for multipart uploads/);
+
+      err = await assertReject(controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        parts: [{sha256, size: 10}],
+        customerKey: true,
+      }));
+      assume(err.message).matches(/not supported for multipart uploads/);
+    });
+
+    it('should set Object Lock headers and a checksum', async () => {
+      let retainUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        objectLock: {mode: 'COMPLIANCE', retainUntil, legalHold: true},
+        checksumAlgorithm: 'SHA256',
+      });
+      assume(result.headers).has.property('x-amz-object-lock-mode', 'COMPLIANCE');
+      assume(result.headers).has.property('x-amz-object-lock-retain-until-date', retainUntil.toISOString());
+      assume(result.headers).has.property('x-amz-object-lock-legal-hold', 'ON');
+      assume(result.headers).has.property('x-amz-checksum-sha256', Buffer.from(sha256, 'hex').toString('base64'));
+    });
+
+    it('should not add a checksum to Object Lock uploads which were not given one', async () => {
+      let err = await assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        objectLock: {legalHold: true},
+      }));
+      assume(err.message).matches(/require a checksumAlgorithm or transferMd5/);
+    });
+
+    it('should accept a Content-MD5 for Object Lock uploads', async () => {
+      let md5 = crypto.createHash('md5').update('x').digest('base64');
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        objectLock: {legalHold: true},
+        transferMd5: md5,
+      });
+      assume(result.headers).has.property('content-md5', md5);
+      assume(result.headers).does.not.have.property('x-amz-checksum-sha256');
+    });
+
+    it('should set the standard object headers', async () => {
+      let contentExpires = new Date('2030-01-01T00:00:00.000Z');
+      for (let presigned of [false, true]) {
+        let result = await controller.generateSinglepartRequest({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: sha256,
+          size: 1,
+          cacheControl: 'public, max-age=3600',
+          contentExpires,
+          contentLanguage: 'en-US, de',
+          websiteRedirectLocation: '/other/key',
+          presigned,
+        });
+        assume(result.headers).has.property('cache-control', 'public, max-age=3600');
+        assume(result.headers).has.property('expires', 'Tue, 01 Jan 2030 00:00:00 GMT');
+        assume(result.headers).has.property('content-language', 'en-US, de');
+        if (presigned) {
+          let query = qs.parse(urllib.parse(result.url).query);
+          assume(query).has.property('x-amz-website-redirect-location', '/other/key');
+        } else {
+          assume(result.headers).has.property('x-amz-website-redirect-location', '/other/key');
+        }
+      }
+    });
+
+    it('should validate the standard object headers', async () => {
+      for (let invalid of [
+        {cacheControl: 'no-cache\r\nx-injected: 1'},
+        {contentLanguage: 'en;q=1'},
+        {websiteRedirectLocation: 'other/key'},
+        {websiteRedirectLocation: 'ftp://example.com/'},
+      ]) {
+        await assertReject(controller.generateSinglepartRequest(Object.assign({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: sha256,
+          size: 1,
+        }, invalid)));
+      }
+    });
+
+    it('should count the standard object headers against the metadata limit', async () => {
+      let err = await assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        metadata: {a: Buffer.alloc(1024, 'a').toString()},
+        websiteRedirectLocation: 'https://example.com/' + Buffer.alloc(1024, 'a').toString(),
+      }));
+      assume(err.message).matches(/Metadata exceeds 2048 byte/);
+    });
+
+    it('should sign the Content-MD5 of the data', async () => {
+      let md5 = crypto.createHash('md5').update('a').digest('base64');
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        transferMd5: md5,
+      });
+      assume(result.headers).has.property('content-md5', md5);
+      assume(result.headers.Authorization).matches(/SignedHeaders=[^,]*content-md5/);
+    });
+
+    it('should send a SHA256 checksum when asked to', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        checksumAlgorithm: 'SHA256',
+      });
+      assume(result.headers).has.property('x-amz-checksum-sha256', Buffer.from(sha256, 'hex').toString('base64'));
+      assume(result.headers).does.not.have.property('x-amz-object-lock-mode');
+    });
+
+    it('should send a CRC32C checksum when asked to', async () => {
+      let result = await controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        checksumAlgorithm: 'CRC32C',
+        transferCrc32c: '4waSgw==',
+      });
+      assume(result.headers).has.property('x-amz-checksum-crc32c', '4waSgw==');
+      assume(result.headers).does.not.have.property('x-amz-checksum-sha256');
+    });
+
+    it('should require a transferCrc32c for CRC32C checksums', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        checksumAlgorithm: 'CRC32C',
+      }));
+    });
+
+    it('should not allow an Object Lock mode without a date', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        objectLock: {mode: 'GOVERNANCE'},
+        checksumAlgorithm: 'SHA256',
+      }));
+    });
+
+    it('should not allow an Object Lock date in the past', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        objectLock: {mode: 'GOVERNANCE', retainUntil: new Date(Date.now() - 1000)},
+        checksumAlgorithm: 'SHA256',
+      }));
+    });
+
+    it('should not allow KMS options for SSE-S3 encryption', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: sha256,
+        size: 1,
+        encryption: {algorithm: 'AES256', kmsKeyId: 'key'},
+      }));
+    });
+
+    it('should not allow size <= 0', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
+        size: 0,
+      }));
+    });
+
+    it('should not allow an empty string sha256', () => {
+      return assertReject(controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        uploadId: 'uploadId',
-        parts: parts,
+        sha256: crypto.createHash('sha256').update('').digest('hex'),
+        size: 1,
+      }));
+    });
+
+    it('should not allow invalid sha256', () => {
+      return assertReject(controller.generateSinglepartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        sha256: 'asdflasdf',
+        size: 1,
+      }));
+    });
+  });
+
+  describe('Multipart Upload Listing', () => {
+    function listing(uploads, next) {
+      let body = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<ListMultipartUploadsResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+        '  <Bucket>bucket</Bucket>',
+        `  <IsTruncated>${next ? 'true' : 'false'}</IsTruncated>`,
+      ];
+      if (next) {
+        body.push(`  <NextKeyMarker>${next[0]}</NextKeyMarker>`);
+        body.push(`  <NextUploadIdMarker>${next[1]}</NextUploadIdMarker>`);
+      }
+      for (let [key, uploadId, initiated] of uploads) {
+        body.push(
+          '  <Upload>',
+          `    <Key>${key}</Key>`,
+          `    <UploadId>${uploadId}</UploadId>`,
+          '    <Initiator><ID>id</ID><DisplayName>name</DisplayName></Initiator>',
+          '    <StorageClass>STANDARD</StorageClass>',
+          `    <Initiated>${initiated}</Initiated>`,
+          '  </Upload>');
+      }
+      body.push('</ListMultipartUploadsResult>');
+      return {body: Buffer.from(body.join('\n')), headers: {}, statusCode: 200, statusMessage: 'OK'};
+    }
+
+    // Respond to list requests with the pages in order and to abort requests
+    // with the given status code
+    function fakeRunner(pages, abortStatus = 204) {
+      let requests = [];
+      let runner = async ({req}) => {
+        requests.push(req);
+        if (req.method === 'DELETE') {
+          return {body: Buffer.from(''), headers: {}, statusCode: abortStatus, statusMessage: 'OK'};
+        }
+        return pages.shift();
+      };
+      runner.requests = requests;
+      return runner;
+    }
+
+    it('should iterate over every page', async () => {
+      let runner = fakeRunner([
+        listing([['a', 'upload-a', '2010-11-10T20:48:33.000Z']], ['a', 'upload-a']),
+        listing([['b', 'upload-b', '2010-11-11T20:48:33.000Z']]),
+      ]);
+      controller.runner = runner;
+
+      let uploads = [];
+      for await (let upload of controller.listMultipartUploads({bucket: 'bucket', prefix: 'pre/'})) {
+        uploads.push(upload);
+      }
+
+      assume(uploads).deeply.equals([
+        {key: 'a', uploadId: 'upload-a', initiated: new Date('2010-11-10T20:48:33.000Z'), storageClass: 'STANDARD'},
+        {key: 'b', uploadId: 'upload-b', initiated: new Date('2010-11-11T20:48:33.000Z'), storageClass: 'STANDARD'},
+      ]);
+
+      assume(runner.requests).has.lengthOf(2);
+      let first = urllib.parse(runner.requests[0].url, true);
+      assume(first.pathname).equals('/bucket/');
+      assume(first.query).deeply.equals({uploads: '', 'max-uploads': '1000', prefix: 'pre/'});
+      let second = urllib.parse(runner.requests[1].url, true);
+      assume(second.query).has.property('key-marker', 'a');
+      assume(second.query).has.property('upload-id-marker', 'upload-a');
+    });
+
+    it('should abort only stale uploads', async () => {
+      let runner = fakeRunner([
+        listing([
+          ['old', 'upload-old', '2010-11-10T20:48:33.000Z'],
+          ['new', 'upload-new', '2030-11-10T20:48:33.000Z'],
+        ]),
+      ]);
+      controller.runner = runner;
+
+      let result = await controller.abortStaleUploads({
+        bucket: 'bucket',
+        olderThan: new Date('2020-01-01T00:00:00.000Z'),
+      });
+
+      assume(result).has.lengthOf(1);
+      assume(result[0]).has.property('key', 'old');
+      assume(result[0]).has.property('aborted', true);
+
+      let aborts = runner.requests.filter(req => req.method === 'DELETE');
+      assume(aborts).has.lengthOf(1);
+      assume(aborts[0].url).equals('http://localhost:8080/bucket/old?uploadId=upload-old');
+    });
+
+    it('should only report stale uploads for a dry run', async () => {
+      let runner = fakeRunner([
+        listing([['old', 'upload-old', '2010-11-10T20:48:33.000Z']]),
+      ]);
+      controller.runner = runner;
+
+      let result = await controller.abortStaleUploads({
+        bucket: 'bucket',
+        olderThan: new Date('2020-01-01T00:00:00.000Z'),
+        dryRun: true,
+      });
+
+      assume(result).has.lengthOf(1);
+      assume(result[0]).has.property('aborted', false);
+      assume(runner.requests.filter(req => req.method === 'DELETE')).has.lengthOf(0);
+    });
+
+    it('should report uploads which could not be aborted', async () => {
+      controller.runner = fakeRunner([
+        listing([
+          ['a', 'upload-a', '2010-11-10T20:48:33.000Z'],
+          ['b', 'upload-b', '2010-11-10T20:48:33.000Z'],
+        ]),
+      ], 500);
+
+      let result = await controller.abortStaleUploads({
+        bucket: 'bucket',
+        olderThan: new Date('2020-01-01T00:00:00.000Z'),
+      });
+
+      assume(result).has.lengthOf(2);
+      for (let upload of result) {
+        assume(upload).has.property('aborted', false);
+        assume(upload.error).is.instanceof(Error);
+      }
+    });
+  });
+
+  describe('Resuming Multipart Uploads', () => {
+    const MB = 1024 * 1024;
+    let sha256 = crypto.createHash('sha256').update('part').digest('hex');
+
+    function partListing(parts, next) {
+      let body = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<ListPartsResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+        '  <Bucket>bucket</Bucket>',
+        '  <Key>key</Key>',
+        '  <UploadId>upload</UploadId>',
+        `  <IsTruncated>${next ? 'true' : 'false'}</IsTruncated>`,
+      ];
+      if (next) {
+        body.push(`  <NextPartNumberMarker>${next}</NextPartNumberMarker>`);
+      }
+      for (let [partNumber, etag, size, checksumSHA256] of parts) {
+        body.push(
+          '  <Part>',
+          `    <PartNumber>${partNumber}</PartNumber>`,
+          '    <LastModified>2010-11-10T20:48:34.000Z</LastModified>',
+          `    <ETag>${etag}</ETag>`,
+          `    <Size>${size}</Size>`);
+        if (checksumSHA256) {
+          body.push(`    <ChecksumSHA256>${checksumSHA256}</ChecksumSHA256>`);
+        }
+        body.push('  </Part>');
+      }
+      body.push('</ListPartsResult>');
+      return {body: Buffer.from(body.join('\n')), headers: {}, statusCode: 200, statusMessage: 'OK'};
+    }
+
+    function fakeRunner(pages) {
+      let requests = [];
+      let runner = async ({req}) => {
+        requests.push(req);
+        return pages.shift();
+      };
+      runner.requests = requests;
+      return runner;
+    }
+
+    it('should iterate over every page of parts', async () => {
+      let runner = fakeRunner([
+        partListing([[1, '"etag1"', 5 * MB]], 1),
+        partListing([[2, '"etag2"', 10]]),
+      ]);
+      controller.runner = runner;
+
+      let parts = [];
+      for await (let part of controller.listParts({bucket: 'bucket', key: 'key', uploadId: 'upload'})) {
+        parts.push(part);
+      }
+
+      assume(parts).deeply.equals([
+        {partNumber: 1, etag: '"etag1"', size: 5 * MB, lastModified: new Date('2010-11-10T20:48:34.000Z')},
+        {partNumber: 2, etag: '"etag2"', size: 10, lastModified: new Date('2010-11-10T20:48:34.000Z')},
+      ]);
+
+      assume(runner.requests).has.lengthOf(2);
+      let first = urllib.parse(runner.requests[0].url, true);
+      assume(first.pathname).equals('/bucket/key');
+      assume(first.query).deeply.equals({uploadId: 'upload', 'max-parts': '1000'});
+      let second = urllib.parse(runner.requests[1].url, true);
+      assume(second.query).has.property('part-number-marker', '1');
+    });
+
+    it('should fail when parts cannot be listed', async () => {
+      controller.runner = fakeRunner([
+        {body: Buffer.from(''), headers: {}, statusCode: 404, statusMessage: 'Not Found'},
+      ]);
+
+      try {
+        for await (let part of controller.listParts({bucket: 'bucket', key: 'key', uploadId: 'upload'})) {
+          part;
+        }
+      } catch (err) {
+        assume(err.message).matches(/Could not list parts/);
+        return;
+      }
+      throw new Error('should have failed');
+    });
+
+    // The ETag of a part is the hex md5 of its data
+    function partMd5(data) {
+      let md5 = crypto.createHash('md5').update(data).digest();
+      return {md5: md5.toString('base64'), etag: `"${md5.toString('hex')}"`};
+    }
+
+    it('should only generate requests for missing or mismatched parts', async () => {
+      let first = partMd5('first');
+      controller.runner = fakeRunner([
+        partListing([
+          [1, first.etag, 5 * MB],
+          [2, '"etag2"', 4 * MB],
+        ]),
+      ]);
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [
+          {sha256, size: 5 * MB, md5: first.md5},
+          {sha256, size: 5 * MB},
+          {sha256, size: 10},
+        ],
+        resume: true,
+      });
+
+      assume(result.etags).deeply.equals([first.etag, null, null]);
+      assume(result.requests).has.lengthOf(3);
+      assume(result.requests[0]).equals(null);
+      assume(urllib.parse(result.requests[1].url, true).query).has.property('partNumber', '2');
+      assume(urllib.parse(result.requests[2].url, true).query).has.property('partNumber', '3');
+    });
+
+    it('should upload parts again when their content differs', async () => {
+      let old = partMd5('old');
+      let current = partMd5('new');
+      controller.runner = fakeRunner([
+        partListing([[1, old.etag, 5 * MB]]),
+      ]);
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [{sha256, size: 5 * MB, md5: current.md5}],
+        resume: true,
+      });
+
+      assume(result.etags).deeply.equals([null]);
+      assume(urllib.parse(result.requests[0].url, true).query).has.property('partNumber', '1');
+    });
+
+    it('should upload parts again when they have no md5 to compare', async () => {
+      controller.runner = fakeRunner([
+        partListing([[1, partMd5('data').etag, 5 * MB]]),
+      ]);
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [{sha256, size: 5 * MB}],
+        resume: true,
+      });
+
+      assume(result.etags).deeply.equals([null]);
+      assume(result.requests[0]).is.ok();
+    });
+
+    it('should list the checksums of parts', async () => {
+      let checksum = Buffer.from(sha256, 'hex').toString('base64');
+      controller.runner = fakeRunner([
+        partListing([[1, '"etag1"', 5 * MB, checksum]]),
+      ]);
+
+      let parts = [];
+      for await (let part of controller.listParts({bucket: 'bucket', key: 'key', uploadId: 'upload'})) {
+        parts.push(part);
+      }
+
+      assume(parts[0]).has.property('checksum');
+      assume(parts[0].checksum).deeply.equals({algorithm: 'SHA256', value: checksum});
+    });
+
+    it('should return the checksums of every part to complete a resumed upload', async () => {
+      let first = partMd5('first');
+      let firstSha256 = crypto.createHash('sha256').update('first').digest('hex');
+      let firstChecksum = Buffer.from(firstSha256, 'hex').toString('base64');
+      let secondChecksum = Buffer.from(sha256, 'hex').toString('base64');
+      let runner = fakeRunner([
+        partListing([[1, first.etag, 5 * MB, firstChecksum]]),
+        {
+          body: Buffer.from([
+            '<CompleteMultipartUploadResult>',
+            '  <Bucket>bucket</Bucket>',
+            '  <Key>key</Key>',
+            '  <ETag>"etag"</ETag>',
+            '</CompleteMultipartUploadResult>',
+          ].join('\n')),
+          headers: {},
+          statusCode: 200,
+          statusMessage: 'OK',
+        },
+      ]);
+      controller.runner = runner;
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [
+          {sha256: firstSha256, size: 5 * MB, md5: first.md5},
+          {sha256, size: 10},
+        ],
+        resume: true,
+        checksumAlgorithm: 'SHA256',
+      });
+
+      assume(result.requests[0]).equals(null);
+      assume(result.requests[1].headers).has.property('x-amz-checksum-sha256', secondChecksum);
+      assume(result.checksums).deeply.equals([firstChecksum, secondChecksum]);
+
+      // The Client gives a null ETag and checksum for the skipped part
+      let uploaded = {etags: [null, '"etag2"'], checksums: [null, secondChecksum]};
+      let {etag} = await controller.completeMultipartUpload({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        etags: result.etags.map((etag, n) => etag || uploaded.etags[n]),
+        checksumAlgorithm: 'SHA256',
+        checksums: result.checksums,
+      });
+
+      assume(etag).equals('"etag"');
+      assume(runner.requests).has.lengthOf(2);
+    });
+
+    it('should upload parts again when their checksum differs', async () => {
+      let first = partMd5('first');
+      let other = crypto.createHash('sha256').update('other').digest('base64');
+      controller.runner = fakeRunner([
+        partListing([[1, first.etag, 5 * MB, other]]),
+      ]);
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [{sha256, size: 5 * MB, md5: first.md5}],
+        resume: true,
+        checksumAlgorithm: 'SHA256',
+      });
+
+      assume(result.etags).deeply.equals([null]);
+      assume(result.requests[0]).is.ok();
+    });
+
+    it('should return a plain list of requests without resume', async () => {
+      controller.runner = sandbox.mock().never();
+
+      let result = await controller.generateMultipartRequest({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'upload',
+        parts: [{sha256, size: 10}],
+      });
+
+      assume(result).is.an('array');
+      assume(result).has.lengthOf(1);
+    });
+  });
+
+  describe('Head Object', () => {
+    let sha256 = crypto.createHash('sha256').update('content').digest('hex');
+    let transferSha256 = crypto.createHash('sha256').update('transfer').digest('hex');
+
+    function mockHead(statusCode, headers) {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({body: Buffer.from(''), headers, statusCode, statusMessage: 'OK'});
+      controller.runner = runner;
+      return runner;
+    }
+
+    it('should parse the object headers', async () => {
+      let runner = mockHead(200, {
+        'content-length': '900',
+        etag: '"abc"',
+        'last-modified': 'Wed, 12 Oct 2009 17:50:00 GMT',
+        'x-amz-storage-class': 'STANDARD_IA',
+        'content-type': 'text/plain',
+        'content-encoding': 'gzip',
+        'x-amz-version-id': 'v1',
+        'x-amz-meta-content-sha256': sha256,
+        'x-amz-meta-transfer-sha256': transferSha256,
+        'x-amz-meta-content-length': '1024',
+        'x-amz-meta-transfer-length': '900',
+        'x-amz-meta-owner': 'me',
+      });
+
+      let result = await controller.headObject({bucket: 'bucket', key: 'key', versionId: 'v1'});
+
+      runner.verify();
+      let arg = runner.firstCall.args[0];
+      assume(arg.req).has.property('method', 'HEAD');
+      assume(arg.req).has.property('url', 'http://localhost:8080/bucket/key?versionId=v1');
+
+      assume(result).has.property('size', 900);
+      assume(result).has.property('etag', '"abc"');
+      assume(result.lastModified.toISOString()).equals('2009-10-12T17:50:00.000Z');
+      assume(result).has.property('storageClass', 'STANDARD_IA');
+      assume(result).has.property('contentType', 'text/plain');
+      assume(result).has.property('contentEncoding', 'gzip');
+      assume(result).has.property('versionId', 'v1');
+      assume(result).has.property('contentSha256', sha256);
+      assume(result).has.property('transferSha256', transferSha256);
+      assume(result).has.property('contentLength', 1024);
+      assume(result).has.property('transferLength', 900);
+      assume(result.metadata).deeply.equals({owner: 'me'});
+    });
+
+    it('should handle objects without remote-s3 metadata', async () => {
+      mockHead(200, {'content-length': '10', etag: '"abc"'});
+      let result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result).has.property('storageClass', 'STANDARD');
+      assume(result).has.property('contentEncoding', 'identity');
+      assume(result.contentSha256).is.a('undefined');
+      assume(result.transferLength).is.a('undefined');
+      assume(result.encryption).is.a('undefined');
+    });
+
+    it('should parse the server-side encryption', async () => {
+      mockHead(200, {
+        'content-length': '10',
+        'x-amz-server-side-encryption': 'aws:kms',
+        'x-amz-server-side-encryption-aws-kms-key-id': 'key',
+        'x-amz-server-side-encryption-bucket-key-enabled': 'true',
+      });
+      let result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result.encryption).deeply.equals({algorithm: 'aws:kms', kmsKeyId: 'key', bucketKey: true});
+    });
+
+    it('should parse the Object Lock state', async () => {
+      mockHead(200, {
+        'content-length': '10',
+        'x-amz-object-lock-mode': 'GOVERNANCE',
+        'x-amz-object-lock-retain-until-date': '2030-01-01T00:00:00.000Z',
+        'x-amz-object-lock-legal-hold': 'OFF',
+      });
+      let result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result.objectLock).deeply.equals({
+        mode: 'GOVERNANCE',
+        retainUntil: new Date('2030-01-01T00:00:00.000Z'),
+        legalHold: false,
+      });
+    });
+
+    it('should parse the standard object headers', async () => {
+      mockHead(200, {
+        'content-length': '10',
+        'cache-control': 'no-cache',
+        expires: 'Tue, 01 Jan 2030 00:00:00 GMT',
+        'content-language': 'fr',
+        'x-amz-website-redirect-location': '/other',
+      });
+      let result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result).has.property('cacheControl', 'no-cache');
+      assume(result.contentExpires.getTime()).equals(new Date('2030-01-01T00:00:00.000Z').getTime());
+      assume(result).has.property('contentLanguage', 'fr');
+      assume(result).has.property('websiteRedirectLocation', '/other');
+    });
+
+    it('should parse the restore status', async () => {
+      mockHead(200, {
+        'content-length': '10',
+        'x-amz-storage-class': 'GLACIER',
+        'x-amz-restore': 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"',
+      });
+      let result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result).has.property('storageClass', 'GLACIER');
+      assume(result.restore.ongoing).is.false();
+      assume(result.restore.expiry.getTime()).equals(new Date('2012-12-21T00:00:00Z').getTime());
+
+      mockHead(200, {
+        'content-length': '10',
+        'x-amz-storage-class': 'INTELLIGENT_TIERING',
+        'x-amz-archive-status': 'DEEP_ARCHIVE_ACCESS',
+        'x-amz-restore': 'ongoing-request="true"',
+      });
+      result = await controller.headObject({bucket: 'bucket', key: 'key'});
+      assume(result.restore).deeply.equals({ongoing: true, expiry: undefined});
+      assume(result).has.property('archiveStatus', 'DEEP_ARCHIVE_ACCESS');
+    });
+
+    it('should ask for and parse the stored checksum', async () => {
+      let runner = mockHead(200, {
+        'content-length': '10',
+        'x-amz-checksum-crc32c': '4waSgw==-2',
+      });
+      let result = await controller.headObject({bucket: 'bucket', key: 'key', checksumMode: true});
+      assume(runner.firstCall.args[0].req.headers).has.property('x-amz-checksum-mode', 'ENABLED');
+      assume(result.checksum).deeply.equals({algorithm: 'CRC32C', value: '4waSgw==-2'});
+    });
+
+    it('should reject invalid metadata', async () => {
+      mockHead(200, {'content-length': '10', 'x-amz-meta-content-length': 'ten'});
+      let err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err.message).matches(/must be a non-negative integer/);
+
+      mockHead(200, {'content-length': '10', 'x-amz-meta-content-sha256': 'abc'});
+      err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err.message).matches(/must be a hex encoded sha256/);
+    });
+
+    it('should reject a size which does not match the transfer length', async () => {
+      mockHead(200, {'content-length': '10', 'x-amz-meta-transfer-length': '11'});
+      let err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err.message).matches(/do not match/);
+    });
+
+    it('should throw a not found error for missing objects', async () => {
+      mockHead(404, {});
+      let err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err).is.instanceof(NoSuchKeyError);
+      assume(err).has.property('code', 'NoSuchKey');
+      assume(err).has.property('statusCode', 404);
+      assume(err).has.property('key', 'key');
+    });
+
+    it('should throw a generic error for other failures', async () => {
+      mockHead(403, {});
+      let err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err).is.not.instanceof(NoSuchKeyError);
+      assume(err).is.instanceof(errors.S3Error);
+      assume(err).has.property('statusCode', 403);
+      assume(err).has.property('code', 'Forbidden');
+    });
+
+    it('should include the request ids in errors', async () => {
+      mockHead(404, {'x-amz-request-id': 'requestid', 'x-amz-id-2': 'hostid'});
+      let err = await assertReject(controller.headObject({bucket: 'bucket', key: 'key'}));
+      assume(err).has.property('requestId', 'requestid');
+      assume(err).has.property('hostId', 'hostid');
+    });
+  });
+
+  describe('POST Policies', () => {
+    let credentials = {accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', sessionToken: 'token'};
+
+    beforeEach(() => {
+      controller = new Controller({
+        region: 'us-west-2',
+        credentials: async () => credentials,
+      });
+    });
+
+    function decodePolicy(fields) {
+      return JSON.parse(Buffer.from(fields.policy, 'base64').toString());
+    }
+
+    it('should generate a policy for a key', async () => {
+      let result = await controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        minSize: 10,
+        maxSize: 1024,
+        contentType: 'image/png',
+        permissions: {acl: 'public-read'},
+        metadata: {owner: 'me'},
+        tags: {tag1: 'value1'},
+        expires: 300,
+      });
+
+      assume(result).has.property('url', 'https://example-bucket.s3.us-west-2.amazonaws.com/');
+      assume(result.expires).is.instanceof(Date);
+
+      let {fields} = result;
+      assume(fields).has.property('key', 'example-key');
+      assume(fields).has.property('Content-Type', 'image/png');
+      assume(fields).has.property('acl', 'public-read');
+      assume(fields).has.property('x-amz-meta-owner', 'me');
+      assume(fields).has.property('x-amz-storage-class', 'STANDARD');
+      assume(fields.tagging).matches(/<Key>tag1<\/Key>\s*<Value>value1<\/Value>/);
+      assume(fields).has.property('x-amz-algorithm', 'AWS4-HMAC-SHA256');
+      assume(fields['x-amz-credential']).matches(/^AKIDEXAMPLE\/\d{8}\/us-west-2\/s3\/aws4_request$/);
+      assume(fields).has.property('x-amz-security-token', 'token');
+
+      let policy = decodePolicy(fields);
+      assume(new Date(policy.expiration).getTime()).equals(result.expires.getTime());
+      assume(policy.conditions).deeply.includes({bucket: 'example-bucket'});
+      assume(policy.conditions).deeply.includes({key: 'example-key'});
+      assume(policy.conditions).deeply.includes(['content-length-range', 10, 1024]);
+      for (let name of Object.keys(fields)) {
+        if (name !== 'key' && name !== 'policy' && name !== 'x-amz-signature') {
+          let condition = {};
+          condition[name] = fields[name];
+          assume(policy.conditions).deeply.includes(condition);
+        }
+      }
+    });
+
+    it('should sign the policy', async () => {
+      let {fields} = await controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+      });
+
+      let date = fields['x-amz-date'].slice(0, 8);
+      let key = 'AWS4secret';
+      for (let part of [date, 'us-west-2', 's3', 'aws4_request']) {
+        key = crypto.createHmac('sha256', key).update(part).digest();
+      }
+      let expected = crypto.createHmac('sha256', key).update(fields.policy).digest('hex');
+      assume(fields).has.property('x-amz-signature', expected);
+    });
+
+    it('should generate a policy for a key prefix', async () => {
+      let {fields} = await controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        keyPrefix: 'uploads/',
+      });
+      assume(fields).has.property('key', 'uploads/${filename}');
+      assume(decodePolicy(fields).conditions).deeply.includes(['starts-with', '$key', 'uploads/']);
+    });
+
+    it('should require exactly one of key and keyPrefix', async () => {
+      await assertReject(controller.generatePostPolicy({bucket: 'example-bucket'}));
+      await assertReject(controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        keyPrefix: 'uploads/',
+      }));
+    });
+
+    it('should only allow canned ACLs', async () => {
+      let err = await assertReject(controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        permissions: {read: 'id=abc'},
+      }));
+      assume(err.message).matches(/only support canned ACLs/);
+    });
+
+    it('should validate tags', async () => {
+      let tags = {};
+      for (let x = 0; x < 11; x++) {
+        tags['tag' + x] = 'value';
+      }
+      let err = await assertReject(controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        tags,
+      }));
+      assume(err.message).matches(/no more than 10 tags/);
+    });
+
+    it('should validate metadata', async () => {
+      let err = await assertReject(controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        metadata: {a: Buffer.alloc(2048, 'a').toString()},
+      }));
+      assume(err.message).matches(/Metadata exceeds 2048 byte/);
+    });
+
+    it('should not allow minSize greater than maxSize', () => {
+      return assertReject(controller.generatePostPolicy({
+        bucket: 'example-bucket',
+        key: 'example-key',
+        minSize: 10,
+        maxSize: 5,
+      }));
+    });
+  });
+
+  describe('S3 Permissions', () => {
+    it('should handle a valid Canned ACL', () => {
+      let actual = controller.__determinePermissionsHeaders({acl: 'private'});
+      let expected = [['x-amz-acl', 'private']];
+      assume(actual).deeply.equals(expected);
+    });
+
+    it('should handle an invalid Canned ACL', () => {
+      assume(() => {
+        controller.__determinePermissionsHeaders({acl: 'bogus'});
+      }).throws(/^child "acl" fails because \["acl" must be one of \[/);
+    });
+
+    it('should treat canned ACLs and specific permissions as mutually exclusive', () => {
+      assume(() => {
+        controller.__determinePermissionsHeaders({acl: 'private', read: 'ooogieboogie'});
+      }).throws(/^"acl" conflict with forbidden peer "read"/);
+    });
+
+    it('should handle specific permissions', () => {
+      let permissions = {
+        read: 'x-amz-grant-read',
+        readAcp: 'x-amz-grant-read-acp',
+        write: 'x-amz-grant-write',
+        writeAcp: 'x-amz-grant-write-acp',
+        fullControl: 'x-amz-grant-full-control',
+      };
+
+      let actual = controller.__determinePermissionsHeaders(permissions);
+      
+      for (let tuple of actual) {
+        assume(tuple[0]).equals(tuple[1]);
+      }
+    });
+  });
+
+  describe('Copy Object', () => {
+    const GB = 1024 * 1024 * 1024;
+    let sha256 = crypto.createHash('sha256').update('content').digest('hex');
+    let transferSha256 = crypto.createHash('sha256').update('transfer').digest('hex');
+
+    function xml(root, children) {
+      let body = ['<?xml version="1.0" encoding="UTF-8"?>', `<${root}>`];
+      for (let name in children) {
+        body.push(`  <${name}>${children[name]}</${name}>`);
+      }
+      body.push(`</${root}>`);
+      return body.join('\n');
+    }
+
+    function response(statusCode, body = '', headers = {}) {
+      return {body: Buffer.from(body), headers, statusCode, statusMessage: 'OK'};
+    }
+
+    // Respond to each kind of request the copy makes, recording them all
+    function fakeRunner(size, failPart) {
+      let requests = [];
+      let runner = async ({req}) => {
+        requests.push(req);
+        let {query} = urllib.parse(req.url, true);
+        if (req.method === 'HEAD') {
+          return response(200, '', {
+            'content-length': String(size),
+            'content-type': 'text/plain',
+            'content-encoding': 'gzip',
+            'x-amz-meta-content-sha256': sha256,
+            'x-amz-meta-transfer-sha256': transferSha256,
+            'x-amz-meta-content-length': String(size + 100),
+            'x-amz-meta-transfer-length': String(size),
+            'x-amz-meta-owner': 'me',
+          });
+        } else if (req.method === 'GET' && 'tagging' in query) {
+          return response(200, '<Tagging><TagSet><Tag><Key>a</Key><Value>b</Value></Tag></TagSet></Tagging>');
+        } else if (req.method === 'POST' && 'uploads' in query) {
+          return response(200, xml('InitiateMultipartUploadResult', {Bucket: 'dst', Key: 'dst/key', UploadId: 'upload'}));
+        } else if (req.method === 'PUT' && query.partNumber) {
+          if (query.partNumber === failPart) {
+            return response(500, xml('Error', {Code: 'InternalError', Message: 'oops'}));
+          }
+          return response(200, xml('CopyPartResult', {ETag: `"part${query.partNumber}"`}));
+        } else if (req.method === 'POST') {
+          return response(200, xml('CompleteMultipartUploadResult', {Bucket: 'dst', Key: 'dst/key', ETag: '"etag-2"'}),
+            {'x-amz-version-id': 'v3'});
+        } else if (req.method === 'PUT' && 'tagging' in query) {
+          return response(200);
+        } else if (req.method === 'DELETE') {
+          return response(204);
+        } else if (req.method === 'PUT') {
+          return response(200, xml('CopyObjectResult', {ETag: '"etag"', LastModified: '2009-10-28T22:32:00'}),
+            {'x-amz-version-id': 'v2'});
+        }
+        throw new Error('Unexpected request ' + req.method + ' ' + req.url);
+      };
+      runner.requests = requests;
+      return runner;
+    }
+
+    it('should copy a small object and its metadata with a single request', async () => {
+      let runner = fakeRunner(1024);
+      controller.runner = runner;
+
+      let result = await controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'some key/a',
+        sourceVersionId: 'v1',
+        bucket: 'dst',
+        key: 'dst/key',
+        storageClass: 'STANDARD_IA',
+        permissions: {acl: 'public-read'},
+      });
+
+      assume(result).deeply.equals({etag: '"etag"', versionId: 'v2'});
+      assume(runner.requests).has.lengthOf(2);
+
+      let copy = runner.requests[1];
+      assume(copy.method).equals('PUT');
+      assume(copy.url).equals('http://localhost:8080/dst/dst/key');
+      assume(copy.headers).has.property('x-amz-copy-source', '/src/some%20key/a?versionId=v1');
+      assume(copy.headers).has.property('x-amz-metadata-directive', 'COPY');
+      assume(copy.headers).has.property('x-amz-tagging-directive', 'COPY');
+      assume(copy.headers).has.property('x-amz-storage-class', 'STANDARD_IA');
+      assume(copy.headers).has.property('x-amz-acl', 'public-read');
+      assume(copy.headers).does.not.have.property('x-amz-meta-content-sha256');
+      assume(copy.headers).does.not.have.property('content-type');
+    });
+
+    it('should keep the verification metadata when replacing metadata', async () => {
+      let runner = fakeRunner(1024);
+      controller.runner = runner;
+
+      await controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        metadataDirective: 'REPLACE',
+        metadata: {release: '1.0'},
+        contentType: 'application/json',
+        taggingDirective: 'REPLACE',
+        tags: {channel: 'release'},
+      });
+
+      let copy = runner.requests[1];
+      assume(copy.headers).has.property('x-amz-metadata-directive', 'REPLACE');
+      assume(copy.headers).has.property('x-amz-meta-release', '1.0');
+      assume(copy.headers).does.not.have.property('x-amz-meta-owner');
+      assume(copy.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(copy.headers).has.property('x-amz-meta-transfer-sha256', transferSha256);
+      assume(copy.headers).has.property('x-amz-meta-content-length', '1124');
+      assume(copy.headers).has.property('x-amz-meta-transfer-length', '1024');
+      assume(copy.headers).has.property('content-type', 'application/json');
+      assume(copy.headers).has.property('content-encoding', 'gzip');
+      assume(copy.headers).has.property('x-amz-tagging-directive', 'REPLACE');
+      assume(copy.headers).has.property('x-amz-tagging', 'channel=release');
+    });
+
+    it('should not allow metadata without REPLACE', async () => {
+      controller.runner = sandbox.mock().never();
+      await assertReject(controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        metadata: {release: '1.0'},
+      }));
+      await assertReject(controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        tags: {channel: 'release'},
       }));
     });
 
-    it('should not allow parts with size < 5MB', async () => {
-      await controller.generateMultipartRequest({
-        bucket: 'bucket',
-        key: 'key',
-        uploadId: 'uploadId',
-        parts: [
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024},
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024-1},
-        ],
+    it('should copy a large object with a multipart upload', async () => {
+      let runner = fakeRunner(6 * GB);
+      controller.runner = runner;
+
+      let result = await controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        partSize: 5 * GB,
       });
-      return assertReject(controller.generateMultipartRequest({
-        bucket: 'bucket',
-        key: 'key',
-        uploadId: 'uploadId',
-        parts: [
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024-1},
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024},
-        ],
+
+      assume(result).has.property('etag', '"etag-2"');
+      assume(result).has.property('versionId', 'v3');
+
+      let initiate = runner.requests.find(req => /\?uploads=$/.test(req.url));
+      assume(initiate.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(initiate.headers).has.property('x-amz-meta-transfer-length', String(6 * GB));
+      assume(initiate.headers).has.property('x-amz-meta-owner', 'me');
+      assume(initiate.headers).has.property('content-type', 'text/plain');
+      assume(initiate.headers).has.property('content-encoding', 'gzip');
+
+      let parts = runner.requests.filter(req => /partNumber=/.test(req.url));
+      assume(parts.map(req => req.headers['x-amz-copy-source-range'])).deeply.equals([
+        `bytes=0-${5 * GB - 1}`,
+        `bytes=${5 * GB}-${6 * GB - 1}`,
+      ]);
+      for (let part of parts) {
+        assume(part.headers).has.property('x-amz-copy-source', '/src/key');
+      }
+
+      let complete = runner.requests.find(req => req.method === 'POST' && /uploadId=upload/.test(req.url));
+      assume(complete).is.ok();
+
+      // Multipart copies do not copy tags, so they are read and set again
+      // when the upload is initiated
+      assume(initiate.headers).has.property('x-amz-tagging', 'a=b');
+      let tagging = runner.requests.filter(req => /\?tagging=(&|$)/.test(req.url));
+      assume(tagging.map(req => req.method)).deeply.equals(['GET']);
+    });
+
+    it('should tag a large copy after completion without taggingOnInitiate', async () => {
+      let runner = fakeRunner(6 * GB);
+      controller.runner = runner;
+      controller.taggingOnInitiate = false;
+
+      await controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        partSize: 5 * GB,
+      });
+
+      let initiate = runner.requests.find(req => /\?uploads=$/.test(req.url));
+      assume(initiate.headers).does.not.have.property('x-amz-tagging');
+      let tagging = runner.requests.filter(req => /\?tagging=(&|$)/.test(req.url));
+      assume(tagging.map(req => req.method)).deeply.equals(['GET', 'PUT']);
+      assume(tagging[1].url).matches(/versionId=v3$/);
+    });
+
+    it('should abort a multipart copy which fails', async () => {
+      let runner = fakeRunner(6 * GB, '2');
+      controller.runner = runner;
+
+      await assertReject(controller.copyObject({
+        sourceBucket: 'src',
+        sourceKey: 'key',
+        bucket: 'dst',
+        key: 'dst/key',
+        partSize: 5 * GB,
       }));
+
+      let last = runner.requests[runner.requests.length - 1];
+      assume(last.method).equals('DELETE');
+      assume(last.url).equals('http://localhost:8080/dst/dst/key?uploadId=upload');
     });
+  });
 
-    it('should not allow parts with size > 5GB', async () => {
-      controller.generateMultipartRequest({
+  describe('Multi-Object Delete', () => {
+    function deleteResult(deleted, errors = []) {
+      let body = ['<?xml version="1.0" encoding="UTF-8"?>', '<DeleteResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'];
+      for (let [key, versionId] of deleted) {
+        body.push('  <Deleted>', `    <Key>${key}</Key>`);
+        if (versionId) {
+          body.push(`    <VersionId>${versionId}</VersionId>`);
+        }
+        body.push('  </Deleted>');
+      }
+      for (let [key, code] of errors) {
+        body.push('  <Error>', `    <Key>${key}</Key>`, `    <Code>${code}</Code>`,
+          `    <Message>${code} happened</Message>`, '  </Error>');
+      }
+      body.push('</DeleteResult>');
+      return {body: Buffer.from(body.join('\n')), headers: {}, statusCode: 200, statusMessage: 'OK'};
+    }
+
+    // Delete every requested key, except those the fail function picks, and
+    // record each request and its body
+    function fakeRunner(fail = () => false) {
+      let requests = [];
+      let runner = async ({req, body}) => {
+        requests.push({req, body});
+        let doc = parseS3Response(body);
+        let deleted = [];
+        let errors = [];
+        for (let object of doc.root().childNodes()) {
+          if (object.name() !== 'Object') {
+            continue;
+          }
+          let key = object.get('Key').text();
+          let versionId = object.get('VersionId');
+          if (fail(key)) {
+            errors.push([key, 'AccessDenied']);
+          } else {
+            deleted.push([key, versionId && versionId.text()]);
+          }
+        }
+        return deleteResult(deleted, errors);
+      };
+      runner.requests = requests;
+      return runner;
+    }
+
+    it('should generate a valid delete body', () => {
+      let body = controller.__generateDeleteObjectsBody([
+        {key: 'a'},
+        {key: 'b<c>', versionId: 'v1'},
+      ]);
+      let doc = parseS3Response(body);
+      assume(doc.root().name()).equals('Delete');
+      assume(doc.get('/Delete/Quiet').text()).equals('false');
+      let objects = doc.find('/Delete/Object');
+      assume(objects).has.lengthOf(2);
+      assume(objects[0].get('Key').text()).equals('a');
+      assume(objects[0].get('VersionId')).is.not.ok();
+      assume(objects[1].get('Key').text()).equals('b<c>');
+      assume(objects[1].get('VersionId').text()).equals('v1');
+    });
+
+    it('should delete keys in batches of 1000 with a Content-MD5', async () => {
+      let runner = fakeRunner();
+      controller.runner = runner;
+
+      let keys = [];
+      for (let n = 0; n < 2500; n++) {
+        keys.push(`key-${n}`);
+      }
+
+      let result = await controller.deleteObjects({bucket: 'bucket', keys});
+
+      assume(result.deleted).has.lengthOf(2500);
+      assume(result.errors).has.lengthOf(0);
+      assume(result.deleted[0]).deeply.equals({
+        key: 'key-0',
+        versionId: undefined,
+        deleteMarker: false,
+        deleteMarkerVersionId: undefined,
+      });
+
+      assume(runner.requests).has.lengthOf(3);
+      for (let {req, body} of runner.requests) {
+        assume(req.method).equals('POST');
+        assume(req.url).equals('http://localhost:8080/bucket/?delete=');
+        assume(req.headers['content-md5']).equals(crypto.createHash('md5').update(body).digest('base64'));
+        assume(req.headers['x-amz-content-sha256']).equals(crypto.createHash('sha256').update(body).digest('hex'));
+      }
+      assume(parseS3Response(runner.requests[2].body).find('/Delete/Object')).has.lengthOf(500);
+    });
+
+    it('should delete specific versions', async () => {
+      let runner = fakeRunner();
+      controller.runner = runner;
+
+      let result = await controller.deleteObjects({bucket: 'bucket', keys: ['a', 'b'], versionIds: ['v1', 'v2']});
+
+      assume(result.deleted.map(x => [x.key, x.versionId])).deeply.equals([['a', 'v1'], ['b', 'v2']]);
+    });
+
+    it('should require a versionId for each key', async () => {
+      controller.runner = sandbox.mock().never();
+      await assertReject(controller.deleteObjects({bucket: 'bucket', keys: ['a', 'b'], versionIds: ['v1']}));
+    });
+
+    it('should report keys which could not be deleted', async () => {
+      controller.runner = fakeRunner(key => key === 'b');
+
+      let result = await controller.deleteObjects({bucket: 'bucket', keys: ['a', 'b', 'c']});
+
+      assume(result.deleted.map(x => x.key)).deeply.equals(['a', 'c']);
+      assume(result.errors).deeply.equals([
+        {key: 'b', versionId: undefined, code: 'AccessDenied', message: 'AccessDenied happened'},
+      ]);
+    });
+
+    it('should report every key of a batch which failed', async () => {
+      let runner = sandbox.mock();
+      runner.once().returns({
+        body: Buffer.from('<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>'),
+        headers: {},
+        statusCode: 403,
+        statusMessage: 'Forbidden',
+      });
+      controller.runner = runner;
+
+      let result = await controller.deleteObjects({bucket: 'bucket', keys: ['a', 'b']});
+
+      runner.verify();
+      assume(result.deleted).has.lengthOf(0);
+      assume(result.errors).deeply.equals([
+        {key: 'a', versionId: undefined, code: 'AccessDenied', message: 'Access Denied'},
+        {key: 'b', versionId: undefined, code: 'AccessDenied', message: 'Access Denied'},
+      ]);
+    });
+  });
+
+  describe('Object Tagging', () => {
+    function mockRunner(statusCode, body = '') {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({body: Buffer.from(body), headers: {}, statusCode, statusMessage: 'OK'});
+      controller.runner = runner;
+      return runner;
+    }
+
+    it('should parse the tags of a version', async () => {
+      let runner = mockRunner(200, [
+        '<Tagging xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+        '  <TagSet>',
+        '    <Tag><Key>project</Key><Value>a &amp; b</Value></Tag>',
+        '    <Tag><Key>empty</Key><Value></Value></Tag>',
+        '  </TagSet>',
+        '</Tagging>',
+      ].join('\n'));
+
+      let tags = await controller.getObjectTagging({bucket: 'bucket', key: 'key', versionId: 'v1'});
+
+      runner.verify();
+      assume(runner.firstCall.args[0].req.url).equals('http://localhost:8080/bucket/key?tagging=&versionId=v1');
+      assume(tags).deeply.equals({project: 'a & b', empty: ''});
+    });
+
+    it('should put tags on a version', async () => {
+      let runner = mockRunner(200);
+
+      await controller.putObjectTagging({bucket: 'bucket', key: 'key', versionId: 'v1', tags: {a: 'b'}});
+
+      runner.verify();
+      let {req, body} = runner.firstCall.args[0];
+      assume(req.method).equals('PUT');
+      assume(req.url).equals('http://localhost:8080/bucket/key?tagging=&versionId=v1');
+      assume(body).equals(controller.__generateTagSetBody({a: 'b'}));
+    });
+
+    it('should not put more than 10 tags', async () => {
+      mockRunner(200).never();
+      let tags = {};
+      for (let n = 0; n < 11; n++) {
+        tags[`tag${n}`] = 'value';
+      }
+      await assertReject(controller.putObjectTagging({bucket: 'bucket', key: 'key', tags}));
+    });
+
+    it('should fail to delete tags with an unexpected status', async () => {
+      mockRunner(200);
+      await assertReject(controller.deleteObjectTagging({bucket: 'bucket', key: 'key'}));
+    });
+  });
+
+  describe('Object Lock', () => {
+    function mockRunner(statusCode, body = '') {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({body: Buffer.from(body), headers: {}, statusCode, statusMessage: 'OK'});
+      controller.runner = runner;
+      return runner;
+    }
+
+    it('should read the retention of a version', async () => {
+      let runner = mockRunner(200, [
+        '<Retention xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+        '  <Mode>GOVERNANCE</Mode>',
+        '  <RetainUntilDate>2030-01-01T00:00:00.000Z</RetainUntilDate>',
+        '</Retention>',
+      ].join('\n'));
+
+      let retention = await controller.getObjectRetention({bucket: 'bucket', key: 'key', versionId: 'v1'});
+
+      runner.verify();
+      assume(runner.firstCall.args[0].req.url).equals('http://localhost:8080/bucket/key?retention=&versionId=v1');
+      assume(retention).deeply.equals({mode: 'GOVERNANCE', retainUntil: new Date('2030-01-01T00:00:00.000Z')});
+    });
+
+    it('should report objects without retention', async () => {
+      mockRunner(404, [
+        '<Error>',
+        '  <Code>NoSuchObjectLockConfiguration</Code>',
+        '  <Message>The specified object does not have a ObjectLock configuration</Message>',
+        '</Error>',
+      ].join('\n'));
+
+      let retention = await controller.getObjectRetention({bucket: 'bucket', key: 'key'});
+      assume(retention).is.a('undefined');
+    });
+
+    it('should fail for other errors', async () => {
+      mockRunner(403, '<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>');
+      let err = await assertReject(controller.getObjectRetention({bucket: 'bucket', key: 'key'}));
+      assume(err.code).equals('AccessDenied');
+    });
+
+    it('should extend retention with a Content-MD5', async () => {
+      let runner = mockRunner(200);
+      let retainUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await controller.putObjectRetention({
         bucket: 'bucket',
         key: 'key',
-        uploadId: 'uploadId',
-        parts: [
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024*1024},
-        ],
+        mode: 'COMPLIANCE',
+        retainUntil,
+        bypassGovernanceRetention: true,
       });
 
-      return assertReject(controller.generateMultipartRequest({
+      runner.verify();
+      let {req, body} = runner.firstCall.args[0];
+      assume(req.method).equals('PUT');
+      assume(req.url).equals('http://localhost:8080/bucket/key?retention=');
+      assume(req.headers['content-md5']).equals(crypto.createHash('md5').update(body).digest('base64'));
+      assume(req.headers).has.property('x-amz-bypass-governance-retention', 'true');
+
+      let doc = parseS3Response(body);
+      assume(doc.get('/Retention/Mode').text()).equals('COMPLIANCE');
+      assume(doc.get('/Retention/RetainUntilDate').text()).equals(retainUntil.toISOString());
+    });
+
+    it('should toggle a legal hold', async () => {
+      let runner = mockRunner(200);
+
+      await controller.putObjectLegalHold({bucket: 'bucket', key: 'key', versionId: 'v1', legalHold: true});
+
+      runner.verify();
+      let {req, body} = runner.firstCall.args[0];
+      assume(req.url).equals('http://localhost:8080/bucket/key?legal-hold=&versionId=v1');
+      assume(req.headers['content-md5']).equals(crypto.createHash('md5').update(body).digest('base64'));
+      assume(parseS3Response(body).get('/LegalHold/Status').text()).equals('ON');
+    });
+
+    it('should read a legal hold', async () => {
+      mockRunner(200, '<LegalHold><Status>ON</Status></LegalHold>');
+      assume(await controller.getObjectLegalHold({bucket: 'bucket', key: 'key'})).is.true();
+    });
+  });
+
+  describe('Multipart ETag Verification', () => {
+    let md5s = ['part1', 'part2'].map(x => crypto.createHash('md5').update(x).digest('base64'));
+    let expected = crypto.createHash('md5')
+      .update(Buffer.concat(md5s.map(x => Buffer.from(x, 'base64'))))
+      .digest('hex') + '-2';
+
+    function mockComplete(etag) {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({
+        body: Buffer.from([
+          '<CompleteMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+          '  <Bucket>bucket</Bucket>',
+          '  <Key>key</Key>',
+          `  <ETag>"${etag}"</ETag>`,
+          '</CompleteMultipartUploadResult>',
+        ].join('\n')),
+        headers: {},
+        statusCode: 200,
+        statusMessage: 'OK',
+      });
+      controller.runner = runner;
+      return runner;
+    }
+
+    it('should accept the expected ETag', async () => {
+      mockComplete(expected);
+      let {etag} = await controller.completeMultipartUpload({
         bucket: 'bucket',
         key: 'key',
         uploadId: 'uploadId',
-        parts: [
-          {sha256: crypto.createHash('sha256').update('hi').digest('hex'), size: 5*1024*1024*1024+1},
-        ],
-      }));
+        etags: ['etag1', 'etag2'],
+        md5s,
+      });
+      assume(etag).equals(`"${expected}"`);
     });
 
-    it('should not allow parts with an empty string sha256', () => {
-      return assertReject(controller.generateMultipartRequest({
+    it('should throw an IntegrityError for an unexpected ETag', async () => {
+      mockComplete('0123456789abcdef0123456789abcdef-2');
+      let err = await assertReject(controller.completeMultipartUpload({
         bucket: 'bucket',
         key: 'key',
-        uploadId: 'uploadId', 
-        parts: [
-          {sha256: crypto.createHash('sha256').update('').digest('hex'), size: 1},
-        ],
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
+        md5s,
       }));
+      assume(err).is.instanceOf(IntegrityError);
+      assume(err).has.property('expected', expected);
+      assume(err).has.property('actual', '0123456789abcdef0123456789abcdef-2');
     });
 
-    it('should not allow parts with invalid sha256', () => {
-      return assertReject(controller.generateMultipartRequest({
+    it('should require an md5 for each part', () => {
+      return assertReject(controller.completeMultipartUpload({
         bucket: 'bucket',
         key: 'key',
         uploadId: 'uploadId',
-        parts: [
-          {sha256: 'askdlfjhasdfj', size: 1},
-        ],
+        etags: ['etag1', 'etag2'],
+        md5s: md5s.slice(1),
       }));
     });
   });
 
-  describe('S3 Object Tag Validation', () => {
-    // We want to ensure that our valid key is 128 chars that are outside of
-    // the ascii range.  This ensures that count is by unicode char and not by
-    // byte
-    let validkey = [
-      '☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭',
-      '☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭',
-      '☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭',
-      '☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭☭',
-    ].join('');
-    if (validkey.length !== 128) {
-      throw new Error();
+  describe('Archive Restore', () => {
+    function mockRunner(statusCode, body = '') {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({body: Buffer.from(body), headers: {}, statusCode, statusMessage: 'OK'});
+      controller.runner = runner;
+      return runner;
     }
 
-    // We want to add the minimal amount to the string to cause a failure. In
-    // this case, it's a single char in the ascii range
-    let invalidkey = validkey + 'a';
+    it('should start a restore', async () => {
+      let runner = mockRunner(202);
 
-    // Valid values are just 2x a key
-    let validvalue = validkey + validkey;
-    let invalidvalue = validvalue + 'a';
-   
-    it('should not throw for valid keys and values', async () => {
-      let tags = {};
-      tags[validkey] = validvalue;
-      controller.__validateTags(tags);
+      let result = await controller.restoreObject({
+        bucket: 'bucket',
+        key: 'key',
+        versionId: 'v1',
+        days: 3,
+        tier: 'Expedited',
+      });
+
+      runner.verify();
+      assume(result).equals('started');
+      let {req, body} = runner.firstCall.args[0];
+      assume(req.method).equals('POST');
+      assume(req.url).equals('http://localhost:8080/bucket/key?restore=&versionId=v1');
+      assume(req.headers['content-md5']).equals(crypto.createHash('md5').update(body).digest('base64'));
+      let doc = parseS3Response(body);
+      assume(doc.get('/RestoreRequest/Days').text()).equals('3');
+      assume(doc.get('/RestoreRequest/GlacierJobParameters/Tier').text()).equals('Expedited');
     });
 
-    it('should throw for too many keys', () => {
-      let tags = {
-        a: '1',
-        b: '2',
-        c: '3',
-        d: '4',
-        e: '5',
-        f: '6',
-        g: '7',
-        h: '8',
-        i: '9',
-        j: '10',
-      }
-      controller.__validateTags(tags);
-      tags.k = '11';
-      assume(() => {
-        controller.__validateTags(tags);
-      }).throws(/S3 allows no more than 10 tags/);
+    it('should use the Standard tier by default', async () => {
+      let runner = mockRunner(202);
+      await controller.restoreObject({bucket: 'bucket', key: 'key', days: 1});
+      let {req, body} = runner.firstCall.args[0];
+      assume(req.url).equals('http://localhost:8080/bucket/key?restore=');
+      assume(parseS3Response(body).get('/RestoreRequest/GlacierJobParameters/Tier').text()).equals('Standard');
     });
- 
-    it('should throw for invalid keys', () => {
-      assume(() => {
-        let tags = {};
-        tags[invalidkey] = validvalue;
-        controller.__validateTags(tags);
-      }).throws(/^S3 object tag keys/);
+
+    it('should report already restored objects', async () => {
+      mockRunner(200);
+      assume(await controller.restoreObject({bucket: 'bucket', key: 'key', days: 1})).equals('restored');
     });
 
-    it('should throw for invalid values', () => {
-      assume(() => {
-        let tags = {};
-        tags[validkey] = invalidvalue;
-        controller.__validateTags(tags);
-      }).throws(/^S3 object tag values/);
+    it('should report restores in progress', async () => {
+      mockRunner(409, [
+        '<Error>',
+        '  <Code>RestoreAlreadyInProgress</Code>',
+        '  <Message>Object restore is already in progress</Message>',
+        '</Error>',
+      ].join('\n'));
+      assume(await controller.restoreObject({bucket: 'bucket', key: 'key', days: 1})).equals('inProgress');
     });
-  });
 
-  describe('Generate Get Request', () => {
-    it ('should return the right values for unsigned', async () => {
-      let result = await controller.generateGetUrl({
-        bucket: 'example-bucket',
-        key: 'example-key',
-      });
-      assume(result).equals('http://localhost:8080/example-bucket/example-key');
+    it('should throw for objects which are not archived', async () => {
+      mockRunner(403, [
+        '<Error>',
+        '  <Code>InvalidObjectState</Code>',
+        '  <Message>Restore is not allowed for the object\'s current storage class</Message>',
+        '</Error>',
+      ].join('\n'));
+      let err = await assertReject(controller.restoreObject({bucket: 'bucket', key: 'key', days: 1}));
+      assume(err.code).equals('InvalidObjectState');
     });
 
-    it ('should return the right values for signed', async () => {
-      controller.vhostAddressing = false;
-      let result = await controller.generateGetUrl({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        signed: true,
-      });
+    it('should not allow unknown tiers', () => {
+      return assertReject(controller.restoreObject({bucket: 'bucket', key: 'key', days: 1, tier: 'Fast'}));
+    });
 
-      result = urllib.parse(result);
-      assume(result).has.property('protocol', 'http:');
-      assume(result).has.property('host', 'localhost:8080');
-      assume(result).has.property('pathname', '/example-bucket/example-key');
-      result = qs.parse(result.query);
-      for (let k of ['Expires', 'Date', 'Algorithm', 'Credential', 'SignedHeaders', 'Signature']) {
-        assume(result).has.property('X-Amz-' + k);
+    it('should allow uploads to every storage class', async () => {
+      for (let storageClass of [
+        'INTELLIGENT_TIERING', 'ONEZONE_IA', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE',
+      ]) {
+        let result = await controller.generateSinglepartRequest({
+          bucket: 'bucket',
+          key: 'key',
+          sha256: crypto.createHash('sha256').update('a').digest('hex'),
+          size: 1,
+          storageClass,
+        });
+        assume(result.headers).has.property('x-amz-storage-class', storageClass);
       }
     });
-
   });
 
+  describe('Streaming Uploads', () => {
+    let credentials = {accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret'};
+    let sha256 = crypto.createHash('sha256').update('content').digest('hex');
 
+    beforeEach(() => {
+      controller = new Controller({
+        region: 'us-west-2',
+        endpoint: {protocol: 'http:', host: 'localhost', port: Number(port)},
+        credentials: async () => credentials,
+        allowSigningKeyExport: true,
+      });
+    });
 
-  describe('Generate Single Part Request', () => {
-    let sha256 = crypto.createHash('sha256').update('single part').digest('hex');
+    it('should not export the signing key unless allowed', async () => {
+      controller = new Controller({
+        region: 'us-west-2',
+        endpoint: {protocol: 'http:', host: 'localhost', port: Number(port)},
+        credentials: async () => credentials,
+      });
+      let err = await assertReject(controller.generateStreamingRequest({
+        bucket: 'bucket',
+        key: 'key',
+        size: 1024,
+      }));
+      assume(err.message).matches(/allowSigningKeyExport/);
+    });
 
-    it ('should return the right values', async () => {
-      let size = 1024;
+    it('should generate a streaming request', async () => {
+      let result = await controller.generateStreamingRequest({
+        bucket: 'bucket',
+        key: 'key',
+        size: 100 * 1024,
+        contentType: 'text/plain',
+        cacheControl: 'no-cache',
+        metadata: {owner: 'me'},
+      });
 
-      let result = await controller.generateSinglepartRequest({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        sha256: sha256,
-        size: size,
-        tags: {
-          tag1: 'value1',
-          tag2: 'value2',
-        },
-        permissions: {
-          acl: 'public-read',
-        }
+      await InterchangeFormat.validate(result);
+      assume(result.method).equals('PUT');
+      assume(result.url).equals('http://localhost:8080/bucket/key');
+      assume(result.headers).has.property('x-amz-content-sha256', 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD');
+      assume(result.headers).has.property('x-amz-decoded-content-length', String(100 * 1024));
+      assume(result.headers).has.property('content-length', String(chunkedContentLength(100 * 1024, 64 * 1024)));
+      assume(result.headers).has.property('content-encoding', 'aws-chunked');
+      assume(result.headers).has.property('content-type', 'text/plain');
+      assume(result.headers).has.property('cache-control', 'no-cache');
+      assume(result.headers).has.property('x-amz-meta-owner', 'me');
+      assume(result.headers).has.property('x-amz-meta-transfer-length', String(100 * 1024));
+      assume(result.headers).not.has.property('x-amz-meta-content-sha256');
+
+      let {streaming} = result;
+      let date = streaming.date.slice(0, 8);
+      assume(streaming.chunkSize).equals(64 * 1024);
+      assume(streaming.scope).equals(`${date}/us-west-2/s3/aws4_request`);
+      assume(streaming.date).equals(result.headers['X-Amz-Date']);
+      assume(result.headers.Authorization).matches(new RegExp(`Signature=${streaming.seedSignature}$`));
+      assume(streaming.signingKey).equals(deriveSigningKey({
+        secretAccessKey: 'secret',
+        date,
+        region: 'us-west-2',
+        service: 's3',
+      }).toString('hex'));
+    });
+
+    it('should use the given chunk size', async () => {
+      let result = await controller.generateStreamingRequest({
+        bucket: 'bucket',
+        key: 'key',
+        size: 1024 * 1024,
+        chunkSize: 128 * 1024,
       });
-      
-      assume(result).has.property('url', `http://localhost:8080/example-bucket/example-key`);
-      assume(result).has.property('method', 'PUT');
-      assume(result).has.property('headers');
-      assume(result.headers).has.property('x-amz-content-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-content-length', size + '');
-      assume(result.headers).has.property('content-length', size + '');
-      assume(result.headers).has.property('Host', 'localhost:' + port);
-      assume(result.headers).has.property('Authorization');
-      assume(result.headers).has.property('X-Amz-Date');
-      assume(result.headers).has.property('x-amz-acl', 'public-read');
-      assume(result.headers).has.property('x-amz-tagging', 'tag1=value1&tag2=value2');
+      assume(result.streaming.chunkSize).equals(128 * 1024);
+      assume(result.headers).has.property('content-length', String(chunkedContentLength(1024 * 1024, 128 * 1024)));
     });
 
-    it('should support gzip content-encoding', async () => {
-      let transferSha256 = crypto.createHash('sha256').update('gzip single part').digest('hex');
-      let result = await controller.generateSinglepartRequest({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        sha256: sha256,
-        transferSha256: transferSha256,
+    it('should not allow tiny chunks', () => {
+      return assertReject(controller.generateStreamingRequest({
+        bucket: 'bucket',
+        key: 'key',
         size: 1024,
-        transferSize: 1022,
-        contentEncoding: 'gzip',
+        chunkSize: 1024,
+      }));
+    });
+
+    it('should record the sha256 with a copy', async () => {
+      let head = {
+        body: Buffer.from(''),
+        headers: {
+          'content-length': '1024',
+          'content-type': 'text/plain',
+          'cache-control': 'no-cache',
+          'x-amz-storage-class': 'STANDARD_IA',
+          'x-amz-meta-content-length': '1024',
+          'x-amz-meta-transfer-length': '1024',
+          'x-amz-meta-owner': 'me',
+        },
+        statusCode: 200,
+        statusMessage: 'OK',
+      };
+      // The sizes are checked before the copy, which reads the source again
+      let runner = sandbox.mock();
+      runner.thrice();
+      runner.onFirstCall().returns(head);
+      runner.onSecondCall().returns(head);
+      runner.onThirdCall().returns({
+        body: Buffer.from('<CopyObjectResult><ETag>"etag"</ETag></CopyObjectResult>'),
+        headers: {},
+        statusCode: 200,
+        statusMessage: 'OK',
       });
-      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-transfer-sha256', transferSha256);
-      assume(result.headers).has.property('x-amz-meta-content-length', '1024');
-      assume(result.headers).has.property('x-amz-meta-transfer-length', '1022');
+      controller.runner = runner;
+
+      let result = await controller.completeStreamingUpload({bucket: 'bucket', key: 'key', sha256, size: 1024});
+
+      runner.verify();
+      assume(result).has.property('etag', '"etag"');
+      let {req} = runner.thirdCall.args[0];
+      assume(req.method).equals('PUT');
+      assume(req.headers).has.property('x-amz-copy-source', '/bucket/key');
+      assume(req.headers).has.property('x-amz-metadata-directive', 'REPLACE');
+      assume(req.headers).has.property('x-amz-meta-content-sha256', sha256);
+      assume(req.headers).has.property('x-amz-meta-transfer-sha256', sha256);
+      assume(req.headers).has.property('x-amz-meta-owner', 'me');
+      assume(req.headers).has.property('content-type', 'text/plain');
+      assume(req.headers).has.property('cache-control', 'no-cache');
+      assume(req.headers).has.property('x-amz-storage-class', 'STANDARD_IA');
     });
 
-    it('should support identity content-encoding', async () => {
-      let result = await controller.generateSinglepartRequest({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        sha256: sha256,
-        size: 1024,
-        contentEncoding: 'identity',
+    it('should not copy again when the sha256 is already recorded', async () => {
+      let head = {
+        body: Buffer.from(''),
+        headers: {
+          'content-length': '1024',
+          'etag': '"etag"',
+          'x-amz-meta-content-length': '1024',
+          'x-amz-meta-transfer-length': '1024',
+          'x-amz-meta-owner': 'me',
+        },
+        statusCode: 200,
+        statusMessage: 'OK',
+      };
+      let recorded = {
+        body: Buffer.from(''),
+        headers: Object.assign({}, head.headers, {
+          'etag': '"copied"',
+          'x-amz-meta-content-sha256': sha256,
+          'x-amz-meta-transfer-sha256': sha256,
+        }),
+        statusCode: 200,
+        statusMessage: 'OK',
+      };
+      let runner = sandbox.mock();
+      runner.exactly(4);
+      runner.onCall(0).returns(head);
+      runner.onCall(1).returns(head);
+      runner.onCall(2).returns({
+        body: Buffer.from('<CopyObjectResult><ETag>"copied"</ETag></CopyObjectResult>'),
+        headers: {},
+        statusCode: 200,
+        statusMessage: 'OK',
       });
-      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-transfer-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-content-length', '1024');
-      assume(result.headers).has.property('x-amz-meta-transfer-length', '1024');
-      assume(result.headers).has.property('content-encoding', 'identity');
+      runner.onCall(3).returns(recorded);
+      controller.runner = runner;
+
+      let first = await controller.completeStreamingUpload({bucket: 'bucket', key: 'key', sha256, size: 1024});
+      let second = await controller.completeStreamingUpload({bucket: 'bucket', key: 'key', sha256, size: 1024});
+
+      runner.verify();
+      assume(first).has.property('etag', '"copied"');
+      assume(second).has.property('etag', '"copied"');
+      assume(runner.getCall(3).args[0].req.method).equals('HEAD');
     });
 
+    it('should not record a sha256 over a different one', async () => {
+      let other = crypto.createHash('sha256').update('other').digest('hex');
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({
+        body: Buffer.from(''),
+        headers: {
+          'content-length': '1024',
+          'x-amz-meta-content-length': '1024',
+          'x-amz-meta-transfer-length': '1024',
+          'x-amz-meta-content-sha256': other,
+          'x-amz-meta-transfer-sha256': other,
+        },
+        statusCode: 200,
+        statusMessage: 'OK',
+      });
+      controller.runner = runner;
 
-    it('should support no specified content-encoding', async () => {
-      let result = await controller.generateSinglepartRequest({
-        bucket: 'example-bucket',
-        key: 'example-key',
-        sha256: sha256,
-        size: 1024,
+      let err = await assertReject(controller.completeStreamingUpload({bucket: 'bucket', key: 'key', sha256, size: 1024}));
+      assume(err).is.instanceOf(IntegrityError);
+      assume(err.expected).equals(sha256);
+      assume(err.actual).equals(other);
+    });
+
+    it('should not record the sha256 when the size is wrong', async () => {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({
+        body: Buffer.from(''),
+        headers: {
+          'content-length': '1000',
+          'x-amz-meta-content-length': '1000',
+          'x-amz-meta-transfer-length': '1000',
+        },
+        statusCode: 200,
+        statusMessage: 'OK',
       });
-      assume(result.headers).has.property('x-amz-meta-content-sha256', sha256);
-      assume(result.headers).has.property('x-amz-meta-transfer-sha256', sha256);
-      assume(result.headers).has.property('content-encoding', 'identity');
+      controller.runner = runner;
+
+      let err = await assertReject(controller.completeStreamingUpload({bucket: 'bucket', key: 'key', sha256, size: 1024}));
+      assume(err).is.instanceOf(IntegrityError);
+      assume(err.expected).equals(1024);
+      assume(err.actual).equals(1000);
     });
+  });
 
-    it('should throw for invalid content-encoding values with identity encoding', async () => {
-      // Just to make sure that no request goes out if the test fails
-      let transferSha256 = crypto.createHash('sha256').update('aaa').digest('hex');
-      controller.runner = () => { throw new Error(); }
-      return assertReject(controller.generateSinglepartRequest({
+  describe('S3 Errors', () => {
+    function mockError(statusCode, code, message) {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({
+        body: Buffer.from(`<Error><Code>${code}</Code><Message>${message}</Message><RequestId>requestid</RequestId></Error>`),
+        headers: {'x-amz-id-2': 'hostid'},
+        statusCode,
+        statusMessage: 'Error',
+      });
+      controller.runner = runner;
+      return runner;
+    }
+
+    it('should throw an InvalidPartError when completing an upload', async () => {
+      mockError(400, 'InvalidPart', 'One or more of the specified parts could not be found.');
+      let err = await assertReject(controller.completeMultipartUpload({
         bucket: 'bucket',
         key: 'key',
-        sha256: sha256,
-        transferSha256: transferSha256,
-        size: 1,
-        storageClass: 'INVALID',
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
       }));
+      assume(err).is.instanceof(errors.InvalidPartError);
+      assume(err).has.property('statusCode', 400);
+      assume(err).has.property('requestId', 'requestid');
+      assume(err).has.property('hostId', 'hostid');
+      assume(err).has.property('retryable', false);
     });
 
-    it('should throw for missing transferSha256 with non-identity encoding', async () => {
-      // Just to make sure that no request goes out if the test fails
-      controller.runner = () => { throw new Error(); }
-      return assertReject(controller.generateSinglepartRequest({
+    it('should throw a NoSuchUploadError when aborting an upload', async () => {
+      mockError(404, 'NoSuchUpload', 'The specified upload does not exist.');
+      let err = await assertReject(controller.abortMultipartUpload({bucket: 'bucket', key: 'key', uploadId: 'uploadId'}));
+      assume(err).is.instanceof(errors.NoSuchUploadError);
+      assume(err).has.property('statusCode', 404);
+    });
+
+    it('should throw a retryable SlowDownError when initiating an upload', async () => {
+      mockError(503, 'SlowDown', 'Please reduce your request rate.');
+      let err = await assertReject(controller.initiateMultipartUpload({
         bucket: 'bucket',
         key: 'key',
-        sha256: sha256,
-        contentEncoding: 'gzip',
-        size: 1,
-        storageClass: 'INVALID',
+        sha256: crypto.createHash('sha256').update('a').digest('hex'),
+        size: 6 * 1024 * 1024,
       }));
+      assume(err).is.instanceof(errors.SlowDownError);
+      assume(err).has.property('retryable', true);
     });
-      
-    it('should throw for invalid storage classes', async () => {
-      // Just to make sure that no request goes out if the test fails
-      controller.runner = () => { throw new Error(); }
-      return assertReject(controller.generateSinglepartRequest({
+
+    it('should throw an AccessDeniedError when tagging an object', async () => {
+      mockError(403, 'AccessDenied', 'Access Denied');
+      let err = await assertReject(controller.putObjectTagging({bucket: 'bucket', key: 'key', tags: {a: 'b'}}));
+      assume(err).is.instanceof(errors.AccessDeniedError);
+      assume(err).has.property('message', 'Access Denied');
+    });
+  });
+
+  describe('Versioning', () => {
+    function response(statusCode, body = '', headers = {}) {
+      return {body: Buffer.from(body), headers, statusCode, statusMessage: 'OK'};
+    }
+
+    it('should return the version of a completed upload', async () => {
+      controller.taggingOnInitiate = false;
+      let runner = sandbox.mock();
+      runner.twice();
+      runner.onFirstCall().returns(response(200, [
+        '<CompleteMultipartUploadResult>',
+        '  <Bucket>bucket</Bucket>',
+        '  <Key>key</Key>',
+        '  <ETag>"etag"</ETag>',
+        '</CompleteMultipartUploadResult>',
+      ].join('\n'), {'x-amz-version-id': 'v1'}));
+      runner.onSecondCall().returns(response(200));
+      controller.runner = runner;
+
+      let result = await controller.completeMultipartUpload({
         bucket: 'bucket',
         key: 'key',
-        sha256: sha256,
-        size: 1,
-        storageClass: 'INVALID',
-      }));
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
+        tags: {a: 'b'},
+      });
+
+      runner.verify();
+      assume(result).deeply.equals({etag: '"etag"', versionId: 'v1'});
+      // The tags must be added to the version which was just written
+      let {req} = runner.secondCall.args[0];
+      assume(req.url).equals('http://localhost:8080/bucket/key?tagging=&versionId=v1');
     });
 
-    for (let storageClass of [undefined, 'STANDARD', 'STANDARD_IA', 'REDUCED_REDUNDANCY']) {
-      it('should use the correct storage class for ' + storageClass, async () => {
-        let result = await controller.generateSinglepartRequest({
-          bucket: 'bucket',
-          key: 'key',
-          sha256: sha256,
-          size: 1,
-          storageClass: storageClass,
-        });
+    it('should generate URLs for a version', async () => {
+      let result = await controller.generateGetUrl({bucket: 'bucket', key: 'key', versionId: 'v1'});
+      assume(result).equals('http://localhost:8080/bucket/key?versionId=v1');
+    });
 
-        assume(result).has.property('method', 'PUT');
-        assume(result).has.property('url', 'http://localhost:8080/bucket/key');
-        assume(result).has.property('headers');
-        assume(result.headers).has.property('x-amz-storage-class', storageClass ? storageClass : 'STANDARD');
+    it('should generate signed URLs for a version', async () => {
+      let result = await controller.generateUrl({
+        bucket: 'bucket',
+        key: 'key',
+        versionId: 'v1',
+        signed: true,
+        responseContentType: 'text/plain',
       });
+      let {pathname, query} = urllib.parse(result, true);
+      assume(pathname).equals('/bucket/key');
+      assume(query).has.property('versionId', 'v1');
+      assume(query).has.property('response-content-type', 'text/plain');
+      assume(query).has.property('X-Amz-Signature');
+    });
+
+    it('should delete a version', async () => {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns(response(204, '', {'x-amz-version-id': 'v1'}));
+      controller.runner = runner;
+
+      let result = await controller.deleteObject({bucket: 'bucket', key: 'key', versionId: 'v1'});
+
+      assume(runner.firstCall.args[0].req.url).equals('http://localhost:8080/bucket/key?versionId=v1');
+      assume(result).deeply.equals({versionId: 'v1', deleteMarker: false});
+    });
+
+    it('should report delete markers', async () => {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns(response(204, '', {'x-amz-version-id': 'marker', 'x-amz-delete-marker': 'true'}));
+      controller.runner = runner;
+
+      let result = await controller.deleteObject({bucket: 'bucket', key: 'key'});
+
+      assume(runner.firstCall.args[0].req.url).equals('http://localhost:8080/bucket/key');
+      assume(result).deeply.equals({versionId: 'marker', deleteMarker: true});
+    });
+
+    it('should list the versions of objects', async () => {
+      let runner = sandbox.mock();
+      runner.twice();
+      runner.onFirstCall().returns(response(200, [
+        '<ListVersionsResult>',
+        '  <Name>bucket</Name>',
+        '  <IsTruncated>true</IsTruncated>',
+        '  <NextKeyMarker>a</NextKeyMarker>',
+        '  <NextVersionIdMarker>v1</NextVersionIdMarker>',
+        '  <DeleteMarker>',
+        '    <Key>a</Key>',
+        '    <VersionId>v2</VersionId>',
+        '    <IsLatest>true</IsLatest>',
+        '    <LastModified>2009-10-12T17:50:30.000Z</LastModified>',
+        '  </DeleteMarker>',
+        '  <Version>',
+        '    <Key>a</Key>',
+        '    <VersionId>v1</VersionId>',
+        '    <IsLatest>false</IsLatest>',
+        '    <LastModified>2009-10-10T17:50:30.000Z</LastModified>',
+        '    <ETag>"etag"</ETag>',
+        '    <Size>10</Size>',
+        '    <StorageClass>STANDARD</StorageClass>',
+        '  </Version>',
+        '</ListVersionsResult>',
+      ].join('\n')));
+      runner.onSecondCall().returns(response(200, [
+        '<ListVersionsResult>',
+        '  <Name>bucket</Name>',
+        '  <IsTruncated>false</IsTruncated>',
+        '  <Version>',
+        '    <Key>b</Key>',
+        '    <VersionId>null</VersionId>',
+        '    <IsLatest>true</IsLatest>',
+        '    <LastModified>2009-10-10T17:50:30.000Z</LastModified>',
+        '    <ETag>"etag2"</ETag>',
+        '    <Size>20</Size>',
+        '    <StorageClass>STANDARD_IA</StorageClass>',
+        '  </Version>',
+        '</ListVersionsResult>',
+      ].join('\n')));
+      controller.runner = runner;
+
+      let versions = [];
+      for await (let version of controller.listObjectVersions({bucket: 'bucket', prefix: 'p', pageSize: 2})) {
+        versions.push(version);
+      }
+
+      runner.verify();
+      assume(versions).deeply.equals([{
+        key: 'a',
+        versionId: 'v2',
+        isLatest: true,
+        lastModified: new Date('2009-10-12T17:50:30.000Z'),
+        deleteMarker: true,
+      }, {
+        key: 'a',
+        versionId: 'v1',
+        isLatest: false,
+        lastModified: new Date('2009-10-10T17:50:30.000Z'),
+        deleteMarker: false,
+        etag: '"etag"',
+        size: 10,
+        storageClass: 'STANDARD',
+      }, {
+        key: 'b',
+        versionId: 'null',
+        isLatest: true,
+        lastModified: new Date('2009-10-10T17:50:30.000Z'),
+        deleteMarker: false,
+        etag: '"etag2"',
+        size: 20,
+        storageClass: 'STANDARD_IA',
+      }]);
+
+      let first = qs.parse(urllib.parse(runner.firstCall.args[0].req.url).query);
+      assume(first).deeply.equals({versions: '', 'max-keys': '2', prefix: 'p'});
+      let second = qs.parse(urllib.parse(runner.secondCall.args[0].req.url).query);
+      assume(second).has.property('key-marker', 'a');
+      assume(second).has.property('version-id-marker', 'v1');
+    });
+
+    it('should restore a previous version with a copy', async () => {
+      let runner = sandbox.mock();
+      runner.twice();
+      runner.onFirstCall().returns(response(200, '', {'content-length': '10', 'x-amz-version-id': 'v1'}));
+      runner.onSecondCall().returns(response(200, '<CopyObjectResult><ETag>"etag"</ETag></CopyObjectResult>',
+        {'x-amz-version-id': 'v3'}));
+      controller.runner = runner;
+
+      let result = await controller.restoreObjectVersion({bucket: 'bucket', key: 'key', versionId: 'v1'});
+
+      runner.verify();
+      assume(result).deeply.equals({etag: '"etag"', versionId: 'v3'});
+      assume(runner.firstCall.args[0].req.url).equals('http://localhost:8080/bucket/key?versionId=v1');
+      let {req} = runner.secondCall.args[0];
+      assume(req.url).equals('http://localhost:8080/bucket/key');
+      assume(req.headers).has.property('x-amz-copy-source', '/bucket/key?versionId=v1');
+      assume(req.headers).has.property('x-amz-metadata-directive', 'COPY');
+    });
+  });
+
+  describe('Conditional Writes', () => {
+    let sha256 = crypto.createHash('sha256').update('a').digest('hex');
+
+    function mockComplete(statusCode, body, headers = {}) {
+      let runner = sandbox.mock();
+      runner.once();
+      runner.returns({body: Buffer.from(body), headers, statusCode, statusMessage: 'OK'});
+      controller.runner = runner;
+      return runner;
     }
 
-    it('should set other http headers correctly', async () => {
+    function signedHeaders(authorization) {
+      return /SignedHeaders=([^,]+)/.exec(authorization)[1].split(';');
+    }
+
+    it('should only upload when there is no object', async () => {
       let result = await controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        sha256: sha256,
+        sha256,
         size: 1,
-        contentType: 'content-type',
-        contentDisposition: 'content-disposition',
+        ifNoneMatch: '*',
       });
-      assume(result.headers).has.property('content-type', 'content-type');
-      assume(result.headers).has.property('content-disposition', 'content-disposition');
+      assume(result.headers).has.property('if-none-match', '*');
+      assume(signedHeaders(result.headers.Authorization)).contains('if-none-match');
     });
-      
-    it('should set metadata headers correctly', async () => {
+
+    it('should only upload when the object has an ETag', async () => {
       let result = await controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        sha256: sha256,
+        sha256,
         size: 1,
-        metadata: {
-          string: 'string',
-          number: 123,
-        }
+        ifMatch: '"etag"',
       });
-      assume(result.headers).has.property('x-amz-meta-string', 'string');
-      assume(result.headers).has.property('x-amz-meta-number', '123');
+      assume(result.headers).has.property('if-match', '"etag"');
+      assume(signedHeaders(result.headers.Authorization)).contains('if-match');
     });
 
-    it('should not allow size <= 0', () => {
-      return assertReject(controller.generateSinglepartRequest({
+    it('should sign conditions of presigned uploads', async () => {
+      let result = await controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        sha256: '605056c0bdc0b2c9d1e32146eac54fe22a807e14b1af34f3d4343f88e592eeef',
-        size: 0,
-      }));
+        sha256,
+        size: 1,
+        ifNoneMatch: '*',
+        presigned: true,
+      });
+      let query = qs.parse(urllib.parse(result.url).query);
+      assume(result.headers).has.property('if-none-match', '*');
+      assume(query['X-Amz-SignedHeaders'].split(';')).contains('if-none-match');
     });
 
-    it('should not allow an empty string sha256', () => {
+    it('should not allow other ifNoneMatch values', () => {
       return assertReject(controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        sha256: crypto.createHash('sha256').update('').digest('hex'),
+        sha256,
         size: 1,
+        ifNoneMatch: '"etag"',
       }));
     });
 
-    it('should not allow invalid sha256', () => {
+    it('should not allow both conditions', () => {
       return assertReject(controller.generateSinglepartRequest({
         bucket: 'bucket',
         key: 'key',
-        sha256: 'asdflasdf',
+        sha256,
         size: 1,
+        ifNoneMatch: '*',
+        ifMatch: '"etag"',
       }));
     });
-  });
 
-  describe('S3 Permissions', () => {
-    it('should handle a valid Canned ACL', () => {
-      let actual = controller.__determinePermissionsHeaders({acl: 'private'});
-      let expected = [['x-amz-acl', 'private']];
-      assume(actual).deeply.equals(expected);
-    });
+    it('should complete an upload with a condition', async () => {
+      let runner = mockComplete(200, [
+        '<CompleteMultipartUploadResult>',
+        '  <Bucket>bucket</Bucket>',
+        '  <Key>key</Key>',
+        '  <ETag>"etag"</ETag>',
+        '</CompleteMultipartUploadResult>',
+      ].join('\n'));
 
-    it('should handle an invalid Canned ACL', () => {
-      assume(() => {
-        controller.__determinePermissionsHeaders({acl: 'bogus'});
-      }).throws(/^child "acl" fails because \["acl" must be one of \[/);
+      await controller.completeMultipartUpload({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
+        ifMatch: '"old"',
+      });
+
+      let {req} = runner.firstCall.args[0];
+      assume(req.headers).has.property('if-match', '"old"');
+      assume(signedHeaders(req.headers.Authorization)).contains('if-match');
     });
 
-    it('should treat canned ACLs and specific permissions as mutually exclusive', () => {
-      assume(() => {
-        controller.__determinePermissionsHeaders({acl: 'private', read: 'ooogieboogie'});
-      }).throws(/^"acl" conflict with forbidden peer "read"/);
+    it('should throw a PreconditionFailedError when the object exists', async () => {
+      mockComplete(412, [
+        '<Error>',
+        '  <Code>PreconditionFailed</Code>',
+        '  <Message>At least one of the pre-conditions you specified did not hold</Message>',
+        '  <Condition>If-None-Match</Condition>',
+        '</Error>',
+      ].join('\n'));
+
+      let err = await assertReject(controller.completeMultipartUpload({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
+        ifNoneMatch: '*',
+      }));
+      assume(err).is.instanceof(errors.PreconditionFailedError);
+      assume(err).is.not.instanceof(errors.ConditionalRequestConflictError);
+      assume(err).has.property('statusCode', 412);
+      assume(err).has.property('condition', 'If-None-Match');
+      assume(err).has.property('retryable', false);
     });
 
-    it('should handle specific permissions', () => {
-      let permissions = {
-        read: 'x-amz-grant-read',
-        readAcp: 'x-amz-grant-read-acp',
-        write: 'x-amz-grant-write',
-        writeAcp: 'x-amz-grant-write-acp',
-        fullControl: 'x-amz-grant-full-control',
-      };
+    it('should throw a retryable ConditionalRequestConflictError for concurrent writes', async () => {
+      mockComplete(409, [
+        '<Error>',
+        '  <Code>ConditionalRequestConflict</Code>',
+        '  <Message>A conflicting conditional operation is currently in progress against this resource.</Message>',
+        '</Error>',
+      ].join('\n'));
 
-      let actual = controller.__determinePermissionsHeaders(permissions);
-      
-      for (let tuple of actual) {
-        assume(tuple[0]).equals(tuple[1]);
-      }
+      let err = await assertReject(controller.completeMultipartUpload({
+        bucket: 'bucket',
+        key: 'key',
+        uploadId: 'uploadId',
+        etags: ['etag1', 'etag2'],
+        ifNoneMatch: '*',
+      }));
+      assume(err).is.instanceof(errors.ConditionalRequestConflictError);
+      assume(err).is.not.instanceof(errors.PreconditionFailedError);
+      assume(err).has.property('statusCode', 409);
+      assume(err).has.property('retryable', true);
     });
   });
 });
-
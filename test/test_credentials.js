@@ -0,0 +1,332 @@
+const http = require('http');
+const fs = require('mz/fs');
+const assume = require('assume');
+const {tmpName} = require('tmp');
+
+const {
+  cachedProvider,
+  fromStatic,
+  fromEnv,
+  fromIni,
+  fromInstanceMetadata,
+  fromContainerMetadata,
+  chain,
+  parseIni,
+} = require('../lib/credentials');
+
+const assertReject = require('./utils').assertReject;
+
+function tmpFile(contents) {
+  return new Promise((resolve, reject) => {
+    tmpName(async (err, name) => {
+      if (err) {
+        return reject(err);
+      }
+      try {
+        await fs.writeFile(name, contents);
+        resolve(name);
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// A runner which responds to each url with the given status code and body
+function fakeRunner(responses) {
+  let calls = [];
+  let runner = async ({req}) => {
+    calls.push(req);
+    let response = responses[req.url];
+    if (!response) {
+      return {statusCode: 404, body: Buffer.from(''), headers: {}};
+    }
+    return {statusCode: response[0], body: Buffer.from(response[1]), headers: {}};
+  };
+  runner.calls = calls;
+  return runner;
+}
+
+describe('Credentials', () => {
+  let env;
+
+  beforeEach(() => {
+    env = Object.assign({}, process.env);
+  });
+
+  afterEach(() => {
+    for (let key of Object.keys(process.env)) {
+      if (!(key in env)) {
+        delete process.env[key];
+      }
+    }
+    Object.assign(process.env, env);
+  });
+
+  describe('Caching', () => {
+    it('should only call the provider once for non-expiring credentials', async () => {
+      let calls = 0;
+      let provider = cachedProvider(async () => {
+        calls++;
+        return {accessKeyId: 'a', secretAccessKey: 's'};
+      });
+      await provider();
+      await provider();
+      assume(calls).equals(1);
+    });
+
+    it('should refresh credentials before they expire', async () => {
+      let calls = 0;
+      let provider = cachedProvider(async () => {
+        calls++;
+        return {
+          accessKeyId: 'a' + calls,
+          secretAccessKey: 's',
+          expiration: new Date(Date.now() + 60 * 1000),
+        };
+      }, {refreshBefore: 2 * 60 * 1000});
+      assume(await provider()).has.property('accessKeyId', 'a1');
+      assume(await provider()).has.property('accessKeyId', 'a2');
+    });
+
+    it('should share a single refresh between concurrent calls', async () => {
+      let calls = 0;
+      let provider = cachedProvider(async () => {
+        calls++;
+        return {accessKeyId: 'a', secretAccessKey: 's'};
+      });
+      await Promise.all([provider(), provider(), provider()]);
+      assume(calls).equals(1);
+    });
+
+    it('should use unexpired credentials when a refresh fails', async () => {
+      let calls = 0;
+      let provider = cachedProvider(async () => {
+        calls++;
+        if (calls > 1) {
+          throw new Error('metadata service is down');
+        }
+        return {accessKeyId: 'a', secretAccessKey: 's', expiration: new Date(Date.now() + 60 * 1000)};
+      });
+      await provider();
+      assume(await provider()).has.property('accessKeyId', 'a');
+      assume(calls).equals(2);
+    });
+
+    it('should fail when a refresh fails without usable credentials', async () => {
+      let provider = cachedProvider(async () => {
+        throw new Error('metadata service is down');
+      });
+      let err = await assertReject(provider());
+      assume(err.message).matches(/metadata service is down/);
+    });
+
+    it('should reject invalid credentials', async () => {
+      let provider = cachedProvider(async () => ({accessKeyId: 'a'}));
+      await assertReject(provider());
+    });
+  });
+
+  describe('Static', () => {
+    it('should return the given credentials', async () => {
+      let credentials = await fromStatic({accessKeyId: 'a', secretAccessKey: 's'})();
+      assume(credentials).deeply.equals({accessKeyId: 'a', secretAccessKey: 's'});
+    });
+  });
+
+  describe('Environment', () => {
+    it('should read the environment on each call', async () => {
+      let provider = fromEnv();
+      process.env.AWS_ACCESS_KEY_ID = 'a1';
+      process.env.AWS_SECRET_ACCESS_KEY = 's1';
+      process.env.AWS_SESSION_TOKEN = 't1';
+      assume(await provider()).deeply.equals({accessKeyId: 'a1', secretAccessKey: 's1', sessionToken: 't1'});
+      process.env.AWS_ACCESS_KEY_ID = 'a2';
+      assume(await provider()).has.property('accessKeyId', 'a2');
+    });
+
+    it('should fail without credentials', async () => {
+      delete process.env.AWS_ACCESS_KEY_ID;
+      delete process.env.AWS_SECRET_ACCESS_KEY;
+      await assertReject(fromEnv()());
+    });
+  });
+
+  describe('Shared files', () => {
+    let credentialsFile;
+    let configFile;
+
+    before(async () => {
+      credentialsFile = await tmpFile([
+        '[default]',
+        'aws_access_key_id = default-a',
+        'aws_secret_access_key = default-s',
+        '',
+        '# comment',
+        '[dev]',
+        'aws_access_key_id=dev-a',
+        'aws_secret_access_key=dev-s',
+        'aws_session_token=dev-t',
+      ].join('\n'));
+      configFile = await tmpFile([
+        '[default]',
+        'region = us-west-2',
+        '[profile staging]',
+        'aws_access_key_id = staging-a',
+        'aws_secret_access_key = staging-s',
+      ].join('\n'));
+    });
+
+    after(async () => {
+      await fs.unlink(credentialsFile);
+      await fs.unlink(configFile);
+    });
+
+    it('should parse ini files', () => {
+      assume(parseIni('[a]\nb = c\n; comment\n[d e]\nf=g=h\n')).deeply.equals({
+        a: {b: 'c'},
+        'd e': {f: 'g=h'},
+      });
+    });
+
+    it('should read the default profile', async () => {
+      let provider = fromIni({filename: credentialsFile, configFilename: configFile});
+      assume(await provider()).deeply.equals({accessKeyId: 'default-a', secretAccessKey: 'default-s'});
+    });
+
+    it('should read a named profile', async () => {
+      let provider = fromIni({profile: 'dev', filename: credentialsFile, configFilename: configFile});
+      assume(await provider()).deeply.equals({
+        accessKeyId: 'dev-a',
+        secretAccessKey: 'dev-s',
+        sessionToken: 'dev-t',
+      });
+    });
+
+    it('should read a profile from the config file', async () => {
+      process.env.AWS_PROFILE = 'staging';
+      let provider = fromIni({filename: credentialsFile, configFilename: configFile});
+      assume(await provider()).has.property('accessKeyId', 'staging-a');
+    });
+
+    it('should fail for a missing profile', async () => {
+      let provider = fromIni({profile: 'nope', filename: credentialsFile, configFilename: configFile});
+      let err = await assertReject(provider());
+      assume(err.message).matches(/Profile nope does not contain credentials/);
+    });
+  });
+
+  describe('Metadata services', () => {
+    let metadata = JSON.stringify({
+      Code: 'Success',
+      AccessKeyId: 'meta-a',
+      SecretAccessKey: 'meta-s',
+      Token: 'meta-t',
+      Expiration: '2030-01-01T00:00:00Z',
+    });
+
+    it('should use the EC2 instance metadata service', async () => {
+      let runner = fakeRunner({
+        'http://169.254.169.254/latest/api/token': [200, 'token'],
+        'http://169.254.169.254/latest/meta-data/iam/security-credentials/': [200, 'my-role\n'],
+        'http://169.254.169.254/latest/meta-data/iam/security-credentials/my-role': [200, metadata],
+      });
+      let credentials = await fromInstanceMetadata({runner})();
+      assume(credentials).has.property('accessKeyId', 'meta-a');
+      assume(credentials).has.property('sessionToken', 'meta-t');
+      assume(credentials.expiration.toISOString()).equals('2030-01-01T00:00:00.000Z');
+      assume(runner.calls[0]).has.property('method', 'PUT');
+      assume(runner.calls[1].headers).has.property('x-aws-ec2-metadata-token', 'token');
+    });
+
+    it('should fail when the instance has no role', async () => {
+      let runner = fakeRunner({
+        'http://169.254.169.254/latest/api/token': [200, 'token'],
+      });
+      await assertReject(fromInstanceMetadata({runner})());
+    });
+
+    it('should use the ECS relative uri', async () => {
+      process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI = '/v2/credentials/abc';
+      let runner = fakeRunner({
+        'http://169.254.170.2/v2/credentials/abc': [200, metadata],
+      });
+      let credentials = await fromContainerMetadata({runner})();
+      assume(credentials).has.property('accessKeyId', 'meta-a');
+    });
+
+    it('should use the ECS full uri with an authorization token', async () => {
+      delete process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+      process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI = 'http://localhost:1234/creds';
+      process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN = 'secret';
+      let runner = fakeRunner({
+        'http://localhost:1234/creds': [200, metadata],
+      });
+      await fromContainerMetadata({runner})();
+      assume(runner.calls[0].headers).has.property('authorization', 'secret');
+    });
+
+    describe('without a service', () => {
+      let server;
+
+      beforeEach(done => {
+        // A server which accepts connections and never answers them
+        server = http.createServer(() => {});
+        server.listen(0, 'localhost', done);
+      });
+
+      afterEach(done => {
+        server.close(done);
+      });
+
+      it('should fail when the metadata host refuses connections', async () => {
+        // Nothing listens on the port of a server which was closed
+        let closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, 'localhost', resolve));
+        let port = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+
+        let err = await assertReject(fromInstanceMetadata({host: `localhost:${port}`})());
+        assume(err.message).matches(/^Metadata request PUT .* failed: .*ECONNREFUSED/);
+      });
+
+      it('should time out when the metadata host does not answer', async () => {
+        let host = `localhost:${server.address().port}`;
+        let err = await assertReject(fromInstanceMetadata({host, timeout: 50})());
+        assume(err.message).matches(/timed out after 50ms/);
+      });
+
+      it('should let a chain move on to the next provider', async () => {
+        let host = `localhost:${server.address().port}`;
+        let provider = chain(
+          fromInstanceMetadata({host, timeout: 50}),
+          fromStatic({accessKeyId: 'next', secretAccessKey: 's'}),
+        );
+        assume(await provider()).has.property('accessKeyId', 'next');
+      });
+    });
+  });
+
+  describe('Chains', () => {
+    it('should use the first provider which works', async () => {
+      let provider = chain(
+        async () => {
+          throw new Error('first');
+        },
+        fromStatic({accessKeyId: 'second', secretAccessKey: 's'}),
+        fromStatic({accessKeyId: 'third', secretAccessKey: 's'}),
+      );
+      assume(await provider()).has.property('accessKeyId', 'second');
+    });
+
+    it('should report all failures', async () => {
+      let provider = chain(async () => {
+        throw new Error('first');
+      }, async () => {
+        throw new Error('second');
+      });
+      let err = await assertReject(provider());
+      assume(err.message).matches(/first, second/);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const assume = require('assume');
+const { resolveEndpoint, addressObject } = require('../lib/endpoints');
+
+describe('Endpoint Resolution', () => {
+  it('should use the global host for us-east-1', () => {
+    assume(resolveEndpoint({region: 'us-east-1'})).deeply.equals({
+      protocol: 'https:',
+      host: 's3.amazonaws.com',
+      port: undefined,
+      pathStyle: false,
+      vhostOnly: false,
+    });
+  });
+
+  it('should use the dotted regional host outside of us-east-1', () => {
+    let endpoint = resolveEndpoint({region: 'ap-east-1'});
+    assume(endpoint).has.property('host', 's3.ap-east-1.amazonaws.com');
+  });
+
+  it('should use the China domain for China regions', () => {
+    let endpoint = resolveEndpoint({region: 'cn-north-1'});
+    assume(endpoint).has.property('host', 's3.cn-north-1.amazonaws.com.cn');
+  });
+
+  let hosts = [
+    [{region: 'us-east-1', dualstack: true}, 's3.dualstack.us-east-1.amazonaws.com'],
+    [{region: 'us-west-2', dualstack: true}, 's3.dualstack.us-west-2.amazonaws.com'],
+    [{region: 'us-west-2', fips: true}, 's3-fips.us-west-2.amazonaws.com'],
+    [{region: 'us-west-2', fips: true, dualstack: true}, 's3-fips.dualstack.us-west-2.amazonaws.com'],
+    [{region: 'eu-west-1', accelerate: true}, 's3-accelerate.amazonaws.com'],
+    [{region: 'eu-west-1', accelerate: true, dualstack: true}, 's3-accelerate.dualstack.amazonaws.com'],
+  ];
+
+  for (let [opts, host] of hosts) {
+    it(`should use ${host} for ${JSON.stringify(opts)}`, () => {
+      assume(resolveEndpoint(opts)).has.property('host', host);
+    });
+  }
+
+  it('should only allow vhost addressing for accelerate', () => {
+    assume(resolveEndpoint({accelerate: true})).has.property('vhostOnly', true);
+  });
+
+  let invalid = [
+    [{accelerate: true, fips: true}, /does not support FIPS/],
+    [{region: 'eu-west-1', fips: true}, /not available in eu-west-1/],
+    [{region: 'cn-north-1', accelerate: true}, /not available in cn-north-1/],
+    [{endpoint: {host: 'localhost'}, dualstack: true}, /cannot be combined/],
+    [{endpoint: {host: 'localhost'}, accelerate: true}, /cannot be combined/],
+  ];
+
+  for (let [opts, error] of invalid) {
+    it(`should reject ${JSON.stringify(opts)}`, () => {
+      assume(() => resolveEndpoint(opts)).throws(error);
+    });
+  }
+
+  it('should use a custom endpoint verbatim', () => {
+    assume(resolveEndpoint({
+      region: 'us-west-2',
+      endpoint: {protocol: 'http:', host: 'localhost', port: 9000},
+    })).deeply.equals({
+      protocol: 'http:',
+      host: 'localhost',
+      port: 9000,
+      pathStyle: true,
+      vhostOnly: false,
+    });
+  });
+
+  it('should default custom endpoints to https', () => {
+    let endpoint = resolveEndpoint({endpoint: {host: 'ceph.example.com'}});
+    assume(endpoint).has.property('protocol', 'https:');
+  });
+
+  it('should reject invalid protocols', () => {
+    assume(() => {
+      resolveEndpoint({endpoint: {protocol: 'ftp:', host: 'localhost'}});
+    }).throws(/"protocol" must be one of/);
+  });
+
+  it('should reject invalid ports', () => {
+    assume(() => {
+      resolveEndpoint({endpoint: {host: 'localhost', port: 70000}});
+    }).throws(/"port" must be less than or equal to 65535/);
+  });
+});
+
+describe('Object Addressing', () => {
+  let endpoint = {host: 's3.us-west-2.amazonaws.com'};
+
+  it('should use vhost addressing', () => {
+    assume(addressObject(endpoint, {bucket: 'bucket', key: 'key', vhostAddressing: true})).deeply.equals({
+      hostname: 'bucket.s3.us-west-2.amazonaws.com',
+      path: '/key',
+    });
+  });
+
+  it('should use path addressing', () => {
+    assume(addressObject(endpoint, {bucket: 'bucket', key: 'key', vhostAddressing: false})).deeply.equals({
+      hostname: 's3.us-west-2.amazonaws.com',
+      path: '/bucket/key',
+    });
+  });
+
+  it('should include the port in the hostname', () => {
+    let actual = addressObject({host: 'localhost', port: 9000}, {bucket: 'bucket', key: 'key'});
+    assume(actual).has.property('hostname', 'localhost:9000');
+  });
+
+  it('should URI encode the key but not its slashes', () => {
+    let actual = addressObject(endpoint, {bucket: 'bucket', key: 'a b/c+d?e#f%g/(h)*ключ~', vhostAddressing: false});
+    assume(actual).has.property('path', '/bucket/a%20b/c%2Bd%3Fe%23f%25g/%28h%29%2A%D0%BA%D0%BB%D1%8E%D1%87~');
+  });
+});
@@ -127,6 +127,7 @@ if (!process.env.SKIP_REAL_S3_TESTS) {
         key,
         sha256: upload.sha256,
         size: upload.size,
+        transferMd5: upload.transferMd5,
         tags,
         metadata,
         contentType,
@@ -180,6 +181,7 @@ if (!process.env.SKIP_REAL_S3_TESTS) {
         sha256: upload.sha256,
         size: upload.size,
         metadata,
+        tags,
         contentType,
         contentEncoding: upload.contentEncoding,
       });
@@ -203,8 +205,8 @@ if (!process.env.SKIP_REAL_S3_TESTS) {
         bucket: BUCKET,
         key,
         etags: result.etags,
-        tags,
         uploadId,
+        md5s: upload.parts.map(part => part.md5),
       });
 
       await validateDownload();
@@ -229,6 +231,7 @@ if (!process.env.SKIP_REAL_S3_TESTS) {
         transferSha256: upload.transferSha256,
         transferSize: upload.transferSize,
         metadata,
+        tags,
         contentType,
         contentEncoding: upload.contentEncoding,
       });
@@ -252,7 +255,6 @@ if (!process.env.SKIP_REAL_S3_TESTS) {
         bucket: BUCKET,
         key,
         etags: result.etags,
-        tags,
         uploadId,
       });
 
@@ -1,6 +1,8 @@
 let assume = require('assume');
 let libxml = require('libxmljs');
 let { Controller, run, parseS3Response } = require('../lib/controller');
+let errors = require('../lib/errors');
+let { responseError } = errors;
 
 describe('XML Parsing', () => {
 
@@ -129,6 +131,101 @@ describe('XML Parsing', () => {
 
   });
 
+  it('should parse S3 errors into their classes', () => {
+    let body = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Error>',
+      '  <Code>NoSuchUpload</Code>',
+      '  <Message>The specified upload does not exist</Message>',
+      '  <UploadId>myupload</UploadId>',
+      '  <RequestId>myrequestid</RequestId>',
+      '  <HostId>myhostid</HostId>',
+      '</Error>',
+    ].join('\n');
+
+    let err = parseS3Response(body, true);
+    assume(err).is.instanceof(errors.NoSuchUploadError);
+    assume(err).is.instanceof(errors.S3Error);
+    assume(err).has.property('name', 'NoSuchUploadError');
+    assume(err).has.property('code', 'NoSuchUpload');
+    assume(err).has.property('requestId', 'myrequestid');
+    assume(err).has.property('hostId', 'myhostid');
+    assume(err).has.property('uploadid', 'myupload');
+    assume(err).has.property('retryable', false);
+  });
+
+  it('should parse unknown S3 errors as S3Errors', () => {
+    let err = parseS3Response('<Error><Code>InternalError</Code><Message>oops</Message></Error>', true);
+    assume(err.constructor).equals(errors.S3Error);
+    assume(err).has.property('code', 'InternalError');
+    assume(err).has.property('retryable', true);
+  });
+
+  describe('Response Errors', () => {
+    function response(statusCode, body, headers = {}) {
+      return {statusCode, headers, body: Buffer.from(body)};
+    }
+
+    it('should create an error from the body of a response', () => {
+      let err = responseError(response(503, [
+        '<Error>',
+        '  <Code>SlowDown</Code>',
+        '  <Message>Please reduce your request rate.</Message>',
+        '  <RequestId>bodyrequestid</RequestId>',
+        '</Error>',
+      ].join('\n'), {'x-amz-request-id': 'headerrequestid', 'x-amz-id-2': 'headerhostid'}), 'Could not do it');
+
+      assume(err).is.instanceof(errors.SlowDownError);
+      assume(err).has.property('message', 'Please reduce your request rate.');
+      assume(err).has.property('statusCode', 503);
+      assume(err).has.property('requestId', 'bodyrequestid');
+      assume(err).has.property('hostId', 'headerhostid');
+      assume(err).has.property('retryable', true);
+    });
+
+    it('should create an error from the status code of a response', () => {
+      let err = responseError(response(403, '', {'x-amz-request-id': 'headerrequestid'}), 'Could not do it');
+      assume(err.constructor).equals(errors.S3Error);
+      assume(err).has.property('message', 'Could not do it');
+      assume(err).has.property('code', 'Forbidden');
+      assume(err).has.property('statusCode', 403);
+      assume(err).has.property('requestId', 'headerrequestid');
+      assume(err).has.property('retryable', false);
+    });
+
+    it('should use the given code for responses without a body', () => {
+      let err = responseError(response(404, ''), 'Missing', {code: 'NoSuchKey', key: 'key'});
+      assume(err).is.instanceof(errors.NoSuchKeyError);
+      assume(err).has.property('key', 'key');
+    });
+
+    it('should treat unknown server errors as retryable', () => {
+      let err = responseError(response(502, '<html>Bad Gateway</html>'), 'Could not do it');
+      assume(err).has.property('code', 'UnknownError');
+      assume(err).has.property('retryable', true);
+    });
+
+    it('should create an S3Error subclass for every known code', () => {
+      for (let [code, ErrorClass] of [
+        ['NoSuchKey', errors.NoSuchKeyError],
+        ['NoSuchBucket', errors.NoSuchBucketError],
+        ['NoSuchVersion', errors.NoSuchVersionError],
+        ['AccessDenied', errors.AccessDeniedError],
+        ['InvalidPart', errors.InvalidPartError],
+        ['InvalidPartOrder', errors.InvalidPartOrderError],
+        ['EntityTooSmall', errors.EntityTooSmallError],
+        ['EntityTooLarge', errors.EntityTooLargeError],
+        ['BadDigest', errors.BadDigestError],
+        ['SignatureDoesNotMatch', errors.SignatureDoesNotMatchError],
+        ['InvalidObjectState', errors.ObjectArchivedError],
+      ]) {
+        let err = responseError(response(400, `<Error><Code>${code}</Code></Error>`), 'Failed');
+        assume(err).is.instanceof(ErrorClass);
+        assume(err).has.property('code', code);
+      }
+    });
+  });
+
   // I can't find a good example body to test against, but since
   // this is just the standard error parsing but checking for
   // a couple extra properties it's not critical
@@ -194,6 +291,42 @@ describe('XML Generation', () => {
     assume(actual).equals(expected);
   });
 
+  it('should include part checksums to complete multipart upload', () => {
+    let s3 = new Controller();
+    let doc = parseS3Response(s3.__generateCompleteUploadBody(['a', 'b'], 'SHA256', ['Y2hlY2sx', 'Y2hlY2sy']));
+    let parts = doc.find('/CompleteMultipartUpload/Part');
+    assume(parts).has.lengthOf(2);
+    assume(parts[0].get('ChecksumSHA256').text()).equals('Y2hlY2sx');
+    assume(parts[1].get('ChecksumSHA256').text()).equals('Y2hlY2sy');
+  });
+
+  it('should include CRC32C part checksums to complete multipart upload', () => {
+    let s3 = new Controller();
+    let doc = parseS3Response(s3.__generateCompleteUploadBody(['a'], 'CRC32C', ['4waSgw==']));
+    assume(doc.get('/CompleteMultipartUpload/Part/ChecksumCRC32C').text()).equals('4waSgw==');
+  });
+
+  it('should generate a restore request', () => {
+    let s3 = new Controller();
+    let doc = parseS3Response(s3.__generateRestoreBody(7, 'Bulk'));
+    assume(doc.get('/RestoreRequest/Days').text()).equals('7');
+    assume(doc.get('/RestoreRequest/GlacierJobParameters/Tier').text()).equals('Bulk');
+  });
+
+  it('should generate a restore request without days', () => {
+    let s3 = new Controller();
+    let doc = parseS3Response(s3.__generateRestoreBody(undefined, 'Standard'));
+    assume(doc.get('/RestoreRequest/Days')).is.a('undefined');
+    assume(doc.get('/RestoreRequest/GlacierJobParameters/Tier').text()).equals('Standard');
+  });
+
+  it('should require a checksum for each part', () => {
+    let s3 = new Controller();
+    assume(() => {
+      s3.__generateCompleteUploadBody(['a', 'b'], 'SHA256', ['Y2hlY2sx']);
+    }).throws();
+  });
+
   describe('Injection', () => {
     // Since this is the only place in the system that we take untrusted input from a
     // machine and stick it into XML, this is where we're testing for injection.  The only